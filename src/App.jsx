@@ -1,195 +1,159 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback, useId, useMemo, createContext, useContext } from 'react';
 import { 
-  Volume2, VolumeX, Zap, Monitor, Activity, Cpu, Shield, Crosshair, Wifi, Menu, 
-  Terminal, Database, Battery, BatteryCharging, Smartphone, Maximize 
+  Volume2, Zap, Monitor, Activity, Cpu, Shield, Crosshair, Wifi, Menu, 
+  Terminal, Database, Battery, BatteryCharging, Smartphone, Maximize, Check, AlertTriangle,
+  Download, Upload, Link, Keyboard, RotateCcw, Music, Accessibility, Palette, Languages, Plus, Minus, Undo2, X,
+  Info, OctagonX, Bell, Trash2, ChevronDown, Search, Layers, MousePointer2, AudioLines, Puzzle,
+  FileText, ClipboardCopy
 } from 'lucide-react';
+import {
+  loadSettings, hasSavedSettings, saveSettings, changedSettingKeys, downloadSettings, parseSettingsJson,
+  decodeSettingsHash, buildShareUrl, SHARE_HASH_PREFIX
+} from './settings.js';
+import {
+  SETTINGS_SCHEMA, SETTINGS_GROUPS, SETTINGS_FIELDS, requirementsMet, conditionMet, applySetting, resetSettingsGroup
+} from './settingsSchema.js';
+import {
+  GRAPHICS_PRESETS, MOBILE_PARTICLE_SCALE, applyGraphicsPreset, detectGraphicsPreset
+} from './graphicsPresets.js';
+import {
+  SOUND_EVENTS, BUILTIN_SOUND_PACKS, DEFAULT_SOUND_PACK, resolveSoundPack, parseSoundPackJson,
+  loadCustomSoundPacks, saveCustomSoundPacks
+} from './soundPacks.js';
+import { AudioEngine } from './audioEngine.js';
+import { runtimeMetrics } from './runtimeMetrics.js';
+import { QUALITY_LEVELS, MAX_QUALITY_LEVEL, useQualityGovernor } from './qualityGovernor.js';
+import { createParticleRenderer } from './particleRenderer.js';
+import { DEFAULT_BACKGROUND_MODE, DEFAULT_BACKGROUND_PARAMS } from './backgroundScenes.js';
+import { REDUCED_MOTION_SPEED, usePrefersReducedMotion, resolveReducedMotion } from './reducedMotion.js';
+import {
+  BUILTIN_THEMES, CUSTOM_THEME, THEME_KEYS, THEME_COLOUR, resolveThemeColours, applyTheme, decodeThemeHash,
+  buildThemeShareUrl, THEME_HASH_PREFIX
+} from './themes.js';
+import { HEX_COLOUR_PATTERN } from './colour.js';
+import {
+  LOCALES, LOCALE_IDS, LOCALE_AUTO, I18nContext, createI18n, useI18n, useDetectedLocale, resolveLocale
+} from './i18n.js';
+import {
+  ATTRIBUTE_IDS, ATTRIBUTE_MAX, ATTRIBUTE_EFFECTS, XP_PER_MINUTE, loadCharacter, saveCharacter, getLevel,
+  getXpToNextLevel, getAvailablePoints, countPending, canAllocate, getAttributeEffect, getAllocationError,
+  commitAllocation, getSpentPoints, respecCharacter, undoCharacter, grantXp
+} from './character.js';
+import { NOTIFICATION_TYPES, notifications, useNotifications } from './notifications.js';
+import { DEFAULT_VIEW, navigateRoute, useHashRoute } from './router.js';
+import {
+  valueToPosition, positionToValue, snapValue, stepValue, scaleDigits, parseSliderInput
+} from './sliderScale.js';
+import { downloadBlob } from './download.js';
+import { isTypingTarget, moveFocus, useGamepadNavigation } from './inputNavigation.js';
+import {
+  probeWebgl, detectGpu, readDisplayCapabilities, readInputCapabilities, readFeatureSupport, readAudioOutput,
+  estimateRefreshRate
+} from './deviceCapabilities.js';
+import { errorLog } from './errorLog.js';
+import { REPORT_FORMATS, buildReport, redactReport, serializeReport, downloadReport } from './diagnosticsReport.js';
+import {
+  KEY_ACTIONS, normalizeKey, formatKey, resolveAction, getBindingConflict
+} from './keybindings.js';
 
 // --- CONSTANTS ---
-const AUDIO_CONFIG = {
-  DRONE_FREQUENCY: 50,
-  FILTER_FREQUENCY: 120,
-  FILTER_Q: 5,
-  LFO_FREQUENCY: 0.2,
-  LFO_GAIN: 20,
-  DRONE_GAIN: 0.05,
-  CLICK_START_FREQ: 1200,
-  CLICK_END_FREQ: 100,
-  HOVER_BASE_FREQ: 800,
-  HOVER_VARIANCE: 200
+// Music intensity per view: calm while configuring, tense in diagnostics
+const VIEW_MUSIC_INTENSITY = {
+  home: 0.55,
+  device: 0.95,
+  settings: 0.2
 };
 
-const RESPONSIVE_BREAKPOINT = 768;
-
-/**
- * AudioEngine - Procedural sound generation for UI interactions
- * Uses Web Audio API to create synthesized cyberpunk-style sounds
- */
-class AudioEngine {
-  constructor() {
-    this.ctx = null;
-    this.masterGain = null;
-    this.musicGain = null;
-    this.sfxGain = null;
-    this.droneOsc = null;
-    this.droneGain = null;
-    this.isMuted = false;
-    this.initialized = false;
-  }
-
-  /** Initialize the audio context and connect audio nodes */
-  init() {
-    if (this.initialized) return;
-    
-    const AudioContext = window.AudioContext || window.webkitAudioContext;
-    this.ctx = new AudioContext();
-    
-    // Master Gain (Global Volume/Mute)
-    this.masterGain = this.ctx.createGain();
-    this.masterGain.connect(this.ctx.destination);
-    
-    // Music Bus
-    this.musicGain = this.ctx.createGain();
-    this.musicGain.connect(this.masterGain);
-    
-    // SFX Bus
-    this.sfxGain = this.ctx.createGain();
-    this.sfxGain.connect(this.masterGain);
-
-    this.initialized = true;
-    this.startAmbience();
-  }
-
-  /** Start the ambient drone sound with LFO modulation */
-  startAmbience() {
-    if (!this.ctx) return;
-    this.droneOsc = this.ctx.createOscillator();
-    this.droneOsc.type = 'sawtooth';
-    this.droneOsc.frequency.value = AUDIO_CONFIG.DRONE_FREQUENCY; 
-    
-    const filter = this.ctx.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = AUDIO_CONFIG.FILTER_FREQUENCY;
-    filter.Q.value = AUDIO_CONFIG.FILTER_Q;
-
-    const lfo = this.ctx.createOscillator();
-    lfo.type = 'sine';
-    lfo.frequency.value = AUDIO_CONFIG.LFO_FREQUENCY; 
-    const lfoGain = this.ctx.createGain();
-    lfoGain.gain.value = AUDIO_CONFIG.LFO_GAIN;
-
-    lfo.connect(lfoGain);
-    lfoGain.connect(filter.frequency);
-
-    this.droneGain = this.ctx.createGain();
-    this.droneGain.gain.value = AUDIO_CONFIG.DRONE_GAIN; 
+// Config page section icons, by SETTINGS_GROUPS id
+const GROUP_ICONS = {
+  language: Languages,
+  audio: Volume2,
+  graphics: Monitor,
+  theme: Palette,
+  accessibility: Accessibility,
+  controls: Keyboard
+};
 
-    this.droneOsc.connect(filter);
-    filter.connect(this.droneGain);
-    this.droneGain.connect(this.musicGain);
+const RESPONSIVE_BREAKPOINT = 768;
 
-    this.droneOsc.start();
-    lfo.start();
-  }
+// Device view capability labels; gamut names are the same in every locale
+const GAMUT_LABELS = { srgb: 'sRGB', p3: 'Display P3', rec2020: 'Rec. 2020' };
+const CAPABILITY_FEATURES = ['offscreenCanvas', 'vibration', 'gamepad', 'wakeLock'];
 
-  /** Set music and SFX volume levels (0-100) */
-  setVolumes(musicVol, sfxVol) {
-    if (!this.initialized) return;
-    const now = this.ctx.currentTime;
-    this.musicGain.gain.setTargetAtTime(musicVol / 100, now, 0.1);
-    this.sfxGain.gain.setTargetAtTime(sfxVol / 100, now, 0.1);
-  }
+const BYTES_PER_MB = 1024 * 1024;
+const BYTES_PER_GB = 1024 * BYTES_PER_MB;
 
-  /** Toggle mute state and return new mute status */
-  toggleMute() {
-    if (!this.initialized) return false;
-    this.isMuted = !this.isMuted;
-    const now = this.ctx.currentTime;
-    this.masterGain.gain.setTargetAtTime(this.isMuted ? 0 : 1, now, 0.1);
-    return this.isMuted;
-  }
+// Bottom nav tab order, cycled with Q/E or gamepad shoulder buttons
+const TAB_ORDER = ['home', 'device', 'settings'];
 
-  /** Play a metallic click sound for button presses */
-  playClickSound() {
-    if (!this.initialized || this.isMuted) return;
-    const t = this.ctx.currentTime;
-    const osc = this.ctx.createOscillator();
-    const gain = this.ctx.createGain();
-    osc.type = 'sawtooth';
-    osc.frequency.setValueAtTime(AUDIO_CONFIG.CLICK_START_FREQ, t);
-    osc.frequency.exponentialRampToValueAtTime(AUDIO_CONFIG.CLICK_END_FREQ, t + 0.1);
-    gain.gain.setValueAtTime(0.5, t);
-    gain.gain.exponentialRampToValueAtTime(0.01, t + 0.1);
-    osc.connect(gain);
-    gain.connect(this.sfxGain);
-    osc.start(t);
-    osc.stop(t + 0.15);
-  }
+// Keyboard steps taken by Shift+Arrow and PageUp/PageDown on a slider
+const SLIDER_STEP_LARGE = 10;
 
-  /** Play a soft hover sound for UI feedback */
-  playHoverSound() {
-    if (!this.initialized || this.isMuted) return;
-    const t = this.ctx.currentTime;
-    const osc = this.ctx.createOscillator();
-    const gain = this.ctx.createGain();
-    osc.type = 'square';
-    osc.frequency.setValueAtTime(800 + Math.random() * 200, t);
-    gain.gain.setValueAtTime(0.05, t);
-    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
-    osc.connect(gain);
-    gain.connect(this.sfxGain);
-    osc.start(t);
-    osc.stop(t + 0.05);
-  }
-}
+const ATTRIBUTE_GRID_COLUMNS = 3;
+// Grid order follows ATTRIBUTE_IDS (character.js); labels come from the `attributes.<id>` catalog keys
+const ATTRIBUTE_ICONS = {
+  reflex: Zap,
+  intel: Cpu,
+  body: Shield,
+  tech: Wifi,
+  cool: Crosshair
+};
+const XP_TICK_MS = 60000;
+const BATTERY_LOW_LEVEL = 15;
 
 const audio = new AudioEngine();
 
 // --- CUSTOM HOOKS ---
 
-const useSystemMonitor = () => {
-  const [stats, setStats] = useState({
-    cpuUsage: 0,
-    memory: '0GB',
-    cores: 0,
-    userAgent: '',
-    platform: '',
+// Navigator/screen values that are readable synchronously, so they are available on first render.
+// Stats hold raw numbers (GB, bytes) or null; the UI formats and labels them for the active locale.
+const readStaticStats = () => {
+  const nav = window.navigator;
+  return {
+    memory: nav.deviceMemory || null,
+    cores: nav.hardwareConcurrency || null,
+    userAgent: nav.userAgent,
+    platform: nav.platform || null,
+    screenRes: `${window.screen.width}x${window.screen.height}`,
+    display: readDisplayCapabilities(),
+    input: readInputCapabilities(),
+    features: readFeatureSupport()
+  };
+};
+
+const useSystemMonitor = (intervalMs) => {
+  const [stats, setStats] = useState(() => ({
+    ...runtimeMetrics.snapshot(),
+    ...readStaticStats(),
     online: true,
-    connection: 'UNKNOWN',
+    connection: null,
     batteryLevel: null,
     batteryCharging: false,
-    storageQuota: 'CALCULATING...',
-    storageUsage: '...',
-    screenRes: 'UNKNOWN',
-    gpu: 'UNKNOWN GPU'
-  });
+    storage: null,
+    gpu: null,
+    webgl: null,
+    refreshRate: null,
+    audioOutput: readAudioOutput(audio.ctx)
+  }));
 
   useEffect(() => {
     const nav = window.navigator;
     
-    // 1. Basic Info
-    const connection = nav.connection || nav.mozConnection || nav.webkitConnection;
-    
-    // 2. GPU Detection
-    let gpuInfo = 'GENERIC DISPLAY ADAPTER';
-    try {
-      const canvas = document.createElement('canvas');
-      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-      if (gl) {
-        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-        if (debugInfo) {
-          gpuInfo = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
-        }
-      }
-    } catch (e) { console.warn('GPU Detect Failed', e); }
-
-    // 3. Battery API
+    // 1. Battery API (warns once each time the level drops to the low threshold while discharging)
     let batteryUnsub = () => {};
+    let batteryLow = false;
     if (nav.getBattery) {
       nav.getBattery().then(battery => {
         const updateBattery = () => {
+          const level = Math.round(battery.level * 100);
+          const low = !battery.charging && level <= BATTERY_LOW_LEVEL;
+          if (low && !batteryLow) {
+            notifications.notify({ key: 'toast.batteryLow', params: { level } }, { type: 'warn', key: 'battery' });
+          }
+          batteryLow = low;
           setStats(prev => ({
              ...prev,
-             batteryLevel: Math.round(battery.level * 100),
+             batteryLevel: level,
              batteryCharging: battery.charging
           }));
         };
@@ -203,184 +167,209 @@ const useSystemMonitor = () => {
       });
     }
 
-    // 4. Storage API
+    // 2. Storage API
     const updateStorage = async () => {
        if (nav.storage && nav.storage.estimate) {
          try {
            const estimate = await nav.storage.estimate();
-           const quota = estimate.quota ? (estimate.quota / (1024 * 1024 * 1024)).toFixed(1) + ' GB' : 'UNKNOWN';
-           const usage = estimate.usage ? (estimate.usage / (1024 * 1024)).toFixed(1) + ' MB' : '0 MB';
-           setStats(prev => ({ ...prev, storageQuota: quota, storageUsage: usage }));
+           setStats(prev => ({ ...prev, storage: { quota: estimate.quota || null, usage: estimate.usage || 0 } }));
          } catch (e) { console.warn('Storage Estimate Failed', e); }
        }
     };
     updateStorage();
 
-    // 5. Live Simulation Loop
+    // 3. Connectivity: the offline notice stays up until the link comes back and replaces it
+    const updateOnline = () => {
+      const online = nav.onLine;
+      setStats(prev => ({ ...prev, online }));
+      notifications.notify(
+        { key: online ? 'toast.online' : 'toast.offline' },
+        { type: online ? 'success' : 'warn', key: 'network', duration: online ? undefined : 0 }
+      );
+    };
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+
+    return () => {
+      batteryUnsub();
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  // Live Runtime Metrics (frame timing, long tasks, heap, event-loop lag), polled at the configured rate
+  useEffect(() => {
+    const nav = window.navigator;
+    const connection = nav.connection || nav.mozConnection || nav.webkitConnection;
+    runtimeMetrics.start();
     const interval = setInterval(() => {
+      const metrics = runtimeMetrics.snapshot();
       setStats(prev => ({
         ...prev,
-        cpuUsage: Math.floor(Math.random() * (45 - 5) + 5),
-        memory: nav.deviceMemory ? `${nav.deviceMemory}GB` : '8GB',
-        cores: nav.hardwareConcurrency || 4,
-        userAgent: nav.userAgent,
-        platform: nav.platform || 'UNKNOWN OS',
+        ...metrics,
+        ...readStaticStats(),
         online: nav.onLine,
-        connection: connection ? connection.effectiveType.toUpperCase() : 'WIFI',
-        screenRes: `${window.screen.width}x${window.screen.height}`,
-        gpu: gpuInfo
+        connection: connection?.effectiveType?.toUpperCase() ?? null,
+        gpu: detectGpu(),
+        // The WebGL scan is cached after the first tick, so it stays off the first render
+        webgl: probeWebgl(),
+        refreshRate: estimateRefreshRate(metrics.vsyncFps),
+        // The engine's context only exists once audio has been started
+        audioOutput: readAudioOutput(audio.ctx)
       }));
-    }, 2000);
+    }, intervalMs);
 
     return () => {
       clearInterval(interval);
-      batteryUnsub();
+      runtimeMetrics.stop();
     };
-  }, []);
+  }, [intervalMs]);
 
   return stats;
 };
 
 // --- COMPONENTS ---
 
-const NotificationToast = ({ message, type, show }) => {
-  if (!show) return null;
-  return (
-    <div className="fixed top-24 left-1/2 transform -translate-x-1/2 z-50 animate-fadeIn pointer-events-none">
-      <div className="bg-black/90 border border-red-500 px-6 py-3 flex items-center gap-3 shadow-[0_0_20px_rgba(220,38,38,0.5)]">
-        {type === 'mute' ? <VolumeX className="text-red-500" /> : <Volume2 className="text-cyan-400" />}
-        <span className="font-mono text-white tracking-widest">{message}</span>
-      </div>
-    </div>
-  );
+// Text effects the graphics settings apply to control labels, as class names ('' when off)
+const ControlFxContext = createContext({ chromatic: '', glow: '' });
+
+const NOTIFICATION_STYLES = {
+  info: { icon: Info, colour: 'text-accent-400', border: 'border-primary-500' },
+  success: { icon: Check, colour: 'text-green-500', border: 'border-green-500/70' },
+  warn: { icon: AlertTriangle, colour: 'text-accent-400', border: 'border-accent-400' },
+  error: { icon: OctagonX, colour: 'text-primary-500', border: 'border-primary-500 shadow-[0_0_30px_var(--theme-glow-70)]' }
 };
 
-// Factory function to create a particle class with closure over canvas/ctx/mouseRef
-const createParticleClass = (canvas, ctx, mouseRef) => {
-  return class Particle {
-    constructor(isBurst = false) {
-      this.x = 0;
-      this.y = 0;
-      this.vx = 0;
-      this.vy = 0;
-      this.size = 0;
-      this.alpha = 0;
-      this.reset(isBurst);
-    }
+// Catalog descriptors posted from outside React are translated here (see notifications.js)
+const resolveMessage = (t, message) => (typeof message === 'string' ? message : t(message.key, message.params));
 
-    reset(isBurst = false) {
-      if (isBurst) {
-        this.x = canvas.width / 2;
-        this.y = canvas.height / 2;
-        const angle = Math.random() * Math.PI * 2;
-        const speed = Math.random() * 15 + 5;
-        this.vx = Math.cos(angle) * speed;
-        this.vy = Math.sin(angle) * speed;
-      } else {
-        this.x = Math.random() * canvas.width;
-        this.y = Math.random() * canvas.height;
-        this.vx = (Math.random() - 0.5) * 0.5;
-        this.vy = (Math.random() - 0.5) * 0.5;
-      }
-      this.size = Math.random() * 2 + 0.5;
-      this.alpha = Math.random() * 0.5 + 0.1;
-    }
+// Validators reject with a catalog descriptor (see validationError.js); other errors only have their message
+const describeError = (t, err) => resolveMessage(t, err.reason ?? err.message);
 
-    update() {
-      this.x += this.vx;
-      this.y += this.vy;
-
-      if (mouseRef.current.active) {
-        const dx = this.x - mouseRef.current.x;
-        const dy = this.y - mouseRef.current.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const maxDist = 250;
-        if (dist < maxDist && dist > 0) {
-          const force = (maxDist - dist) / maxDist;
-          this.vx += (dx / dist) * force * 0.4;
-          this.vy += (dy / dist) * force * 0.4;
-        }
-      }
+const NotificationIcon = ({ type, size = 18 }) => {
+  const { icon: IconComponent, colour } = NOTIFICATION_STYLES[type];
+  return <IconComponent size={size} className={`${colour} shrink-0`} aria-hidden="true" />;
+};
 
-      this.vx *= 0.96;
-      this.vy *= 0.96;
+// Stacked toasts from the notification centre; clicking one dismisses it.
+// The live regions stay mounted so screen readers announce text as it appears; errors interrupt.
+const NotificationStack = () => {
+  const { t } = useI18n();
+  const { toasts, queued } = useNotifications();
+  const announce = (errors) => toasts
+    .filter(toast => (toast.type === 'error') === errors)
+    .map(toast => <div key={`${toast.id}-${toast.count}`}>{resolveMessage(t, toast.message)}</div>);
 
-      if (this.x < 0) this.x = canvas.width;
-      if (this.x > canvas.width) this.x = 0;
-      if (this.y < 0) this.y = canvas.height;
-      if (this.y > canvas.height) this.y = 0;
-    }
+  return (
+    <>
+      <div role="status" aria-live="polite" className="sr-only">{announce(false)}</div>
+      <div role="alert" aria-live="assertive" className="sr-only">{announce(true)}</div>
+      <div className="fixed top-24 left-1/2 transform -translate-x-1/2 z-50 flex flex-col items-center gap-2 w-max max-w-[92vw] pointer-events-none">
+        {toasts.map(toast => {
+          const message = resolveMessage(t, toast.message);
+          return (
+            <button
+              key={toast.id}
+              type="button"
+              onClick={() => { audio.playClickSound(); notifications.dismiss(toast.id); }}
+              aria-label={t('notifications.dismiss', { message })}
+              className={`animate-fadeIn pointer-events-auto bg-surface/90 border ${NOTIFICATION_STYLES[toast.type].border} px-4 sm:px-6 py-3 flex items-center gap-3 shadow-[0_0_20px_var(--theme-glow-50)] hover:bg-primary-950/60 transition-colors custom-focus`}
+            >
+              <NotificationIcon type={toast.type} />
+              <span className="font-mono text-white tracking-widest text-xs sm:text-sm text-start">{message}</span>
+              {toast.count > 1 && <span className="font-mono text-[10px] text-primary-400">{t('notifications.repeat', { count: toast.count })}</span>}
+            </button>
+          );
+        })}
+        {queued > 0 && (
+          <div className="font-mono text-[10px] tracking-widest text-primary-400" aria-hidden="true">{t('notifications.queued', { count: queued })}</div>
+        )}
+      </div>
+    </>
+  );
+};
 
-    draw() {
-      ctx.fillStyle = `rgba(220, 38, 38, ${this.alpha})`;
-      ctx.beginPath();
-      ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-      ctx.fill();
-    }
-  };
+// Newest-first log of everything the centre has posted this session
+const NotificationHistory = ({ onClose }) => {
+  const { t, locale } = useI18n();
+  const { history } = useNotifications();
+  const timeFormat = useMemo(() => new Intl.DateTimeFormat(locale, { timeStyle: 'medium' }), [locale]);
+
+  return (
+    <div
+      role="dialog"
+      aria-label={t('notifications.history')}
+      className="fixed top-14 sm:top-20 end-2 sm:end-6 z-50 w-[min(92vw,24rem)] max-h-[60vh] flex flex-col border border-primary-500/60 bg-surface/95 backdrop-blur-md shadow-[0_0_30px_var(--theme-glow-40)] animate-fadeIn"
+    >
+      <div className="flex items-center justify-between gap-2 px-3 py-2 border-b border-primary-900/50">
+        <span className="text-[10px] sm:text-xs font-bold tracking-widest uppercase text-primary-400">{t('notifications.history')}</span>
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => { audio.playClickSound(); notifications.clearHistory(); }}
+            disabled={history.length === 0}
+            className="flex items-center gap-1 px-2 py-1 text-[10px] uppercase tracking-widest text-primary-400 hover:text-primary-100 transition-colors custom-focus disabled:opacity-30 disabled:pointer-events-none"
+          >
+            <Trash2 size={12} /> {t('notifications.clear')}
+          </button>
+          <button
+            type="button"
+            autoFocus
+            onClick={() => { audio.playClickSound(); onClose(); }}
+            aria-label={t('notifications.close')}
+            className="p-1 text-primary-400 hover:text-primary-100 transition-colors custom-focus"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+      {history.length === 0 ? (
+        <p className="px-3 py-6 text-center font-mono text-[10px] sm:text-xs tracking-widest text-primary-600">{t('notifications.empty')}</p>
+      ) : (
+        <ol className="overflow-y-auto">
+          {history.map(entry => (
+            <li key={entry.id} className="flex items-start gap-2 px-3 py-2 border-b border-primary-900/30 font-mono text-[10px] sm:text-xs">
+              <NotificationIcon type={entry.type} size={14} />
+              <span className="sr-only">{t(`notifications.${entry.type}`)}</span>
+              <span className="flex-1 text-primary-100 break-words">
+                {resolveMessage(t, entry.message)}
+                {entry.count > 1 && <span className="text-primary-400"> {t('notifications.repeat', { count: entry.count })}</span>}
+              </span>
+              <time dateTime={new Date(entry.time).toISOString()} className="text-primary-600 shrink-0">{timeFormat.format(entry.time)}</time>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
 };
 
-// Optimized Particle Background with requestAnimationFrame for 60 FPS
-const ParticleBackground = ({ burstMode }) => {
-  const canvasRef = useRef(null);
-  const mouseRef = useRef({ x: 0, y: 0, active: false });
-  const particlesRef = useRef([]);
-  const animationFrameRef = useRef(null);
+// Animated Background: the active scene runs in a worker (or the main-thread fallback), see particleRenderer.js.
+// `mode` is a BACKGROUND_SCENES id, `params` its colour/density/speed; `quality` is a QUALITY_LEVELS entry.
+// `onWorkerRenderer` is handed the renderer while a worker draws the scene (null otherwise), for the quality governor.
+const ParticleBackground = ({
+  burstMode, mode = DEFAULT_BACKGROUND_MODE, params = DEFAULT_BACKGROUND_PARAMS[DEFAULT_BACKGROUND_MODE],
+  particleCount = 150, gridSpacing = 40, constellation = false, quality = QUALITY_LEVELS[MAX_QUALITY_LEVEL], motion = 1,
+  onWorkerRenderer
+}) => {
+  const hostRef = useRef(null);
+  const rendererRef = useRef(null);
 
   useEffect(() => {
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d', { alpha: true });
-    let particles = particlesRef.current;
+    const renderer = createParticleRenderer(hostRef.current);
+    rendererRef.current = renderer;
+    onWorkerRenderer?.(renderer.mode === 'worker' ? renderer : null);
 
-    const resize = () => {
-      canvas.width = window.innerWidth;
-      canvas.height = window.innerHeight;
-    };
+    const resize = () => renderer.post({ type: 'resize', width: window.innerWidth, height: window.innerHeight });
     window.addEventListener('resize', resize);
     resize();
 
-    const Particle = createParticleClass(canvas, ctx, mouseRef);
-
-    // Responsive particle count
-    const count = window.innerWidth < 768 ? 60 : 150;
-    if (particles.length === 0) {
-      for (let i = 0; i < count; i++) particles.push(new Particle());
-    }
-    particlesRef.current = particles;
-
-    const animate = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      particles.forEach(p => { p.update(); p.draw(); });
-      
-      // Draw Grid with optimized rendering
-      ctx.strokeStyle = 'rgba(255, 0, 0, 0.03)';
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      for(let x = 0; x < canvas.width; x += 40) { ctx.moveTo(x, 0); ctx.lineTo(x, canvas.height); }
-      for(let y = 0; y < canvas.height; y += 40) { ctx.moveTo(0, y); ctx.lineTo(canvas.width, y); }
-      ctx.stroke();
-
-      animationFrameRef.current = requestAnimationFrame(animate);
-    };
-
-    animate();
-
-    // Burst Logic
-    if (burstMode) {
-      for (let i = 0; i < 50; i++) {
-        particles.push(new Particle(true));
-      }
-      setTimeout(() => {
-        particles.splice(count);
-      }, 2000);
-    }
-
     const moveHandler = (e) => {
       const x = e.touches ? e.touches[0].clientX : e.clientX;
       const y = e.touches ? e.touches[0].clientY : e.clientY;
-      mouseRef.current = { x, y, active: true };
+      renderer.post({ type: 'pointer', x, y, active: true });
     };
-    const endHandler = () => mouseRef.current.active = false;
+    const endHandler = () => renderer.post({ type: 'pointer', active: false });
 
     window.addEventListener('mousemove', moveHandler, { passive: true });
     window.addEventListener('touchmove', moveHandler, { passive: true });
@@ -393,14 +382,29 @@ const ParticleBackground = ({ burstMode }) => {
       window.removeEventListener('touchmove', moveHandler);
       window.removeEventListener('mouseup', endHandler);
       window.removeEventListener('touchend', endHandler);
-      cancelAnimationFrame(animationFrameRef.current);
+      renderer.dispose();
+      rendererRef.current = null;
+      onWorkerRenderer?.(null);
     };
+  }, [onWorkerRenderer]);
+
+  useEffect(() => {
+    // Responsive particle count, scaled from the active graphics preset and the governor's quality level
+    const baseCount = window.innerWidth < RESPONSIVE_BREAKPOINT ? particleCount * MOBILE_PARTICLE_SCALE : particleCount;
+    const count = Math.round(baseCount * quality.particleScale);
+    rendererRef.current.post({ type: 'config', mode, params, count, gridSpacing, constellation, quality, motion });
+  }, [mode, params, particleCount, gridSpacing, constellation, quality, motion]);
+
+  useEffect(() => {
+    if (burstMode) rendererRef.current.post({ type: 'burst' });
   }, [burstMode]);
 
-  return <canvas ref={canvasRef} className="fixed top-0 left-0 w-full h-full pointer-events-none z-0" />;
+  return <div ref={hostRef} className="fixed top-0 left-0 w-full h-full pointer-events-none z-0" />;
 };
 
-const LoadingScreen = ({ onComplete }) => {
+// Reduced motion skips most of the boot theatre: four big steps and a short hold
+const LoadingScreen = ({ onComplete, reducedMotion = false }) => {
+  const { t, formatPercent } = useI18n();
   const [progress, setProgress] = useState(0);
 
   useEffect(() => {
@@ -408,33 +412,40 @@ const LoadingScreen = ({ onComplete }) => {
       setProgress(prev => {
         if (prev >= 100) {
           clearInterval(interval);
-          setTimeout(onComplete, 500);
+          setTimeout(onComplete, reducedMotion ? 100 : 500);
           return 100;
         }
-        return prev + Math.floor(Math.random() * 8) + 2;
+        return prev + (reducedMotion ? 25 : Math.floor(Math.random() * 8) + 2);
       });
     }, 80);
     return () => clearInterval(interval);
-  }, [onComplete]);
+  }, [onComplete, reducedMotion]);
 
   return (
-    <div className="fixed inset-0 z-50 bg-black flex flex-col items-center justify-center">
+    <div className="fixed inset-0 z-50 bg-surface flex flex-col items-center justify-center">
       <div className="w-4/5 max-w-md relative">
         <div className="text-center mb-4 font-mono flex justify-between items-end">
-          <span className="text-red-500 text-xs tracking-widest">SYSTEM_BOOT_SEQ</span>
-          <span className="text-cyan-400 text-xl tracking-widest font-bold">{Math.min(progress, 100)}%</span>
+          <span className="text-primary-500 text-xs tracking-widest">{t('boot.sequence')}</span>
+          <span className="text-accent-400 text-xl tracking-widest font-bold">{formatPercent(Math.min(progress, 100))}</span>
         </div>
         <div className="relative h-12 w-full flex items-center">
-          <div className="absolute left-0 top-0 bottom-0 w-4 border-l-2 border-t-2 border-b-2 border-cyan-400" />
-          <div className="absolute right-0 top-0 bottom-0 w-4 border-r-2 border-t-2 border-b-2 border-cyan-400" />
-          <div className="flex-1 mx-6 h-8 flex gap-1 overflow-hidden">
+          <div className="absolute left-0 top-0 bottom-0 w-4 border-l-2 border-t-2 border-b-2 border-accent-400" />
+          <div className="absolute right-0 top-0 bottom-0 w-4 border-r-2 border-t-2 border-b-2 border-accent-400" />
+          <div
+            className="flex-1 mx-6 h-8 flex gap-1 overflow-hidden"
+            role="progressbar"
+            aria-label={t('boot.progress')}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.min(progress, 100)}
+          >
              {Array.from({ length: 40 }).map((_, i) => (
                <div 
                   key={i}
                   className={`h-full flex-1 transition-all duration-75 ${
                     (i / 40) * 100 < progress 
-                      ? 'bg-red-600 shadow-[0_0_10px_rgba(220,38,38,0.8)] scale-y-100' 
-                      : 'bg-red-900/10 scale-y-50'
+                      ? 'bg-primary-600 shadow-[0_0_10px_var(--theme-glow-80)] scale-y-100' 
+                      : 'bg-primary-900/10 scale-y-50'
                   }`}
                />
              ))}
@@ -445,117 +456,882 @@ const LoadingScreen = ({ onComplete }) => {
   );
 };
 
-const CyberCheckbox = ({ label, checked, onChange }) => (
-  <div className="flex items-center justify-between py-3 group cursor-pointer hover:bg-white/5 px-2 transition-colors" onClick={() => {
-    audio.playClickSound();
-    onChange(!checked);
-  }}>
+const CyberCheckbox = ({ label, checked, onChange, disabled = false }) => {
+  const { t } = useI18n();
+  return (
+  <div className={`flex items-center justify-between py-3 group px-2 transition-colors ${disabled ? 'opacity-40' : 'cursor-pointer hover:bg-white/5'}`}
+    role="switch"
+    aria-checked={checked}
+    aria-disabled={disabled || undefined}
+    tabIndex={disabled ? -1 : 0}
+    onClick={() => {
+      if (disabled) return;
+      audio.play(checked ? 'toggleOff' : 'toggleOn');
+      onChange(!checked);
+    }}
+    onKeyDown={(e) => {
+      if (disabled || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      audio.play(checked ? 'toggleOff' : 'toggleOn');
+      onChange(!checked);
+    }}
+  >
     <div className="flex items-center gap-3">
-      <div className={`w-1 h-4 ${checked ? 'bg-red-500 shadow-[0_0_8px_red]' : 'bg-red-900/50'} transition-all`} />
-      <span className="text-red-100 font-mono tracking-widest text-sm sm:text-base group-hover:text-red-400 transition-colors">
+      <div className={`w-1 h-4 ${checked ? 'bg-primary-500 shadow-[0_0_8px_var(--theme-glow)]' : 'bg-primary-900/50'} transition-all`} />
+      <span className="text-primary-100 font-mono tracking-widest text-sm sm:text-base group-hover:text-primary-400 transition-colors">
         {label}
       </span>
     </div>
-    <div className="flex gap-4">
+    <div className="flex gap-4" aria-hidden="true">
       <div className={`flex items-center gap-2 ${checked ? 'opacity-100' : 'opacity-30 blur-[1px]'}`}>
-        <span className="text-[10px] text-red-500 font-bold">ON</span>
-        <div className={`w-4 h-4 border border-red-500 flex items-center justify-center bg-black`}>
-          {checked && <div className="w-2 h-2 bg-red-500 shadow-[0_0_5px_red]" />}
+        <span className="text-[10px] text-primary-500 font-bold">{t('common.on')}</span>
+        <div className={`w-4 h-4 border border-primary-500 flex items-center justify-center bg-surface`}>
+          {checked && <div className="w-2 h-2 bg-primary-500 shadow-[0_0_5px_var(--theme-glow)]" />}
         </div>
       </div>
       <div className={`flex items-center gap-2 ${!checked ? 'opacity-100' : 'opacity-30 blur-[1px]'}`}>
-        <span className="text-[10px] text-red-500 font-bold">OFF</span>
-        <div className={`w-4 h-4 border border-red-500 flex items-center justify-center bg-black`}>
-          {!checked && <div className="w-2 h-2 bg-red-500 shadow-[0_0_5px_red]" />}
+        <span className="text-[10px] text-primary-500 font-bold">{t('common.off')}</span>
+        <div className={`w-4 h-4 border border-primary-500 flex items-center justify-center bg-surface`}>
+          {!checked && <div className="w-2 h-2 bg-primary-500 shadow-[0_0_5px_var(--theme-glow)]" />}
         </div>
       </div>
     </div>
   </div>
-);
+  );
+};
+
+// Slider readouts: `%` uses the locale's percent style, `ms` Intl's unit style, anything else a suffix
+const formatSliderValue = ({ formatNumber, formatPercent, formatUnit }, value, unit, digits) => {
+  if (unit === '%') return formatPercent(value, digits);
+  if (unit === 'ms') return formatUnit(value, 'millisecond', digits);
+  return unit ? `${formatNumber(value, digits)} ${unit}` : formatNumber(value, digits);
+};
+
+/**
+ * Pointer-events slider. `value` is a number, or `[low, high]` for a dual-thumb range.
+ * `log` spaces the track logarithmically (needs min > 0); `ticks` are values or `{ value, label }`;
+ * double-clicking the track restores `defaultValue`; clicking a readout lets you type an exact value.
+ * `formatValue` replaces the unit formatting for readouts (e.g. level names).
+ * In right-to-left locales the track fills from the right.
+ */
+const CyberSlider = ({
+  label, value, onChange, min = 0, max = 100, step = 1, unit = '%', log = false,
+  defaultValue, ticks = [], disabled = false, formatValue
+}) => {
+  const labelId = useId();
+  const i18n = useI18n();
+  const { t, dir } = i18n;
+  const rtl = dir === 'rtl';
+  const isRange = Array.isArray(value);
+  const values = isRange ? value : [value];
+  const scale = { min, max, step, log };
+  const digits = scaleDigits(scale);
+  const format = (v) => (formatValue ? formatValue(v) : formatSliderValue(i18n, v, unit, digits));
+  const trackRef = useRef(null);
+  const dragRef = useRef(null); // index of the thumb following the pointer
+  const [editing, setEditing] = useState(null); // index of the readout being typed into
+  const [draft, setDraft] = useState('');
+  // Set once an edit is applied or cancelled, so the blur from unmounting the input is ignored
+  const editDoneRef = useRef(false);
+
+  // Range thumbs can meet but not cross
+  const commit = (index, next) => {
+    const bounded = isRange
+      ? Math.min(index === 0 ? values[1] : max, Math.max(index === 1 ? values[0] : min, next))
+      : next;
+    if (bounded === values[index]) return;
+    audio.play('sliderTick');
+    onChange(isRange ? values.map((v, i) => (i === index ? bounded : v)) : bounded);
+  };
+
+  const valueAt = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const offset = rtl ? rect.right - clientX : clientX - rect.left;
+    return snapValue(positionToValue(offset / rect.width, scale), scale);
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled || !e.isPrimary || e.button !== 0) return;
+    const next = valueAt(e.clientX);
+    // The nearer thumb takes the pointer; from a shared spot, whichever can move that way
+    const index = isRange
+      ? (Math.abs(next - values[0]) < Math.abs(next - values[1]) || (values[0] === values[1] && next < values[0]) ? 0 : 1)
+      : 0;
+    dragRef.current = index;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    commit(index, next);
+  };
 
-// CyberSlider with robust event handling
-const CyberSlider = ({ label, value, onChange }) => (
-  <div className="mb-6 select-none">
-    <div className="flex justify-between items-center mb-2">
-      <span className="bg-red-500/10 px-2 py-0.5 text-xs text-red-400 border-l-2 border-red-500 font-bold tracking-wider uppercase">
+  const handlePointerMove = (e) => {
+    if (dragRef.current !== null) commit(dragRef.current, valueAt(e.clientX));
+  };
+
+  const handlePointerEnd = () => {
+    if (dragRef.current === null) return;
+    dragRef.current = null;
+    audio.playClickSound();
+  };
+
+  const handleKeyDown = (index) => (e) => {
+    const current = values[index];
+    // Up/Down stay with spatial navigation; PageUp/PageDown give screen-reader users the large step
+    const steps = {
+      ArrowLeft: rtl ? 1 : -1,
+      ArrowRight: rtl ? -1 : 1,
+      PageDown: -SLIDER_STEP_LARGE,
+      PageUp: SLIDER_STEP_LARGE
+    }[e.key];
+    let next;
+    if (e.key === 'Home') next = min;
+    else if (e.key === 'End') next = max;
+    else if (steps !== undefined) next = stepValue(current, e.shiftKey && Math.abs(steps) === 1 ? steps * SLIDER_STEP_LARGE : steps, scale);
+    else return;
+    e.preventDefault();
+    commit(index, next);
+  };
+
+  const resetToDefault = () => {
+    if (disabled || defaultValue === undefined) return;
+    const target = Array.isArray(defaultValue) ? defaultValue : [defaultValue];
+    if (target.every((v, i) => v === values[i])) return;
+    audio.play('toggleOff');
+    onChange(defaultValue);
+  };
+
+  const startEditing = (index) => {
+    if (disabled) return;
+    audio.playClickSound();
+    editDoneRef.current = false;
+    setDraft(String(values[index]));
+    setEditing(index);
+  };
+
+  const finishEditing = (apply) => {
+    if (editing === null || editDoneRef.current) return;
+    editDoneRef.current = true;
+    const index = editing;
+    setEditing(null);
+    if (!apply) return;
+    const next = parseSliderInput(draft, scale);
+    if (next === null) {
+      audio.play('error');
+      return;
+    }
+    commit(index, next);
+  };
+
+  const tickMarks = ticks.map(tick => (typeof tick === 'number' ? { value: tick } : tick));
+  const positions = values.map(v => valueToPosition(v, scale) * 100);
+  const fillStart = isRange ? positions[0] : 0;
+  const fillSize = isRange ? positions[1] - positions[0] : positions[0];
+  const thumbLabels = isRange ? [t('slider.minimum', { label }), t('slider.maximum', { label })] : [null];
+
+  return (
+  <div className={`mb-6 select-none ${disabled ? 'opacity-40' : ''}`} aria-disabled={disabled || undefined}>
+    <div className="flex justify-between items-center mb-2 gap-2">
+      <span id={labelId} className="bg-primary-500/10 px-2 py-0.5 text-xs text-primary-400 border-s-2 border-primary-500 font-bold tracking-wider uppercase">
         {label}
       </span>
-      <span className="font-mono text-cyan-400 shadow-cyan-400/50">{value}%</span>
+      <span className="flex items-center gap-1 font-mono text-accent-400 shadow-accent-400/50">
+        {values.map((v, index) => (
+          <span key={index} className="flex items-center gap-1">
+            {index > 0 && <span className="text-primary-600" aria-hidden="true">–</span>}
+            {editing === index ? (
+              <input
+                type="text"
+                inputMode="decimal"
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={() => finishEditing(true)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') finishEditing(true);
+                  else if (e.key === 'Escape') finishEditing(false);
+                }}
+                aria-label={t('slider.edit', { label: thumbLabels[index] || label })}
+                className="w-20 bg-surface border border-accent-400 px-1 text-end text-accent-400 outline-none"
+              />
+            ) : (
+              <button
+                type="button"
+                disabled={disabled}
+                onClick={() => startEditing(index)}
+                aria-label={t('slider.edit', { label: thumbLabels[index] || label })}
+                className="hover:text-white transition-colors custom-focus"
+              >
+                {format(v)}
+              </button>
+            )}
+          </span>
+        ))}
+      </span>
     </div>
-    <div className="relative h-8 w-full flex items-center cursor-pointer group touch-none" 
-      onMouseDown={(e) => {
-        const rect = e.currentTarget.getBoundingClientRect();
-        
-        const update = (ev) => {
-          const clientX = ev.touches ? ev.touches[0].clientX : ev.clientX;
-          const pct = Math.max(0, Math.min(100, ((clientX - rect.left) / rect.width) * 100));
-          onChange(Math.round(pct));
-        };
-        
-        update(e);
-        
-        const move = (ev) => { update(ev); };
-        const up = () => { 
-          window.removeEventListener('mousemove', move);
-          window.removeEventListener('mouseup', up);
-          window.removeEventListener('touchmove', move);
-          window.removeEventListener('touchend', up);
-          audio.playClickSound();
-        };
-        
-        window.addEventListener('mousemove', move);
-        window.addEventListener('mouseup', up);
-        window.addEventListener('touchmove', move);
-        window.addEventListener('touchend', up);
-      }}
-      onTouchStart={(e) => {
-        const rect = e.currentTarget.getBoundingClientRect();
-        const update = (ev) => {
-          const clientX = ev.touches ? ev.touches[0].clientX : ev.clientX;
-          const pct = Math.max(0, Math.min(100, ((clientX - rect.left) / rect.width) * 100));
-          onChange(Math.round(pct));
-        };
-        update(e);
-        const move = (ev) => { update(ev); };
-        const up = () => { 
-          window.removeEventListener('touchmove', move);
-          window.removeEventListener('touchend', up);
-          audio.playClickSound();
-        };
-        window.addEventListener('touchmove', move);
-        window.addEventListener('touchend', up);
-      }}
+    <div
+      ref={trackRef}
+      className={`relative h-8 w-full flex items-center group touch-none ${disabled ? 'cursor-default' : 'cursor-pointer'}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerEnd}
+      onPointerCancel={handlePointerEnd}
+      onDoubleClick={resetToDefault}
     >
-      <div className="absolute w-full h-2 bg-red-900/20 border border-red-900/50" />
-      <div className="absolute h-2 bg-red-600 shadow-[0_0_15px_rgba(239,68,68,0.6)] transition-all duration-75" style={{ width: `${value}%` }} />
-      <div 
-        className="absolute h-5 w-3 bg-black border border-red-400 group-hover:bg-red-950 transition-all z-10"
-        style={{ left: `${value}%`, transform: 'translateX(-50%)' }}
+      <div className="absolute w-full h-2 bg-primary-900/20 border border-primary-900/50" />
+      <div
+        className="absolute h-2 bg-primary-600 shadow-[0_0_15px_var(--theme-glow-60)] transition-all duration-75"
+        style={{ insetInlineStart: `${fillStart}%`, width: `${fillSize}%` }}
+      />
+      {tickMarks.map(tick => (
+        <div
+          key={tick.value}
+          className="absolute top-full -mt-2 flex flex-col items-center pointer-events-none"
+          style={{ insetInlineStart: `${valueToPosition(tick.value, scale) * 100}%`, transform: `translateX(${rtl ? 50 : -50}%)` }}
+          aria-hidden="true"
+        >
+          <div className="w-px h-1.5 bg-primary-700" />
+          {tick.label && <span className="text-[8px] font-mono text-primary-600 leading-none mt-0.5">{tick.label}</span>}
+        </div>
+      ))}
+      {values.map((v, index) => (
+        <div
+          key={index}
+          role="slider"
+          aria-labelledby={isRange ? undefined : labelId}
+          aria-label={thumbLabels[index] || undefined}
+          aria-valuemin={isRange && index === 1 ? values[0] : min}
+          aria-valuemax={isRange && index === 0 ? values[1] : max}
+          aria-valuenow={v}
+          aria-valuetext={format(v)}
+          aria-disabled={disabled || undefined}
+          tabIndex={disabled ? -1 : 0}
+          onKeyDown={disabled ? undefined : handleKeyDown(index)}
+          className="absolute h-5 w-3 bg-surface border border-primary-400 group-hover:bg-primary-950 focus-visible:border-accent-400 focus-visible:shadow-[0_0_12px_var(--theme-accent-70)] transition-all z-10 outline-none"
+          style={{ insetInlineStart: `${positions[index]}%`, transform: `translateX(${rtl ? 50 : -50}%)` }}
+        >
+          <div className="w-full h-[1px] bg-primary-500 mt-2" />
+        </div>
+      ))}
+    </div>
+    {tickMarks.some(tick => tick.label) && <div className="h-3" aria-hidden="true" />}
+  </div>
+  );
+};
+
+// Row of mutually exclusive option buttons; `options` = [{ id, label, disabled }]
+const OptionRow = ({ label, options, value, onChange }) => (
+  <div className="mb-4">
+    <div className="text-[10px] text-primary-400 font-bold tracking-wider uppercase mb-2" aria-hidden="true">{label}</div>
+    <div className="flex flex-wrap gap-1" role="group" aria-label={label}>
+      {options.map(option => {
+        const active = value === option.id;
+        return (
+          <button
+            key={option.id}
+            disabled={option.disabled}
+            aria-pressed={active}
+            onClick={() => { audio.playClickSound(); onChange(option.id); }}
+            onMouseEnter={() => !option.disabled && audio.playHoverSound()}
+            className={`flex-1 min-w-[4.5rem] px-2 py-2 text-[9px] sm:text-xs font-bold uppercase tracking-widest border transition-colors ${
+              active
+                ? 'bg-primary-600 text-black border-primary-500 shadow-[0_0_12px_var(--theme-glow-60)]'
+                : option.disabled
+                  ? 'border-primary-900/30 text-primary-900 cursor-default'
+                  : 'border-primary-900/50 text-primary-400 hover:border-primary-500 hover:text-primary-100'
+            }`}
+          >
+            {option.label}
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
+
+/**
+ * Dropdown in the select-only combobox pattern; `options` = [{ id, label, disabled }].
+ * Focus stays on the trigger: Enter, Space or Alt+Down open the list, arrows move the highlight,
+ * Enter/Space pick and Escape, Tab or a click outside close without changing. Plain Up/Down on a
+ * closed select are left to spatial navigation.
+ */
+const CyberSelect = ({ label, options, value, onChange, disabled = false }) => {
+  const { chromatic, glow } = useContext(ControlFxContext);
+  const labelId = useId();
+  const listId = useId();
+  const rootRef = useRef(null);
+  const listRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(-1);
+  const selectedIndex = options.findIndex(option => option.id === value);
+  const enabled = options.map((option, index) => (option.disabled ? -1 : index)).filter(index => index >= 0);
+
+  useEffect(() => {
+    if (!open) return;
+    const closeOutside = (e) => {
+      if (!rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('pointerdown', closeOutside);
+    return () => document.removeEventListener('pointerdown', closeOutside);
+  }, [open]);
+
+  const moveHighlight = (index) => {
+    setHighlight(index);
+    listRef.current?.children[index]?.scrollIntoView({ block: 'nearest' });
+  };
+
+  const openList = () => {
+    if (disabled || !enabled.length) return;
+    audio.playClickSound();
+    setHighlight(enabled.includes(selectedIndex) ? selectedIndex : enabled[0]);
+    setOpen(true);
+  };
+
+  const choose = (index) => {
+    const option = options[index];
+    setOpen(false);
+    if (!option || option.disabled || option.id === value) return;
+    audio.playClickSound();
+    onChange(option.id);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open) {
+      if (e.key === 'Enter' || e.key === ' ' || (e.altKey && e.key === 'ArrowDown')) {
+        e.preventDefault();
+        openList();
+      }
+      return;
+    }
+    const position = enabled.indexOf(highlight);
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      const next = enabled[Math.min(enabled.length - 1, Math.max(0, position + (e.key === 'ArrowDown' ? 1 : -1)))];
+      if (next !== highlight) audio.playHoverSound();
+      moveHighlight(next);
+    } else if (e.key === 'Home' || e.key === 'End') {
+      moveHighlight(e.key === 'Home' ? enabled[0] : enabled[enabled.length - 1]);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      choose(highlight);
+    } else if (e.key === 'Escape') {
+      // Closing the list shouldn't also take the view back
+      e.stopPropagation();
+      setOpen(false);
+    } else {
+      if (e.key === 'Tab') setOpen(false);
+      return;
+    }
+    e.preventDefault();
+  };
+
+  return (
+    <div ref={rootRef} className="relative mb-4">
+      <div id={labelId} className="text-[10px] text-primary-400 font-bold tracking-wider uppercase mb-2">{label}</div>
+      <button
+        type="button"
+        role="combobox"
+        aria-labelledby={labelId}
+        aria-haspopup="listbox"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={open && highlight >= 0 ? `${listId}-${highlight}` : undefined}
+        disabled={disabled}
+        onClick={() => (open ? setOpen(false) : openList())}
+        onKeyDown={handleKeyDown}
+        onMouseEnter={() => { if (!disabled) audio.playHoverSound(); }}
+        className={`w-full flex items-center justify-between gap-2 px-3 py-2 border bg-surface/60 font-mono text-xs sm:text-sm tracking-widest uppercase text-start transition-colors disabled:opacity-30 ${
+          open ? 'border-accent-400 text-white shadow-[0_0_12px_var(--theme-glow-60)]' : 'border-primary-900/50 text-primary-100 hover:border-primary-500'
+        }`}
       >
-        <div className="w-full h-[1px] bg-red-500 mt-2" />
+        <span className={`truncate ${chromatic} ${glow}`}>{selectedIndex >= 0 ? options[selectedIndex].label : '—'}</span>
+        <ChevronDown size={14} className={`shrink-0 text-primary-500 transition-transform ${open ? 'rotate-180' : ''}`} aria-hidden="true" />
+      </button>
+      <ul
+        ref={listRef}
+        id={listId}
+        role="listbox"
+        aria-labelledby={labelId}
+        hidden={!open}
+        className="absolute z-30 inset-x-0 mt-1 max-h-60 overflow-y-auto border border-primary-500 bg-surface/95 shadow-[0_0_20px_var(--theme-glow-40)]"
+      >
+        {options.map((option, index) => {
+          const selected = index === selectedIndex;
+          return (
+            <li
+              key={option.id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={selected}
+              aria-disabled={option.disabled || undefined}
+              // Keep focus on the trigger so the keyboard handler stays in charge
+              onPointerDown={(e) => e.preventDefault()}
+              onPointerEnter={() => {
+                if (option.disabled || index === highlight) return;
+                audio.playHoverSound();
+                setHighlight(index);
+              }}
+              onClick={() => choose(index)}
+              className={`flex items-center justify-between gap-2 px-3 py-2 font-mono text-xs sm:text-sm tracking-widest uppercase ${
+                option.disabled
+                  ? 'text-primary-900 cursor-default'
+                  : index === highlight
+                    ? 'bg-primary-600/30 text-white cursor-pointer'
+                    : 'text-primary-300 cursor-pointer'
+              }`}
+            >
+              <span className="truncate">{option.label}</span>
+              {selected && <Check size={12} className="shrink-0 text-accent-400" aria-hidden="true" />}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Segmented single choice in the radio group pattern; `options` = [{ id, label, disabled }].
+ * One tab stop: Left/Right (mirrored in right-to-left locales), Home and End move and select.
+ */
+const SegmentedControl = ({ label, options, value, onChange }) => {
+  const { dir } = useI18n();
+  const { chromatic, glow } = useContext(ControlFxContext);
+  const buttonRefs = useRef([]);
+  const enabled = options.map((option, index) => (option.disabled ? -1 : index)).filter(index => index >= 0);
+  const activeIndex = options.findIndex(option => option.id === value);
+  const focusIndex = enabled.includes(activeIndex) ? activeIndex : enabled[0];
+
+  const select = (index) => {
+    const option = options[index];
+    if (option.disabled || option.id === value) return;
+    audio.playClickSound();
+    onChange(option.id);
+  };
+
+  const handleKeyDown = (e) => {
+    const position = enabled.indexOf(focusIndex);
+    const forward = dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const backward = dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+    let next;
+    if (e.key === forward) next = enabled[(position + 1) % enabled.length];
+    else if (e.key === backward) next = enabled[(position - 1 + enabled.length) % enabled.length];
+    else if (e.key === 'Home') next = enabled[0];
+    else if (e.key === 'End') next = enabled[enabled.length - 1];
+    else return;
+    e.preventDefault();
+    buttonRefs.current[next]?.focus();
+    select(next);
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="text-[10px] text-primary-400 font-bold tracking-wider uppercase mb-2" aria-hidden="true">{label}</div>
+      <div className="flex border border-primary-900/50 divide-x divide-primary-900/50 rtl:divide-x-reverse" role="radiogroup" aria-label={label} onKeyDown={handleKeyDown}>
+        {options.map((option, index) => {
+          const active = index === activeIndex;
+          return (
+            <button
+              key={option.id}
+              ref={(el) => { buttonRefs.current[index] = el; }}
+              type="button"
+              role="radio"
+              aria-checked={active}
+              disabled={option.disabled}
+              tabIndex={index === focusIndex ? 0 : -1}
+              onClick={() => select(index)}
+              onMouseEnter={() => { if (!option.disabled) audio.playHoverSound(); }}
+              className={`relative flex-1 min-w-[3.5rem] px-2 py-2 text-[9px] sm:text-xs font-bold uppercase tracking-widest transition-colors ${
+                active
+                  ? `bg-primary-600/20 text-white ${chromatic} ${glow}`
+                  : option.disabled
+                    ? 'text-primary-900 cursor-default'
+                    : 'text-primary-400 hover:bg-white/5 hover:text-primary-100'
+              }`}
+            >
+              {option.label}
+              {active && <span className="absolute inset-x-0 bottom-0 h-0.5 bg-primary-500 shadow-[0_0_8px_var(--theme-glow)]" aria-hidden="true" />}
+            </button>
+          );
+        })}
       </div>
     </div>
-  </div>
+  );
+};
+
+/**
+ * Colour picker: the native picker behind a swatch, a hex field for typing or pasting, and optional
+ * preset `swatches`. `value` is `#rrggbb`; the native picker reports every drag step for live
+ * preview, and the hex field only calls onChange once it holds a complete colour.
+ */
+const CyberColourInput = ({ label, value, onChange, swatches = [] }) => {
+  const { t } = useI18n();
+  const { glow } = useContext(ControlFxContext);
+  const pickerId = useId();
+  const [draft, setDraft] = useState(null); // hex text while it is being edited; null shows `value`
+  const draftValid = draft === null || HEX_COLOUR_PATTERN.test(draft);
+
+  const pick = (colour) => {
+    setDraft(null);
+    if (colour.toLowerCase() === value.toLowerCase()) return;
+    onChange(colour.toLowerCase());
+  };
+
+  const editHex = (text) => {
+    const hex = text.startsWith('#') ? text : `#${text}`;
+    setDraft(hex);
+    if (HEX_COLOUR_PATTERN.test(hex) && hex.toLowerCase() !== value.toLowerCase()) onChange(hex.toLowerCase());
+  };
+
+  const finishHex = () => {
+    if (!draftValid) audio.play('error');
+    setDraft(null);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 py-2 px-2 hover:bg-white/5 transition-colors">
+      <label htmlFor={pickerId} className="text-primary-100 font-mono tracking-widest text-sm sm:text-base uppercase cursor-pointer">
+        {label}
+      </label>
+      <div className="flex items-center gap-2">
+        {swatches.map(colour => (
+          <button
+            key={colour}
+            type="button"
+            aria-pressed={colour.toLowerCase() === value.toLowerCase()}
+            aria-label={t('controls.swatch', { label, colour: colour.toUpperCase() })}
+            onClick={() => { audio.playClickSound(); pick(colour); }}
+            onMouseEnter={() => audio.playHoverSound()}
+            className={`w-4 h-4 border transition-transform hover:scale-125 ${colour.toLowerCase() === value.toLowerCase() ? 'border-white' : 'border-primary-900/50'}`}
+            style={{ backgroundColor: colour }}
+          />
+        ))}
+        <input
+          type="text"
+          value={(draft ?? value).toUpperCase()}
+          maxLength={7}
+          spellCheck={false}
+          aria-label={t('controls.hexValue', { label })}
+          aria-invalid={!draftValid || undefined}
+          onChange={(e) => editHex(e.target.value.trim())}
+          onBlur={finishHex}
+          onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+          className={`w-20 bg-surface/60 border px-1 py-0.5 font-mono text-xs text-accent-400 outline-none focus:border-accent-400 ${glow} ${
+            draftValid ? 'border-primary-900/50' : 'border-primary-500 text-primary-500'
+          }`}
+        />
+        <input
+          id={pickerId}
+          type="color"
+          value={value}
+          onClick={() => audio.playClickSound()}
+          onChange={(e) => pick(e.target.value)}
+          className="w-8 h-8 p-0 bg-transparent border border-primary-500 cursor-pointer"
+        />
+      </div>
+    </div>
+  );
+};
+
+const MODIFIER_KEYS = ['shift', 'control', 'alt', 'meta'];
+
+/**
+ * Key-capture input: click (or Enter) to listen, then the next key becomes the value. `validate(key)`
+ * returns null or a message; a rejected key is reported as an error toast and listening continues.
+ * Escape or moving focus away cancels. While listening, key presses don't reach the app shortcuts.
+ * Values are normalized keys (see keybindings.js).
+ */
+const KeyCaptureInput = ({ label, value, onChange, validate = () => null }) => {
+  const { t } = useI18n();
+  const { glow } = useContext(ControlFxContext);
+  const [listening, setListening] = useState(false);
+
+  const capture = (e) => {
+    if (!listening) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const key = normalizeKey(e.key);
+    if (key === 'escape') {
+      setListening(false);
+      return;
+    }
+    // Wait for a real key when only a modifier is pressed
+    if (MODIFIER_KEYS.includes(key)) return;
+    const problem = validate(key);
+    if (problem) {
+      notifications.notify(problem, { type: 'error', key: 'keyCapture' });
+      return;
+    }
+    audio.playClickSound();
+    setListening(false);
+    if (key !== value) onChange(key);
+  };
+
+  return (
+    <div className="flex items-center justify-between py-2 px-2 hover:bg-white/5 transition-colors">
+      <span className="text-primary-100 font-mono tracking-widest text-xs sm:text-sm uppercase" aria-hidden="true">{label}</span>
+      <button
+        type="button"
+        aria-label={t('controls.rebind', { label, key: formatKey(value) })}
+        aria-pressed={listening}
+        onClick={(e) => {
+          audio.playClickSound();
+          // Safari doesn't focus buttons on click, and the capture listens on this button
+          e.currentTarget.focus();
+          setListening(!listening);
+        }}
+        onKeyDown={capture}
+        onBlur={() => setListening(false)}
+        onMouseEnter={() => audio.playHoverSound()}
+        className={`min-w-[7rem] px-3 py-1 border font-mono text-xs tracking-widest transition-colors ${
+          listening
+            ? `border-accent-400 text-accent-400 animate-pulse ${glow}`
+            : 'border-primary-900/50 text-white hover:border-primary-500'
+        }`}
+      >
+        {listening ? t('config.pressKey') : formatKey(value)}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Single-line text field. `invalid` colours the border and sets aria-invalid; `hint` is shown
+ * underneath and announced as the field's description.
+ */
+const CyberTextField = ({
+  label, value, onChange, placeholder, hint, invalid = false, type = 'text', maxLength, icon: IconComponent
+}) => {
+  const { glow } = useContext(ControlFxContext);
+  const inputId = useId();
+  const hintId = useId();
+  return (
+    <div className="mb-4">
+      <label htmlFor={inputId} className="block text-[10px] text-primary-400 font-bold tracking-wider uppercase mb-2">{label}</label>
+      <div
+        className={`flex items-center gap-2 px-3 py-2 border bg-surface/60 transition-colors focus-within:shadow-[0_0_12px_var(--theme-glow-60)] ${
+          invalid ? 'border-primary-500' : 'border-primary-900/50 hover:border-primary-500 focus-within:border-accent-400'
+        }`}
+        onMouseEnter={() => audio.playHoverSound()}
+      >
+        {IconComponent && <IconComponent size={14} className="shrink-0 text-primary-500" aria-hidden="true" />}
+        <input
+          id={inputId}
+          type={type}
+          value={value}
+          placeholder={placeholder}
+          maxLength={maxLength}
+          spellCheck={false}
+          aria-invalid={invalid || undefined}
+          aria-describedby={hint ? hintId : undefined}
+          onChange={(e) => onChange(e.target.value)}
+          className={`w-full bg-transparent font-mono text-xs sm:text-sm tracking-widest text-white placeholder:text-primary-800 outline-none ${glow}`}
+        />
+      </div>
+      {hint && <p id={hintId} className={`mt-1 text-[9px] sm:text-[10px] font-mono ${invalid ? 'text-primary-500' : 'text-primary-800'}`}>{hint}</p>}
+    </div>
+  );
+};
+
+/**
+ * The control for one SETTINGS_SCHEMA field, chosen by `field.control`, with its help line and any
+ * dependency that is holding it disabled. `options` are resolved `{ id, label, disabled }`;
+ * `custom` is rendered for 'custom' fields. `onChange(key, value)` may be called once per key
+ * (a range control sets both ends).
+ */
+const SettingField = ({ field, settings, value = settings[field.key], options, custom, onChange }) => {
+  const { t } = useI18n();
+  const enabled = requirementsMet(settings, field.key);
+  const label = t(field.label);
+  const unmet = (field.requires || []).filter(condition => !conditionMet(settings, condition));
+  const sliderProps = field.range && {
+    min: field.range[0],
+    max: field.range[1],
+    step: field.step,
+    unit: field.unit,
+    log: field.log,
+    ticks: field.ticks,
+    disabled: !enabled,
+    // Ticks that name every stop (quality levels) double as the readout
+    formatValue: field.ticks?.every(tick => tick.label)
+      ? (v) => field.ticks.find(tick => tick.value === v)?.label ?? v
+      : undefined
+  };
+  const choiceOptions = options?.map(option => ({ ...option, disabled: option.disabled || !enabled }));
+
+  let control;
+  switch (field.control) {
+    case 'toggle':
+      control = <CyberCheckbox label={label} checked={value} disabled={!enabled} onChange={(v) => onChange(field.key, v)} />;
+      break;
+    case 'slider':
+      control = <CyberSlider label={label} {...sliderProps} defaultValue={field.default} value={value} onChange={(v) => onChange(field.key, v)} />;
+      break;
+    case 'range':
+      control = (
+        <CyberSlider
+          label={label}
+          {...sliderProps}
+          defaultValue={[field.default, SETTINGS_FIELDS[field.upper].default]}
+          value={[value, settings[field.upper]]}
+          onChange={([low, high]) => { onChange(field.key, low); onChange(field.upper, high); }}
+        />
+      );
+      break;
+    case 'options':
+      control = <OptionRow label={label} options={choiceOptions} value={value} onChange={(v) => onChange(field.key, v)} />;
+      break;
+    case 'segmented':
+      control = <SegmentedControl label={label} options={choiceOptions} value={value} onChange={(v) => onChange(field.key, v)} />;
+      break;
+    case 'select':
+      control = <CyberSelect label={label} options={options} value={value} disabled={!enabled} onChange={(v) => onChange(field.key, v)} />;
+      break;
+    default:
+      control = custom;
+  }
+
+  return (
+    <div data-setting={field.key}>
+      {control}
+      <p className="px-2 -mt-2 mb-4 text-[9px] sm:text-[10px] text-primary-800 font-mono">
+        {t(field.description)}
+        {unmet.map(condition => (
+          <span key={condition.key} className="text-accent-400/80">
+            {' // '}
+            {t(condition.equals === true ? 'config.requires' : 'config.dependsOn', { setting: t(SETTINGS_FIELDS[condition.key].label) })}
+          </span>
+        ))}
+      </p>
+    </div>
+  );
+};
+
+// Titled block of the config page; `onReset` adds a button that puts every setting in it back to its default
+const SettingsSection = ({ id, icon: IconComponent, label, onReset, children }) => {
+  const { t } = useI18n();
+  const headingId = `config-${id}-heading`;
+  return (
+    <div className="space-y-2" role="group" aria-labelledby={headingId}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <IconComponent className="text-primary-500" size={16} />
+          <span id={headingId} className="text-xs sm:text-sm font-bold text-primary-500 uppercase tracking-widest">{label}</span>
+        </div>
+        {onReset && (
+          <button
+            onClick={() => { audio.playClickSound(); onReset(); }}
+            onMouseEnter={() => audio.playHoverSound()}
+            aria-label={t('config.resetSectionLabel', { section: label })}
+            className="flex items-center gap-1 text-[10px] text-primary-400 hover:text-primary-100 uppercase tracking-widest font-bold transition-colors"
+          >
+            <RotateCcw size={12} /> {t('config.resetSection')}
+          </button>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+};
+
+// Option lists name their catalog key; App resolves `labelKey` to `label` for the active locale
+
+const BACKGROUND_COLOUR_OPTIONS = [
+  { id: THEME_COLOUR, labelKey: 'colours.theme' },
+  { id: '#dc2626', labelKey: 'colours.red' },
+  { id: '#f59e0b', labelKey: 'colours.amber' },
+  { id: '#22c55e', labelKey: 'colours.green' },
+  { id: '#22d3ee', labelKey: 'colours.cyan' },
+  { id: '#d946ef', labelKey: 'colours.magenta' },
+  { id: '#e5e7eb', labelKey: 'colours.white' }
+];
+
+const BACKGROUND_DENSITY_OPTIONS = [
+  { id: 0.5, labelKey: 'density.sparse' },
+  { id: 1, labelKey: 'density.normal' },
+  { id: 1.5, labelKey: 'density.dense' },
+  { id: 2, labelKey: 'density.max' }
+];
+
+const BACKGROUND_SPEED_OPTIONS = [
+  { id: 0.5, labelKey: 'speed.slow' },
+  { id: 1, labelKey: 'speed.normal' },
+  { id: 2, labelKey: 'speed.fast' },
+  { id: 3, labelKey: 'speed.hyper' }
+];
+
+const SOUND_EVENT_OPTIONS = SOUND_EVENTS.map(id => ({ id, labelKey: `soundEvents.${id}` }));
+
+const MetricCell = ({ label, value }) => {
+  const { t } = useI18n();
+  const missing = value === t('common.notAvailable') || value === t('common.unsupported');
+  return (
+    <div className="bg-surface/40 border border-primary-900/30 p-2">
+      <div className="text-[8px] sm:text-[10px] uppercase text-primary-500 mb-1">{label}</div>
+      <div className={`font-mono text-sm sm:text-base break-words ${missing ? 'text-primary-900' : 'text-white'}`}>{value}</div>
+    </div>
+  );
+};
+
+const PANEL_TONES = {
+  primary: { border: 'border-primary-500', icon: 'text-primary-500', title: 'text-primary-100' },
+  accent: { border: 'border-accent-400', icon: 'text-accent-400', title: 'text-accent-100' }
+};
+
+// Titled grid of MetricCells in the device view
+const DiagnosticsPanel = ({ icon: IconComponent, label, tone = 'accent', children, footer }) => {
+  const classes = PANEL_TONES[tone];
+  return (
+    <div className={`bg-primary-950/10 p-3 sm:p-4 border-s-4 ${classes.border}`}>
+      <div className="flex items-center gap-2 sm:gap-3 mb-3">
+        <IconComponent className={classes.icon} size={16}/>
+        <span className={`text-xs sm:text-sm font-bold uppercase ${classes.title}`}>{label}</span>
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 sm:gap-3">
+        {children}
+      </div>
+      {footer}
+    </div>
+  );
+};
+
+// Each palette slot offers the built-in palettes' colours for that slot as one-click presets
+const THEME_SWATCHES = Object.fromEntries(THEME_KEYS.map(key => [
+  key, [...new Set(Object.values(BUILTIN_THEMES).map(theme => theme.colours[key]))]
+]));
+
+const ActionButton = ({ label, icon: IconComponent, onClick, disabled = false, autoFocus = false }) => (
+  <button
+    disabled={disabled}
+    autoFocus={autoFocus}
+    onClick={() => { audio.playClickSound(); onClick(); }}
+    onMouseEnter={() => { if (!disabled) audio.playHoverSound(); }}
+    className="flex items-center justify-center gap-2 border border-primary-900/50 text-primary-400 py-2 hover:border-primary-500 hover:text-primary-100 hover:bg-primary-950/30 transition-colors uppercase tracking-widest text-[10px] sm:text-xs font-bold disabled:opacity-30 disabled:pointer-events-none"
+  >
+    <IconComponent size={14} /> {label}
+  </button>
 );
 
-const AttributeNode = ({ label, value, icon: IconComponent, active, onClick }) => (
+// Radio within the attribute radiogroup; only the active node is in the tab order (arrows move between nodes).
+// `pending` points are shown on top of the committed value until they are injected.
+const AttributeNode = ({ id, label, value, pending = 0, icon: IconComponent, active, onClick }) => (
   <button 
+    data-attr={id}
+    role="radio"
+    aria-checked={active}
+    aria-label={`${label} ${value + pending}`}
+    tabIndex={active ? 0 : -1}
     onClick={() => {
       audio.playClickSound();
       onClick();
     }}
     onMouseEnter={() => audio.playHoverSound()}
-    className={`group relative flex items-center justify-center w-20 h-20 xs:w-24 xs:h-24 sm:w-28 sm:h-28 m-1 sm:m-2 transition-all duration-300 transform outline-none`}
+    className={`group relative flex items-center justify-center w-20 h-20 xs:w-24 xs:h-24 sm:w-28 sm:h-28 m-1 sm:m-2 transition-all duration-300 transform outline-none custom-focus`}
   >
-    <div className={`absolute inset-0 transform rotate-45 border-2 transition-all duration-300 ${
+    <div className={`absolute inset-0 transform rotate-45 border-2 transition-all duration-300 group-focus-visible:border-accent-400 group-focus-visible:shadow-[0_0_25px_var(--theme-accent-70)] ${
       active 
-        ? 'bg-red-600/20 border-red-500 shadow-[0_0_25px_rgba(239,68,68,0.6)] scale-110' 
-        : 'bg-black/80 border-red-900/50 hover:border-red-500/80 hover:scale-105'
+        ? 'bg-primary-600/20 border-primary-500 shadow-[0_0_25px_var(--theme-glow-60)] scale-110' 
+        : 'bg-surface/80 border-primary-900/50 hover:border-primary-500/80 hover:scale-105'
     }`}></div>
-    <div className="relative z-10 flex flex-col items-center justify-center text-red-500">
-      <IconComponent size={20} className={`mb-1 transition-all ${active ? 'text-white drop-shadow-[0_0_5px_white]' : 'text-red-600'}`} />
-      <span className="text-[9px] sm:text-[10px] font-bold tracking-wider uppercase text-red-400">{label}</span>
-      <span className="text-base sm:text-lg font-mono font-bold text-white">{value}</span>
+    <div className="relative z-10 flex flex-col items-center justify-center text-primary-500">
+      <IconComponent size={20} className={`mb-1 transition-all ${active ? 'text-white drop-shadow-[0_0_5px_white]' : 'text-primary-600'}`} />
+      <span className="text-[9px] sm:text-[10px] font-bold tracking-wider uppercase text-primary-400">{label}</span>
+      <span className={`text-base sm:text-lg font-mono font-bold ${pending > 0 ? 'text-accent-400' : 'text-white'}`}>{value + pending}</span>
     </div>
   </button>
 );
@@ -564,37 +1340,583 @@ const AttributeNode = ({ label, value, icon: IconComponent, active, onClick }) =
 const App = () => {
   const [booted, setBooted] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [view, setView] = useState('home'); // 'home', 'settings', 'device'
-  const [activeAttr, setActiveAttr] = useState('reflex');
-  const [notification, setNotification] = useState({ show: false, message: '', type: 'info' });
+  // The view ('home', 'settings', 'device') and selected attribute live in the URL hash (see router.js)
+  const route = useHashRoute();
+  const { view } = route;
+  const activeAttr = route.attr ?? ATTRIBUTE_IDS[0];
+  const lastAttrRef = useRef(route.attr);
+  useEffect(() => {
+    if (route.attr) lastAttrRef.current = route.attr;
+  }, [route.attr]);
+  // Attribute picks replace the entry so Back steps between views, not diamonds
+  const setActiveAttr = (attr) => navigateRoute({ view: 'home', attr }, { replace: true });
+  // Committed progression (persisted) plus the points staged in the detail panel until "Inject Code"
+  const [character, setCharacter] = useState(loadCharacter);
+  const [pendingPoints, setPendingPoints] = useState({});
+  const [confirmAction, setConfirmAction] = useState(null); // null, 'inject', 'respec'
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const { unread } = useNotifications();
   const [burst, setBurst] = useState(false);
   
-  const [settings, setSettings] = useState({
-    musicVol: 40,
-    sfxVol: 80,
-    motionBlur: false,
-    dof: false,
-    chromatic: true,
-    scanlines: true
+  // `settings` is the live-previewed draft; `savedSettings` is what was last committed to storage.
+  // On first launch the graphics preset is picked from the detected hardware.
+  const [savedSettings, setSavedSettings] = useState(() => (
+    hasSavedSettings()
+      ? loadSettings()
+      : applyGraphicsPreset(loadSettings(), detectGraphicsPreset(readStaticStats()))
+  ));
+  const [settings, setSettings] = useState(savedSettings);
+  const systemStats = useSystemMonitor(settings.statsInterval);
+  const detectedLocale = useDetectedLocale();
+  const i18n = useMemo(
+    () => createI18n(resolveLocale(settings.locale, detectedLocale)),
+    [settings.locale, detectedLocale]
+  );
+  const { t, formatNumber, formatMetric, formatPercent, formatUnit } = i18n;
+  // Catalog-keyed option lists (see PRESET_OPTIONS) resolved for the active locale
+  const localiseOptions = (options) => options.map(({ labelKey, ...option }) => ({ ...option, label: t(labelKey) }));
+  // A worker-drawn background reports its own frame times; main-thread rAF can't see it falling behind
+  const [workerRenderer, setWorkerRenderer] = useState(null);
+  const qualityLevel = useQualityGovernor(settings.qualityGovernor, settings.targetFps, {
+    minLevel: settings.qualityMin,
+    maxLevel: settings.qualityMax,
+    frameSource: workerRenderer
+  });
+  const quality = QUALITY_LEVELS[qualityLevel];
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const reducedMotion = resolveReducedMotion(settings.reducedMotion, prefersReducedMotion);
+  // Reduced motion overrides the effect toggles without changing the saved values
+  const showChromatic = settings.chromatic && !reducedMotion;
+  const showScanlines = settings.scanlines && !reducedMotion;
+  // Depth of field is layered on motion blur; the saved toggle survives turning blur off
+  const showDof = settings.dof && requirementsMet(settings, 'dof');
+  const themeColours = resolveThemeColours(settings.theme, settings.customTheme);
+  // Scenes set to follow the theme get its particle colour; memoised so unrelated renders don't reconfigure the canvas
+  const sceneParams = settings.backgroundParams[settings.backgroundMode];
+  const resolvedSceneParams = useMemo(
+    () => (sceneParams.colour === THEME_COLOUR ? { ...sceneParams, colour: themeColours.particle } : sceneParams),
+    [sceneParams, themeColours.particle]
+  );
+  // Shared by the pre-boot, loading and main screens so the chosen scene carries across them
+  const backgroundProps = {
+    mode: settings.backgroundMode,
+    params: resolvedSceneParams,
+    particleCount: settings.particleCount,
+    gridSpacing: settings.gridSpacing,
+    constellation: settings.constellation,
+    quality,
+    motion: reducedMotion ? REDUCED_MOTION_SPEED : 1,
+    onWorkerRenderer: setWorkerRenderer
+  };
+  const unsavedCount = changedSettingKeys(settings, savedSettings).length;
+  const isDirty = unsavedCount > 0;
+  const importInputRef = useRef(null);
+  const soundPackInputRef = useRef(null);
+  const [customSoundPacks, setCustomSoundPacks] = useState(loadCustomSoundPacks);
+  const [auditionEvent, setAuditionEvent] = useState('click');
+  const [settingsQuery, setSettingsQuery] = useState('');
+  // Diagnostics report snapshot; redaction is on by default since reports usually end up in public issues
+  const [report, setReport] = useState(null);
+  const [reportFormat, setReportFormat] = useState('text');
+  const [reportRedacted, setReportRedacted] = useState(true);
+
+  // A `#config=` or `#theme=` link is decoded up front but only applied once the boot sequence finishes
+  const [sharedConfig] = useState(() => {
+    try {
+      const theme = decodeThemeHash(window.location.hash);
+      if (theme) return { theme };
+      return { settings: decodeSettingsHash(window.location.hash) };
+    } catch (e) {
+      return { error: e };
+    }
   });
 
-  const systemStats = useSystemMonitor();
+  // App-side shorthand for the notification centre; `options` takes `duration` and a dedupe `key`
+  const showNotification = useCallback((message, type = 'info', options = {}) => {
+    notifications.notify(message, { ...options, type });
+  }, []);
+
+  useEffect(() => notifications.onNotify(({ type }) => audio.play(NOTIFICATION_TYPES[type].sound)), []);
+
+  const toggleHistory = () => {
+    audio.playClickSound();
+    notifications.markRead();
+    setHistoryOpen(open => !open);
+  };
+
+  const closeHistory = useCallback(() => {
+    notifications.markRead();
+    setHistoryOpen(false);
+  }, []);
+
+  const triggerBurst = useCallback(() => {
+    setBurst(true);
+    setTimeout(() => setBurst(false), 200);
+  }, []);
+
+  const navigateTo = useCallback((next) => {
+    audio.play('navigate');
+    if (next === 'device') triggerBurst();
+    navigateRoute({ view: next, attr: lastAttrRef.current });
+  }, [triggerBurst]);
+
+  // Back to the stats view with the attribute that was last selected there
+  const returnHome = () => navigateRoute({ view: 'home', attr: lastAttrRef.current });
+
+  const goBack = useCallback(() => {
+    if (view !== 'home') navigateTo('home');
+  }, [view, navigateTo]);
+
+  const cycleTab = useCallback((dir) => {
+    const idx = TAB_ORDER.indexOf(view);
+    navigateTo(TAB_ORDER[(idx + dir + TAB_ORDER.length) % TAB_ORDER.length]);
+  }, [view, navigateTo]);
 
+  const inMenu = booted && !loading;
+
+  // Deep links wait behind the boot gate; once in the menu, a `#/...` path that matched nothing
+  // is reported and replaced by the closest valid route
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.key.toLowerCase() === 'm') {
+    if (!inMenu || !route.unknown) return;
+    showNotification(t('toast.unknownRoute', { route: window.location.hash }), 'warn');
+    navigateRoute({ view: route.view }, { replace: true });
+  }, [inMenu, route, showNotification, t]);
+  const { keybindings } = settings;
+
+  const cyclePreset = useCallback(() => {
+    const ids = Object.keys(GRAPHICS_PRESETS);
+    const next = ids[(ids.indexOf(settings.graphicsPreset) + 1) % ids.length];
+    audio.playClickSound();
+    setSettings(s => applyGraphicsPreset(s, next));
+    showNotification(i18n.t('toast.presetChanged', { preset: i18n.t(`presets.${next}`).toLocaleUpperCase(i18n.locale) }), 'info', { key: 'preset' });
+  }, [settings.graphicsPreset, showNotification, i18n]);
+
+  // Handlers for the shortcut registry in keybindings.js; `global` actions also work before boot
+  const keyActions = {
+    mute: {
+      global: true,
+      run: () => {
         const isMuted = audio.toggleMute();
-        setNotification({
-          show: true,
-          message: isMuted ? 'AUDIO MUTED' : 'AUDIO RESTORED',
-          type: isMuted ? 'mute' : 'info'
-        });
-        setTimeout(() => setNotification(n => ({...n, show: false})), 2000);
+        showNotification(t(isMuted ? 'toast.muted' : 'toast.unmuted'), 'info', { key: 'mute' });
       }
+    },
+    prevTab: { run: () => cycleTab(-1) },
+    nextTab: { run: () => cycleTab(1) },
+    openConfig: { run: () => navigateTo('settings') },
+    openDiagnostics: { run: () => navigateTo('device') },
+    triggerBurst: { run: () => { audio.playClickSound(); triggerBurst(); } },
+    cyclePreset: { run: cyclePreset }
+  };
+  const keyActionsRef = useRef(keyActions);
+  useEffect(() => { keyActionsRef.current = keyActions; });
+
+  // Reasons a key can't be bound to `actionId`, for KeyCaptureInput
+  const validateBinding = (actionId) => (key) => {
+    const conflict = getBindingConflict(keybindings, actionId, key);
+    if (!conflict) return null;
+    const keyLabel = formatKey(conflict.key);
+    return conflict.type === 'reserved'
+      ? t('toast.keyReserved', { key: keyLabel })
+      : t('toast.keyTaken', { key: keyLabel, action: t(`keyActions.${conflict.owner}`).toLocaleUpperCase(i18n.locale) });
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'escape') {
+        if (historyOpen) closeHistory();
+        else if (inMenu) goBack();
+        return;
+      }
+      if (e.key.startsWith('Arrow')) {
+        // Arrow keys not consumed by a focused control fall through to spatial navigation
+        if (inMenu && !e.defaultPrevented) {
+          e.preventDefault();
+          if (moveFocus(e.key)) audio.playHoverSound();
+        }
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const action = keyActionsRef.current[resolveAction(keybindings, key)];
+      if (action && (inMenu || action.global)) action.run();
     };
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, []);
+  }, [inMenu, goBack, keybindings, historyOpen, closeHistory]);
+
+  useGamepadNavigation(inMenu, {
+    onBack: goBack,
+    onPrevTab: () => cycleTab(-1),
+    onNextTab: () => cycleTab(1)
+  });
+
+  // Arrow keys walk the attribute diamonds in grid order, selecting as they go
+  const handleAttributeKeyDown = (e) => {
+    const idx = ATTRIBUTE_IDS.indexOf(activeAttr);
+    const col = idx % ATTRIBUTE_GRID_COLUMNS;
+    const target = {
+      ArrowLeft: col > 0 ? idx - 1 : -1,
+      ArrowRight: col < ATTRIBUTE_GRID_COLUMNS - 1 ? idx + 1 : -1,
+      ArrowUp: idx - ATTRIBUTE_GRID_COLUMNS,
+      ArrowDown: idx + ATTRIBUTE_GRID_COLUMNS
+    }[e.key];
+    if (target === undefined || target < 0 || target >= ATTRIBUTE_IDS.length) return;
+    e.preventDefault();
+    const next = ATTRIBUTE_IDS[target];
+    audio.playHoverSound();
+    setActiveAttr(next);
+    e.currentTarget.querySelector(`[data-attr="${next}"]`)?.focus();
+  };
+
+  const level = getLevel(character.xp);
+  const pendingCount = countPending(pendingPoints);
+  const availablePoints = getAvailablePoints(character) - pendingCount;
+  const spentPoints = getSpentPoints(character.attributes);
+
+  useEffect(() => {
+    saveCharacter(character);
+  }, [character]);
+
+  // XP accrues per minute of active uplink: booted and the tab visible
+  const characterRef = useRef(character);
+  useEffect(() => { characterRef.current = character; });
+  useEffect(() => {
+    if (!inMenu) return;
+    const interval = setInterval(() => {
+      if (document.visibilityState !== 'visible') return;
+      const prev = characterRef.current;
+      const next = grantXp(prev, XP_PER_MINUTE);
+      const nextLevel = getLevel(next.xp);
+      setCharacter(next);
+      if (nextLevel > getLevel(prev.xp)) showNotification(t('toast.levelUp', { level: nextLevel }), 'success');
+    }, XP_TICK_MS);
+    return () => clearInterval(interval);
+  }, [inMenu, showNotification, t]);
+
+  const adjustPending = (id, delta) => {
+    if (delta > 0 ? !canAllocate(character, pendingPoints, id) : !pendingPoints[id]) return;
+    audio.play('sliderTick');
+    setConfirmAction(null);
+    setPendingPoints(p => ({ ...p, [id]: (p[id] || 0) + delta }));
+  };
+
+  // Reason getAllocationError gave, in the UI language
+  const describeAllocationError = ({ type, id, max }) => {
+    if (type === 'points') return t('toast.allocationNoPoints');
+    if (type === 'capped') return t('toast.allocationCapped', { attribute: t(`attributes.${id}`).toLocaleUpperCase(i18n.locale), max });
+    return t('toast.allocationInvalid', { attribute: id });
+  };
+
+  const injectPending = () => {
+    const error = getAllocationError(character, pendingPoints);
+    if (error) {
+      showNotification(t('toast.injectFailed', { reason: describeAllocationError(error) }), 'error');
+    } else {
+      setCharacter(commitAllocation(character, pendingPoints));
+      showNotification(t('toast.injected', { count: pendingCount }), 'success');
+      triggerBurst();
+    }
+    setPendingPoints({});
+    setConfirmAction(null);
+  };
+
+  const respec = () => {
+    setCharacter(respecCharacter(character));
+    setPendingPoints({});
+    setConfirmAction(null);
+    showNotification(t('toast.respec', { count: spentPoints }), 'success');
+  };
+
+  const undoAllocation = () => {
+    setCharacter(undoCharacter(character));
+    setPendingPoints({});
+    setConfirmAction(null);
+    showNotification(t('toast.undone'));
+  };
+
+  const commitSettings = () => {
+    if (saveSettings(settings)) {
+      setSavedSettings(settings);
+      showNotification(t('toast.saved'), 'success');
+    } else {
+      showNotification(t('toast.saveFailed'), 'error');
+    }
+  };
+
+  // Every generated control writes through here (see applySetting for the preset rules)
+  const updateSetting = (key, value) => {
+    setSettings(s => applySetting(s, key, value));
+  };
+
+  const resetGroup = (group) => {
+    setSettings(s => resetSettingsGroup(s, group.id));
+    showNotification(t('toast.sectionReset', { section: t(group.label).toLocaleUpperCase(i18n.locale) }), 'info', { key: 'reset' });
+  };
+
+  // Editing any colour forks the active palette into the custom theme
+  const setThemeColour = (key, value) => {
+    setSettings(s => ({
+      ...s,
+      theme: CUSTOM_THEME,
+      customTheme: { ...resolveThemeColours(s.theme, s.customTheme), [key]: value }
+    }));
+  };
+
+  // Scene params are stored per mode so switching scenes keeps each one's tuning
+  const setBackgroundParam = (key, value) => {
+    setSettings(s => ({
+      ...s,
+      backgroundParams: {
+        ...s.backgroundParams,
+        [s.backgroundMode]: { ...s.backgroundParams[s.backgroundMode], [key]: value }
+      }
+    }));
+  };
+
+  const discardSettings = () => {
+    setSettings(savedSettings);
+    if (isDirty) showNotification(t('toast.discarded'));
+  };
+
+  const exportSettings = () => {
+    downloadSettings(settings);
+    showNotification(t('toast.exported'), 'success');
+  };
+
+  const openImportDialog = () => importInputRef.current?.click();
+
+  const importSettings = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setSettings(parseSettingsJson(await file.text()));
+      showNotification(t('toast.imported'), 'success');
+    } catch (err) {
+      showNotification(t('toast.importFailed', { reason: describeError(t, err) }), 'error');
+    }
+  };
+
+  const openSoundPackDialog = () => soundPackInputRef.current?.click();
+
+  // Custom packs are stored on import (like a library); selecting one is a normal draft setting
+  const importSoundPack = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { id, ...pack } = parseSoundPackJson(await file.text());
+      const nextPacks = { ...customSoundPacks, [id]: pack };
+      const stored = saveCustomSoundPacks(nextPacks);
+      setCustomSoundPacks(nextPacks);
+      setSettings(s => ({ ...s, soundPack: id }));
+      // Without storage the pack still works until reload, when the setting falls back to the default pack
+      if (stored) {
+        showNotification(t('toast.packLoaded', { name: pack.name.toUpperCase() }), 'success');
+      } else {
+        showNotification(t('toast.packSessionOnly', { name: pack.name.toUpperCase() }), 'warn');
+      }
+    } catch (err) {
+      showNotification(t('toast.packRejected', { reason: describeError(t, err) }), 'error');
+    }
+  };
+
+  // Render the chosen event offline with the active pack and hand it over as a WAV download
+  const exportAuditionWav = async () => {
+    try {
+      downloadBlob(await audio.renderEventToWav(auditionEvent), `${settings.soundPack}-${auditionEvent}.wav`);
+      showNotification(t('toast.wavRendered'), 'success');
+    } catch (err) {
+      console.warn('Offline Render Failed', err);
+      showNotification(t('toast.renderFailed', { reason: describeError(t, err) }), 'error');
+    }
+  };
+
+  const soundPackOptions = [
+    ...Object.entries(BUILTIN_SOUND_PACKS),
+    ...Object.entries(customSoundPacks)
+  ].map(([id, pack]) => ({ id, label: pack.name }));
+
+  // Option lists whose labels depend on runtime state; the rest come from the schema
+  const dynamicOptions = {
+    locale: [
+      { id: LOCALE_AUTO, label: t('common.auto', { value: LOCALES[detectedLocale].label }) },
+      ...LOCALE_IDS.map(id => ({ id, label: LOCALES[id].label }))
+    ],
+    soundPack: soundPackOptions,
+    reducedMotion: [
+      { id: 'auto', label: t('common.auto', { value: t(prefersReducedMotion ? 'common.on' : 'common.off') }) },
+      { id: 'on', label: t('common.on') },
+      { id: 'off', label: t('common.off') }
+    ]
+  };
+  const fieldOptions = (field) => dynamicOptions[field.key] || field.options?.map(({ id, labelKey, disabled }) => ({
+    id,
+    disabled,
+    label: labelKey ? t(labelKey) : typeof id === 'number' ? formatNumber(id) : id
+  }));
+
+  // Search matches translated labels; custom controls list the labels of their rows in the schema
+  const query = settingsQuery.trim().toLocaleLowerCase(i18n.locale);
+  const matchesQuery = (labelKey) => !query || t(labelKey).toLocaleLowerCase(i18n.locale).includes(query);
+  const fieldMatches = (field) => matchesQuery(field.label) || (field.searchLabels || []).some(matchesQuery);
+  const visibleGroups = SETTINGS_GROUPS
+    .map(group => ({ ...group, fields: SETTINGS_SCHEMA.filter(field => field.group === group.id && field.control && fieldMatches(field)) }))
+    .filter(group => group.fields.length > 0);
+
+  // Rows of the 'custom' fields; `showRow(labelKey)` is true for rows the search should keep
+  const customControls = {
+    backgroundParams: (showRow) => (
+      <>
+        {showRow('config.sceneColour') && (
+          <OptionRow
+             label={t('config.sceneColour')}
+             options={localiseOptions(BACKGROUND_COLOUR_OPTIONS)}
+             value={sceneParams.colour}
+             onChange={(colour) => setBackgroundParam('colour', colour)}
+          />
+        )}
+        {showRow('config.sceneDensity') && (
+          <OptionRow
+             label={t('config.sceneDensity')}
+             options={localiseOptions(BACKGROUND_DENSITY_OPTIONS)}
+             value={sceneParams.density}
+             onChange={(density) => setBackgroundParam('density', density)}
+          />
+        )}
+        {showRow('config.sceneSpeed') && (
+          <OptionRow
+             label={t('config.sceneSpeed')}
+             options={localiseOptions(BACKGROUND_SPEED_OPTIONS)}
+             value={sceneParams.speed}
+             onChange={(speed) => setBackgroundParam('speed', speed)}
+          />
+        )}
+      </>
+    ),
+    customTheme: (showRow) => THEME_KEYS.filter(key => showRow(`themeColours.${key}`)).map(key => (
+      <CyberColourInput
+        key={key}
+        label={t(`themeColours.${key}`)}
+        value={themeColours[key]}
+        swatches={THEME_SWATCHES[key]}
+        onChange={(value) => setThemeColour(key, value)}
+      />
+    )),
+    keybindings: (showRow) => KEY_ACTIONS.filter(action => showRow(`keyActions.${action.id}`)).map(action => (
+      <KeyCaptureInput
+        key={action.id}
+        label={t(`keyActions.${action.id}`)}
+        value={keybindings[action.id]}
+        validate={validateBinding(action.id)}
+        onChange={(key) => setSettings(s => ({ ...s, keybindings: { ...s.keybindings, [action.id]: key } }))}
+      />
+    ))
+  };
+
+  const copyThemeLink = async () => {
+    try {
+      await navigator.clipboard.writeText(buildThemeShareUrl(themeColours));
+      showNotification(t('toast.themeLinkCopied'), 'success');
+    } catch (e) {
+      console.warn('Clipboard Write Failed', e);
+      showNotification(t('toast.copyFailed'), 'error');
+    }
+  };
+
+  // Non-setting extras at the end of a section (actions and hints), hidden while searching
+  const groupExtras = {
+    audio: (
+      <>
+        <CyberSelect
+           label={t('config.auditionEvent')}
+           options={localiseOptions(SOUND_EVENT_OPTIONS)}
+           value={auditionEvent}
+           onChange={setAuditionEvent}
+        />
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:gap-3">
+          <ActionButton label={t('config.playEvent')} icon={Music} onClick={() => audio.play(auditionEvent)} />
+          <ActionButton label={t('config.exportWav')} icon={Download} onClick={exportAuditionWav} />
+          <ActionButton label={t('config.loadPack')} icon={Upload} onClick={openSoundPackDialog} />
+        </div>
+      </>
+    ),
+    theme: (
+      <div className="grid grid-cols-1 pt-2">
+        <ActionButton label={t('config.copyThemeLink')} icon={Link} onClick={copyThemeLink} />
+      </div>
+    ),
+    accessibility: reducedMotion && (
+      <p className="text-[9px] sm:text-[10px] text-primary-400/70 font-mono px-2">
+        {t('config.motionReducedHint')}
+      </p>
+    ),
+    controls: (
+      <p className="text-[9px] sm:text-[10px] text-primary-800 font-mono pt-2">
+        {t('config.controlsHint')}
+      </p>
+    )
+  };
+
+  const shownReport = useMemo(() => report && (reportRedacted ? redactReport(report) : report), [report, reportRedacted]);
+
+  const generateReport = () => {
+    setReport(buildReport({
+      stats: systemStats,
+      settings,
+      unsavedKeys: changedSettingKeys(settings, savedSettings),
+      errors: errorLog.list(),
+      locale: i18n.locale
+    }));
+  };
+
+  const copyReport = async () => {
+    try {
+      await navigator.clipboard.writeText(serializeReport(shownReport, reportFormat));
+      showNotification(t('toast.reportCopied'), 'success');
+    } catch (e) {
+      console.warn('Clipboard Write Failed', e);
+      showNotification(t('toast.copyFailed'), 'error');
+    }
+  };
+
+  const saveReport = () => {
+    downloadReport(shownReport, reportFormat);
+    showNotification(t('toast.reportSaved'), 'success');
+  };
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(buildShareUrl(settings));
+      showNotification(t('toast.shareLinkCopied'), 'success');
+    } catch (e) {
+      console.warn('Clipboard Write Failed', e);
+      showNotification(t('toast.copyFailed'), 'error');
+    }
+  };
+
+  const finishBoot = useCallback(() => {
+    setLoading(false);
+    audio.play('bootComplete');
+    if (!sharedConfig.settings && !sharedConfig.theme && !sharedConfig.error) return;
+    // Swap the share fragment for a real route so Back and refresh don't re-apply it
+    const { hash } = window.location;
+    if (hash.startsWith(SHARE_HASH_PREFIX) || hash.startsWith(THEME_HASH_PREFIX)) {
+      navigateRoute({ view: sharedConfig.error ? DEFAULT_VIEW : 'settings' }, { replace: true });
+    }
+    if (sharedConfig.error) {
+      showNotification(i18n.t('toast.sharedRejected', { reason: describeError(i18n.t, sharedConfig.error) }), 'error');
+      return;
+    }
+    if (sharedConfig.theme) {
+      setSettings(s => ({ ...s, theme: CUSTOM_THEME, customTheme: sharedConfig.theme }));
+      showNotification(i18n.t('toast.sharedThemeLoaded'), 'success');
+      return;
+    }
+    setSettings(sharedConfig.settings);
+    showNotification(i18n.t('toast.sharedConfigLoaded'), 'success');
+  }, [sharedConfig, showNotification, i18n]);
 
   useEffect(() => {
     if (booted) {
@@ -602,15 +1924,55 @@ const App = () => {
     }
   }, [settings.musicVol, settings.sfxVol, booted]);
 
-  const triggerBurst = () => {
-    setBurst(true);
-    setTimeout(() => setBurst(false), 200);
-  };
+  useEffect(() => {
+    if (booted) {
+      audio.setMusic(settings.musicMood, settings.musicTempo);
+    }
+  }, [settings.musicMood, settings.musicTempo, booted]);
+
+  useEffect(() => {
+    if (booted) {
+      audio.setMusicIntensity(VIEW_MUSIC_INTENSITY[view] ?? VIEW_MUSIC_INTENSITY.home);
+    }
+  }, [view, booted]);
+
+  useEffect(() => {
+    audio.setSoundPack(resolveSoundPack(settings.soundPack, customSoundPacks));
+  }, [settings.soundPack, customSoundPacks]);
+
+  useEffect(() => {
+    audio.setDroneEnabled(!settings.muteDrone);
+  }, [settings.muteDrone]);
+
+  useEffect(() => {
+    audio.setDroneFrequency(settings.droneFreq);
+  }, [settings.droneFreq]);
+
+  useEffect(() => {
+    audio.setMasterLevel(settings.masterDb);
+  }, [settings.masterDb]);
+
+  // The draft palette is applied immediately, so the editor doubles as a live preview
+  useEffect(() => {
+    applyTheme(themeColours);
+  }, [themeColours]);
+
+  // Language and writing direction on <html> so the browser mirrors layout and picks fonts for the locale
+  useEffect(() => {
+    document.documentElement.lang = i18n.locale;
+    document.documentElement.dir = i18n.dir;
+  }, [i18n]);
+
+  // Global class so CSS can stop pulses, pings and transitions on every screen, including pre-boot
+  useEffect(() => {
+    document.documentElement.classList.toggle('reduce-motion', reducedMotion);
+  }, [reducedMotion]);
 
   if (!booted) {
     return (
+      <I18nContext value={i18n}>
       <div 
-        className="h-screen w-screen bg-black flex items-center justify-center cursor-pointer overflow-hidden relative"
+        className="h-screen w-screen bg-surface flex items-center justify-center cursor-pointer overflow-hidden relative"
         onClick={() => {
           audio.init();
           audio.playClickSound();
@@ -618,36 +1980,59 @@ const App = () => {
           setLoading(true);
         }}
       >
-        <ParticleBackground burstMode={false} />
-        <div className="z-10 border border-red-500/50 p-8 sm:p-12 bg-black/90 backdrop-blur-md text-center group hover:border-red-500 transition-colors shadow-[0_0_50px_rgba(220,38,38,0.2)] mx-4">
-          <h1 className="text-3xl sm:text-5xl font-black text-red-600 tracking-tighter mb-4 group-hover:text-red-500 transition-colors cyberpunk-heading">SYSTEM OFFLINE</h1>
-          <p className="text-cyan-400 font-mono text-xs sm:text-sm tracking-[0.3em] sm:tracking-[0.4em] animate-pulse">TAP TO INITIALIZE NEURAL LINK</p>
+        <ParticleBackground burstMode={false} {...backgroundProps} />
+        <div className="z-10 border border-primary-500/50 p-8 sm:p-12 bg-surface/90 backdrop-blur-md text-center group hover:border-primary-500 transition-colors shadow-[0_0_50px_var(--theme-glow-20)] mx-4">
+          <h1 className="text-3xl sm:text-5xl font-black text-primary-600 tracking-tighter mb-4 group-hover:text-primary-500 transition-colors cyberpunk-heading">{t('boot.offline')}</h1>
+          {/* Real button so keyboard, gamepad and screen-reader users can boot; its click bubbles to the gate */}
+          <button type="button" autoFocus className="text-accent-400 font-mono text-xs sm:text-sm tracking-[0.3em] sm:tracking-[0.4em] animate-pulse">
+            {t('boot.initialize')}
+          </button>
         </div>
       </div>
+      </I18nContext>
     );
   }
 
   if (loading) {
     return (
-      <>
-        <ParticleBackground burstMode={false} />
-        <LoadingScreen onComplete={() => setLoading(false)} />
-      </>
+      <I18nContext value={i18n}>
+        <ParticleBackground burstMode={false} {...backgroundProps} />
+        <LoadingScreen onComplete={finishBoot} reducedMotion={reducedMotion} />
+      </I18nContext>
     );
   }
 
-  const frostClass = settings.motionBlur ? "backdrop-blur-sm bg-black/60" : "bg-black/80";
+  const frostClass = settings.motionBlur ? "backdrop-blur-sm bg-surface/60" : "bg-surface/80";
   const glowClass = settings.motionBlur ? "text-shadow-glow" : "";
+  const controlFx = { chromatic: showChromatic ? 'chromatic-text' : '', glow: glowClass };
+
+  // Device view: N/A means "not measured (yet)", UNSUPPORTED means the browser has no such API
+  const notAvailable = t('common.notAvailable');
+  const unsupported = t('common.unsupported');
+  const supportLabel = (supported) => (supported ? t('common.supported') : unsupported);
+  const { webgl, display, input, features, audioOutput } = systemStats;
+  const glLimits = webgl && (webgl.webgl2 || webgl.webgl);
+  const glValue = (read) => (webgl ? read() : notAvailable);
+  const glLimit = (read) => (!webgl ? notAvailable : glLimits ? read(glLimits) : unsupported);
+  const audioValue = (read) => (audioOutput ? read(audioOutput) : unsupported);
+
+  const attributeLabel = t(`attributes.${activeAttr}`);
+  const activeValue = character.attributes[activeAttr];
+  const activePending = pendingPoints[activeAttr] || 0;
+  const activeEffect = ATTRIBUTE_EFFECTS[activeAttr].effect;
+  const xpToNext = getXpToNextLevel(character.xp);
 
   return (
-    <div className="min-h-screen bg-black text-red-500 font-sans selection:bg-red-500 selection:text-black overflow-hidden relative transition-all duration-300">
+    <I18nContext value={i18n}>
+    <ControlFxContext value={controlFx}>
+    <div className="min-h-screen bg-surface text-primary-500 font-sans selection:bg-primary-500 selection:text-black overflow-hidden relative transition-all duration-300">
       <style>{`
         .chromatic-text {
-          text-shadow: ${settings.chromatic ? '2px 0 rgba(255,0,0,0.7), -2px 0 rgba(0,255,255,0.7)' : 'none'};
+          text-shadow: ${showChromatic ? '2px 0 rgba(255,0,0,0.7), -2px 0 rgba(0,255,255,0.7)' : 'none'};
         }
         
         .text-shadow-glow {
-          text-shadow: 0 0 5px rgba(220, 38, 38, 0.8), 0 0 10px rgba(220, 38, 38, 0.4);
+          text-shadow: 0 0 5px var(--theme-glow-80), 0 0 10px var(--theme-glow-40);
         }
 
         .scanline-overlay {
@@ -658,7 +2043,7 @@ const App = () => {
 
         .dof-vignette {
           background: radial-gradient(circle, transparent 60%, rgba(0,0,0,0.8) 120%);
-          backdrop-filter: ${settings.dof ? 'blur(2px)' : 'none'};
+          backdrop-filter: ${showDof ? 'blur(2px)' : 'none'};
           mask-image: radial-gradient(circle, transparent 50%, black 100%);
           -webkit-mask-image: radial-gradient(circle, transparent 50%, black 100%);
         }
@@ -699,33 +2084,50 @@ const App = () => {
         }
       `}</style>
       
-      <ParticleBackground burstMode={burst} />
-      {settings.scanlines && <div className="fixed inset-0 z-50 scanline-overlay opacity-30 pointer-events-none" />}
+      <ParticleBackground burstMode={burst && !reducedMotion} {...backgroundProps} />
+      {showScanlines && <div className="fixed inset-0 z-50 scanline-overlay opacity-30 pointer-events-none" />}
       
-      <div className={`fixed inset-0 z-40 pointer-events-none transition-all duration-700 ${settings.dof ? 'backdrop-blur-[1px]' : ''}`} style={{ maskImage: 'radial-gradient(circle, rgba(0,0,0,0) 60%, rgba(0,0,0,1) 100%)' }} />
+      <div className={`fixed inset-0 z-40 pointer-events-none transition-all duration-700 ${showDof ? 'backdrop-blur-[1px]' : ''}`} style={{ maskImage: 'radial-gradient(circle, rgba(0,0,0,0) 60%, rgba(0,0,0,1) 100%)' }} />
       
-      <NotificationToast {...notification} />
+      <NotificationStack />
+      {historyOpen && <NotificationHistory onClose={closeHistory} />}
 
       {/* Header with REAL Stats */}
-      <header className="fixed top-0 w-full z-30 p-2 sm:p-4 px-3 sm:px-6 flex justify-between items-start bg-gradient-to-b from-black via-black/90 to-transparent">
+      <header className="fixed top-0 w-full z-30 p-2 sm:p-4 px-3 sm:px-6 flex justify-between items-start bg-gradient-to-b from-surface via-surface/90 to-transparent">
         <div className="flex flex-col gap-1">
           <div className="flex items-center gap-2">
-            <div className={`w-2 h-2 ${systemStats.online ? 'bg-green-500' : 'bg-red-500'} animate-ping`} />
-            <span className={`text-[10px] sm:text-xs tracking-[0.2em] text-red-400/80 ${glowClass}`}>NET: {systemStats.connection}</span>
+            <div className={`w-2 h-2 ${systemStats.online ? 'bg-green-500' : 'bg-primary-500'} animate-ping`} />
+            <span className={`text-[10px] sm:text-xs tracking-[0.2em] text-primary-400/80 ${glowClass}`}>{t('header.network', { connection: systemStats.connection ?? t('common.notAvailable') })}</span>
           </div>
-          <span className="text-[8px] sm:text-[10px] text-red-800 font-mono hidden sm:block">{systemStats.platform} // {systemStats.userAgent.substring(0, 15)}...</span>
+          <span className="text-[8px] sm:text-[10px] text-primary-800 font-mono hidden sm:block">{systemStats.platform || t('header.unknownPlatform')} // {systemStats.userAgent.substring(0, 15)}...</span>
         </div>
-        <div className="text-right">
-          <div className={`font-mono text-cyan-400 text-xs sm:text-sm tracking-wider flex items-center justify-end gap-2 sm:gap-4 ${glowClass}`}>
-             <span className="flex items-center gap-1"><Cpu size={12}/> {systemStats.cpuUsage}%</span>
-             <span className="flex items-center gap-1"><Terminal size={12}/> {systemStats.memory}</span>
+        <div className="text-end">
+          <div className={`font-mono text-accent-400 text-xs sm:text-sm tracking-wider flex items-center justify-end gap-2 sm:gap-4 ${glowClass}`}>
+             <button
+               type="button"
+               onClick={toggleHistory}
+               onMouseEnter={() => audio.playHoverSound()}
+               aria-expanded={historyOpen}
+               aria-label={t('notifications.toggle', { count: unread })}
+               className="relative p-1 text-primary-400 hover:text-primary-100 transition-colors custom-focus"
+             >
+               <Bell size={14} />
+               {unread > 0 && (
+                 <span className="absolute -top-1 -end-1 min-w-[14px] h-[14px] px-0.5 bg-primary-600 text-black text-[8px] font-bold leading-[14px] text-center" aria-hidden="true">
+                   {formatNumber(Math.min(unread, 99))}
+                 </span>
+               )}
+             </button>
+             <span className="flex items-center gap-1"><Activity size={12}/> {formatMetric(systemStats.fps)} FPS</span>
+             <span className="flex items-center gap-1"><Cpu size={12}/> {formatMetric(systemStats.mainThreadLoad, '%')}</span>
+             <span className="flex items-center gap-1"><Terminal size={12}/> {systemStats.heapUsed !== null ? formatMetric(systemStats.heapUsed, 'MB') : formatMetric(systemStats.memory, 'GB')}</span>
           </div>
-          <div className="text-[8px] sm:text-[10px] text-red-600 mt-1">
+          <div className="text-[8px] sm:text-[10px] text-primary-600 mt-1">
             {systemStats.batteryLevel !== null ? (
               <span className="flex items-center justify-end gap-1">
-                PWR: {systemStats.batteryLevel}% {systemStats.batteryCharging ? '(CHRG)' : ''}
+                {t('header.power', { level: formatPercent(systemStats.batteryLevel) })} {systemStats.batteryCharging ? t('header.charging') : ''}
               </span>
-            ) : 'PWR: EXTERNAL'}
+            ) : t('header.power', { level: unsupported })}
           </div>
         </div>
       </header>
@@ -735,64 +2137,130 @@ const App = () => {
         
         {view === 'home' && (
           <div className="animate-fadeIn max-w-6xl mx-auto">
-             <div className="mb-6 sm:mb-10 pl-3 sm:pl-6 border-l-4 border-red-600 flex justify-between items-end">
+             <div className="mb-6 sm:mb-10 ps-3 sm:ps-6 border-s-4 border-primary-600 flex justify-between items-end">
                <div>
-                 <h2 className={`text-2xl sm:text-4xl font-black text-white tracking-widest uppercase mb-1 ${settings.chromatic ? 'chromatic-text' : ''} ${glowClass}`}>Attributes</h2>
-                 <p className="text-red-400/60 text-xs sm:text-sm tracking-wider">NEURAL LINK STATUS: STABLE</p>
+                 <h2 className={`text-2xl sm:text-4xl font-black text-white tracking-widest uppercase mb-1 ${showChromatic ? 'chromatic-text' : ''} ${glowClass}`}>{t('home.title')}</h2>
+                 <p className="text-primary-400/60 text-xs sm:text-sm tracking-wider">{t('home.linkStatus')}</p>
                </div>
-               <div className="hidden sm:block text-right">
-                 <div className="text-4xl font-mono text-red-600 font-bold">LVL 50</div>
-                 <div className="text-[10px] text-red-400">MAX REPUTATION</div>
+               <div className="hidden sm:block text-end">
+                 <div className="text-4xl font-mono text-primary-600 font-bold">{t('home.level', { level })}</div>
+                 <div className={`text-[10px] ${availablePoints > 0 ? 'text-accent-400' : 'text-primary-400'}`}>{t('home.points', { count: availablePoints })}</div>
                </div>
              </div>
 
              <div className="flex flex-col lg:flex-row gap-6 lg:gap-12 items-center justify-center">
                <div className="relative p-4 sm:p-10">
-                 <div className="absolute inset-0 bg-red-900/5 rotate-45 transform scale-75 blur-3xl rounded-full"></div>
-                 <div className="grid grid-cols-3 sm:grid-cols-3 gap-1 sm:gap-6 transform sm:-rotate-45 sm:scale-90 origin-center relative z-10">
-                    <div className="transform sm:rotate-45"><AttributeNode icon={Zap} label="Reflex" value="20" active={activeAttr === 'reflex'} onClick={() => setActiveAttr('reflex')} /></div>
-                    <div className="transform sm:rotate-45"><AttributeNode icon={Cpu} label="Intel" value="18" active={activeAttr === 'intel'} onClick={() => setActiveAttr('intel')} /></div>
-                    <div className="transform sm:rotate-45"><AttributeNode icon={Shield} label="Body" value="15" active={activeAttr === 'body'} onClick={() => setActiveAttr('body')} /></div>
-                    <div className="transform sm:rotate-45 col-start-1 sm:col-start-auto"><AttributeNode icon={Wifi} label="Tech" value="20" active={activeAttr === 'tech'} onClick={() => setActiveAttr('tech')} /></div>
-                    <div className="transform sm:rotate-45"><AttributeNode icon={Crosshair} label="Cool" value="12" active={activeAttr === 'cool'} onClick={() => setActiveAttr('cool')} /></div>
+                 <div className="absolute inset-0 bg-primary-900/5 rotate-45 transform scale-75 blur-3xl rounded-full"></div>
+                 <div
+                    className="grid grid-cols-3 sm:grid-cols-3 gap-1 sm:gap-6 transform sm:-rotate-45 sm:scale-90 origin-center relative z-10"
+                    role="radiogroup"
+                    aria-label={t('home.title')}
+                    onKeyDown={handleAttributeKeyDown}
+                 >
+                    {ATTRIBUTE_IDS.map(id => (
+                      <div key={id} className="transform sm:rotate-45">
+                        <AttributeNode
+                          id={id}
+                          icon={ATTRIBUTE_ICONS[id]}
+                          label={t(`attributes.${id}`)}
+                          value={character.attributes[id]}
+                          pending={pendingPoints[id]}
+                          active={activeAttr === id}
+                          onClick={() => setActiveAttr(id)}
+                        />
+                      </div>
+                    ))}
                  </div>
                </div>
 
-               <div className={`w-full max-w-md border border-red-900/30 p-4 sm:p-8 relative group hover:border-red-500/50 transition-all duration-300 ${frostClass}`}>
-                 <div className="absolute top-0 right-0 w-16 h-16 border-t border-r border-red-500/30"></div>
-                 <div className="absolute bottom-0 left-0 w-16 h-16 border-b border-l border-red-500/30"></div>
+               <div className={`w-full max-w-md border border-primary-900/30 p-4 sm:p-8 relative group hover:border-primary-500/50 transition-all duration-300 ${frostClass}`}>
+                 <div className="absolute top-0 right-0 w-16 h-16 border-t border-r border-primary-500/30"></div>
+                 <div className="absolute bottom-0 left-0 w-16 h-16 border-b border-l border-primary-500/30"></div>
                  
-                 <div className="absolute top-0 right-0 p-2 sm:p-3 text-[8px] sm:text-[10px] text-red-600 font-bold border-b border-l border-red-900/30 bg-red-950/20">
+                 <div className="absolute top-0 end-0 p-2 sm:p-3 text-[8px] sm:text-[10px] text-primary-600 font-bold border-b border-s border-primary-900/30 bg-primary-950/20">
                    ID: {activeAttr.toUpperCase()}_KERNEL
                  </div>
 
-                 <h3 className={`text-xl sm:text-3xl text-cyan-400 mb-4 sm:mb-6 heading uppercase border-b-2 border-red-900/50 pb-4 ${settings.chromatic ? 'chromatic-text' : ''} ${glowClass}`}>
-                   {activeAttr} NODE
+                 <h3 className={`text-xl sm:text-3xl text-accent-400 mb-4 sm:mb-6 heading uppercase border-b-2 border-primary-900/50 pb-4 ${showChromatic ? 'chromatic-text' : ''} ${glowClass}`}>
+                   {t('home.node', { attribute: attributeLabel })}
                  </h3>
                  
-                 <div className="space-y-4 sm:space-y-6 font-mono text-xs sm:text-sm text-red-300/80">
+                 <div className="space-y-4 sm:space-y-6 font-mono text-xs sm:text-sm text-primary-300/80">
                    <p className="leading-relaxed">
-                     Hardware interface protocol for the {activeAttr} subsystem. Enhances signal propagation speed and neural plasticity.
+                     {t(`attributeInfo.${activeAttr}`)}
                    </p>
-                   
+
+                   <div className="flex items-center justify-between gap-2 bg-primary-950/10 p-2 sm:p-3 border border-primary-900/50">
+                     <div className="text-[8px] sm:text-[10px] uppercase text-primary-500">{t('home.attributeLevel')}</div>
+                     <div className="flex items-center gap-2 sm:gap-3">
+                       <button
+                         onClick={() => adjustPending(activeAttr, -1)}
+                         onMouseEnter={() => audio.playHoverSound()}
+                         disabled={!activePending}
+                         aria-label={t('home.deallocate', { attribute: attributeLabel })}
+                         className="w-7 h-7 flex items-center justify-center border border-primary-900/50 text-primary-400 hover:border-primary-500 hover:text-primary-100 transition-colors custom-focus disabled:opacity-30 disabled:pointer-events-none"
+                       >
+                         <Minus size={14} />
+                       </button>
+                       <div className="text-xl sm:text-2xl font-bold text-white min-w-[5ch] text-center" aria-live="polite">
+                         {formatNumber(activeValue)}
+                         {activePending > 0 && <span className="text-accent-400">+{formatNumber(activePending)}</span>}
+                         <span className="text-xs text-primary-600"> / {formatNumber(ATTRIBUTE_MAX)}</span>
+                       </div>
+                       <button
+                         onClick={() => adjustPending(activeAttr, 1)}
+                         onMouseEnter={() => audio.playHoverSound()}
+                         disabled={!canAllocate(character, pendingPoints, activeAttr)}
+                         aria-label={t('home.allocate', { attribute: attributeLabel })}
+                         className="w-7 h-7 flex items-center justify-center border border-primary-900/50 text-primary-400 hover:border-primary-500 hover:text-primary-100 transition-colors custom-focus disabled:opacity-30 disabled:pointer-events-none"
+                       >
+                         <Plus size={14} />
+                       </button>
+                     </div>
+                   </div>
+
                    <div className="grid grid-cols-2 gap-2 sm:gap-4">
-                      <div className="bg-red-950/10 p-2 sm:p-3 border border-red-900/50 hover:bg-red-900/20 transition-colors">
-                        <div className="text-[8px] sm:text-[10px] uppercase text-red-500 mb-1">Current Output</div>
-                        <div className="text-xl sm:text-2xl text-white font-bold">98.4%</div>
+                      <div className="bg-primary-950/10 p-2 sm:p-3 border border-primary-900/50 hover:bg-primary-900/20 transition-colors">
+                        <div className="text-[8px] sm:text-[10px] uppercase text-primary-500 mb-1">{t(`effects.${activeEffect}`)}</div>
+                        <div className="text-xl sm:text-2xl text-white font-bold">
+                          {t('home.effectValue', { value: formatPercent(getAttributeEffect(activeAttr, activeValue + activePending), 1) })}
+                        </div>
                       </div>
-                      <div className="bg-red-950/10 p-2 sm:p-3 border border-red-900/50 hover:bg-red-900/20 transition-colors">
-                        <div className="text-[8px] sm:text-[10px] uppercase text-red-500 mb-1">Next Threshold</div>
-                        <div className="text-xl sm:text-2xl text-cyan-400 font-bold animate-pulse">2050 XP</div>
+                      <div className="bg-primary-950/10 p-2 sm:p-3 border border-primary-900/50 hover:bg-primary-900/20 transition-colors">
+                        <div className="text-[8px] sm:text-[10px] uppercase text-primary-500 mb-1">{t('home.nextThreshold')}</div>
+                        <div className="text-xl sm:text-2xl text-accent-400 font-bold animate-pulse">
+                          {xpToNext === null ? t('home.maxLevel') : t('home.xp', { xp: xpToNext })}
+                        </div>
                       </div>
                    </div>
 
-                   <button 
-                    onClick={() => audio.playClickSound()}
-                    className="w-full bg-red-600 hover:bg-red-500 text-black font-black text-base sm:text-lg py-3 sm:py-4 uppercase tracking-[0.2em] hover:shadow-[0_0_30px_rgba(220,38,38,0.8)] transition-all active:scale-95"
-                    style={{ clipPath: 'polygon(12px 0, 100% 0, 100% calc(100% - 12px), calc(100% - 12px) 100%, 0 100%, 0 12px)' }}
-                   >
-                     Inject Code
-                   </button>
+                   {confirmAction ? (
+                     <div className="border border-accent-400/50 bg-primary-950/30 p-3 sm:p-4 space-y-3" role="alertdialog" aria-labelledby="attr-confirm-message">
+                       <p id="attr-confirm-message" className="text-accent-400 font-bold tracking-wider text-center">
+                         {confirmAction === 'inject'
+                           ? t('home.confirmInject', { count: pendingCount })
+                           : t('home.confirmRespec', { count: spentPoints })}
+                       </p>
+                       <div className="grid grid-cols-2 gap-2">
+                         <ActionButton label={t('home.confirm')} icon={Check} onClick={confirmAction === 'inject' ? injectPending : respec} autoFocus />
+                         <ActionButton label={t('home.abort')} icon={X} onClick={() => setConfirmAction(null)} />
+                       </div>
+                     </div>
+                   ) : (
+                     <button 
+                      onClick={() => { audio.playClickSound(); setConfirmAction('inject'); }}
+                      disabled={pendingCount === 0}
+                      className="w-full bg-primary-600 hover:bg-primary-500 text-black font-black text-base sm:text-lg py-3 sm:py-4 uppercase tracking-[0.2em] hover:shadow-[0_0_30px_var(--theme-glow-80)] transition-all active:scale-95 disabled:opacity-40 disabled:pointer-events-none"
+                      style={{ clipPath: 'polygon(12px 0, 100% 0, 100% calc(100% - 12px), calc(100% - 12px) 100%, 0 100%, 0 12px)' }}
+                     >
+                       {t('home.inject')}
+                     </button>
+                   )}
+
+                   <div className="grid grid-cols-2 gap-2 sm:gap-4">
+                     <ActionButton label={t('home.undo')} icon={Undo2} onClick={undoAllocation} disabled={character.history.length === 0} />
+                     <ActionButton label={t('home.respec')} icon={RotateCcw} onClick={() => setConfirmAction('respec')} disabled={spentPoints === 0} />
+                   </div>
                  </div>
                </div>
              </div>
@@ -801,64 +2269,194 @@ const App = () => {
 
         {view === 'device' && (
           <div className="animate-fadeIn max-w-4xl mx-auto pt-4">
-             <div className={`border-2 border-red-600/50 p-4 sm:p-6 relative ${frostClass}`}>
-               <div className="absolute top-0 left-0 bg-red-600 text-black font-bold px-3 sm:px-4 py-1 text-xs sm:text-sm tracking-widest">DEVICE_INTEL</div>
+             <div className={`border-2 border-primary-600/50 p-4 sm:p-6 relative ${frostClass}`}>
+               <div className="absolute top-0 start-0 bg-primary-600 text-black font-bold px-3 sm:px-4 py-1 text-xs sm:text-sm tracking-widest">{t('device.title')}</div>
                
                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 sm:gap-8 mt-8">
                   {/* Left Column: Visual Representation */}
-                  <div className="flex flex-col items-center justify-center p-4 sm:p-8 bg-black/40 border border-red-900/30">
-                     <Smartphone size={80} className="text-red-600 animate-pulse drop-shadow-[0_0_15px_rgba(220,38,38,0.5)] sm:w-[120px] sm:h-[120px]" />
+                  <div className="flex flex-col items-center justify-center p-4 sm:p-8 bg-surface/40 border border-primary-900/30">
+                     <Smartphone size={80} className="text-primary-600 animate-pulse drop-shadow-[0_0_15px_var(--theme-glow-50)] sm:w-[120px] sm:h-[120px]" />
                      <div className="mt-4 sm:mt-6 text-center">
-                       <h3 className="text-lg sm:text-2xl text-white font-bold tracking-widest">{systemStats.platform}</h3>
-                       <p className="text-red-400 text-[10px] sm:text-xs mt-1 break-all">{systemStats.userAgent.substring(0, 50)}...</p>
+                       <h3 className="text-lg sm:text-2xl text-white font-bold tracking-widest">{systemStats.platform || t('header.unknownPlatform')}</h3>
+                       <p className="text-primary-400 text-[10px] sm:text-xs mt-1 break-all">{systemStats.userAgent}</p>
                      </div>
                   </div>
 
                   {/* Right Column: Data Grid */}
                   <div className="grid grid-cols-1 gap-3 sm:gap-4">
                     
-                    <div className="bg-red-950/10 p-3 sm:p-4 border-l-4 border-cyan-400">
+                    <div className="bg-primary-950/10 p-3 sm:p-4 border-s-4 border-accent-400">
                       <div className="flex items-center gap-2 sm:gap-3 mb-2">
-                         <Database className="text-cyan-400" size={16}/>
-                         <span className="text-xs sm:text-sm font-bold text-cyan-100 uppercase">Storage Subsystem</span>
+                         <Database className="text-accent-400" size={16}/>
+                         <span className="text-xs sm:text-sm font-bold text-accent-100 uppercase">{t('device.storage')}</span>
                       </div>
-                      <div className="flex justify-between items-end">
-                         <span className="text-[10px] sm:text-xs text-red-400">USED: {systemStats.storageUsage}</span>
-                         <span className="text-lg sm:text-xl font-mono text-white">{systemStats.storageQuota} TOTAL</span>
-                      </div>
-                      <div className="w-full h-1 bg-red-900/30 mt-2">
-                        <div className="h-full bg-cyan-400" style={{width: '25%'}}></div>
+                      {systemStats.storage ? (
+                        <div className="flex justify-between items-end">
+                           <span className="text-[10px] sm:text-xs text-primary-400">{t('device.storageUsed', { usage: formatUnit(systemStats.storage.usage / BYTES_PER_MB, 'megabyte', 1) })}</span>
+                           <span className="text-lg sm:text-xl font-mono text-white">
+                             {t('device.storageTotal', {
+                               quota: systemStats.storage.quota ? formatUnit(systemStats.storage.quota / BYTES_PER_GB, 'gigabyte', 1) : t('common.unknown')
+                             })}
+                           </span>
+                        </div>
+                      ) : (
+                        <div className="text-[10px] sm:text-xs text-primary-400">{t('device.storagePending')}</div>
+                      )}
+                      <div className="w-full h-1 bg-primary-900/30 mt-2">
+                        <div className="h-full bg-accent-400" style={{width: systemStats.storage?.quota ? `${(systemStats.storage.usage / systemStats.storage.quota) * 100}%` : '0%'}}></div>
                       </div>
                     </div>
 
-                    <div className="bg-red-950/10 p-3 sm:p-4 border-l-4 border-red-500">
+                    <div className="bg-primary-950/10 p-3 sm:p-4 border-s-4 border-primary-500">
                       <div className="flex items-center gap-2 sm:gap-3 mb-2">
-                         <Maximize className="text-red-500" size={16}/>
-                         <span className="text-xs sm:text-sm font-bold text-red-100 uppercase">Display Matrix</span>
+                         <Maximize className="text-primary-500" size={16}/>
+                         <span className="text-xs sm:text-sm font-bold text-primary-100 uppercase">{t('device.display')}</span>
                       </div>
                       <div className="text-lg sm:text-xl font-mono text-white">{systemStats.screenRes}</div>
-                      <div className="text-[10px] sm:text-xs text-red-400 mt-1 break-all">{systemStats.gpu.substring(0, 40)}</div>
+                      <div className="text-[10px] sm:text-xs text-primary-400 mt-1 break-all">{systemStats.gpu || t('device.genericGpu')}</div>
                     </div>
 
-                    <div className="bg-red-950/10 p-3 sm:p-4 border-l-4 border-green-500">
+                    <div className="bg-primary-950/10 p-3 sm:p-4 border-s-4 border-green-500">
                       <div className="flex items-center gap-2 sm:gap-3 mb-2">
                          {systemStats.batteryCharging ? <BatteryCharging className="text-green-500" size={16}/> : <Battery className="text-green-500" size={16}/>}
-                         <span className="text-xs sm:text-sm font-bold text-green-100 uppercase">Power Core</span>
+                         <span className="text-xs sm:text-sm font-bold text-green-100 uppercase">{t('device.power')}</span>
                       </div>
+                      {/* No Battery API (or no battery) reads as UNSUPPORTED, like the capability panels; 0% is a real level */}
                       <div className="flex justify-between items-end">
-                         <span className="text-lg sm:text-xl font-mono text-white">{systemStats.batteryLevel ? `${systemStats.batteryLevel}%` : 'EXT'}</span>
-                         <span className="text-[10px] sm:text-xs text-green-400">{systemStats.batteryCharging ? 'CHARGING' : 'DISCHARGING'}</span>
+                         <span className="text-lg sm:text-xl font-mono text-white">{systemStats.batteryLevel === null ? unsupported : formatPercent(systemStats.batteryLevel)}</span>
+                         {systemStats.batteryLevel !== null && (
+                           <span className="text-[10px] sm:text-xs text-green-400">{t(systemStats.batteryCharging ? 'device.charging' : 'device.discharging')}</span>
+                         )}
                       </div>
                     </div>
 
                   </div>
                </div>
 
+               <div className="mt-6 sm:mt-8 grid grid-cols-1 gap-6 sm:gap-8">
+                 <DiagnosticsPanel icon={Activity} label={t('device.runtime')}>
+                   <MetricCell label={t('metrics.frameRate')} value={formatMetric(systemStats.fps, ' FPS')} />
+                   <MetricCell label={t('metrics.frameP50')} value={formatMetric(systemStats.frameTimeP50, ' ms', 1)} />
+                   <MetricCell label={t('metrics.frameP95')} value={formatMetric(systemStats.frameTimeP95, ' ms', 1)} />
+                   <MetricCell label={t('metrics.frameP99')} value={formatMetric(systemStats.frameTimeP99, ' ms', 1)} />
+                   <MetricCell label={t('metrics.mainThread')} value={formatMetric(systemStats.mainThreadLoad, '%', 1)} />
+                   <MetricCell label={t('metrics.loopLag')} value={formatMetric(systemStats.eventLoopLag, ' ms', 1)} />
+                   <MetricCell
+                     label={t('metrics.heap')}
+                     value={systemStats.heapUsed !== null
+                       ? `${formatMetric(systemStats.heapUsed, '')}/${formatMetric(systemStats.heapLimit, ' MB')}`
+                       : t('common.notAvailable')}
+                   />
+                   <MetricCell
+                     label={t('metrics.deviceRam')}
+                     value={systemStats.memory ? formatUnit(systemStats.memory, 'gigabyte') : t('common.notAvailable')}
+                   />
+                   <MetricCell
+                     label={t('metrics.cores')}
+                     value={systemStats.cores ? t('metrics.coreCount', { count: systemStats.cores }) : t('common.notAvailable')}
+                   />
+                   <MetricCell
+                     label={t('metrics.renderQuality')}
+                     value={settings.qualityGovernor
+                       ? t('metrics.qualityAdaptive', { quality: quality.label, level: qualityLevel, max: MAX_QUALITY_LEVEL, fps: settings.targetFps })
+                       : t('metrics.qualityFixed', { quality: quality.label })}
+                   />
+                 </DiagnosticsPanel>
+
+                 <DiagnosticsPanel
+                   icon={Layers}
+                   label={t('device.graphics')}
+                   tone="primary"
+                   footer={glLimits && (
+                     <details className="mt-3 text-[10px] sm:text-xs">
+                       <summary className="cursor-pointer uppercase text-primary-500 hover:text-primary-300">
+                         {t('caps.extensions', { count: glLimits.extensions.length })}
+                       </summary>
+                       <p className="mt-2 font-mono text-primary-400 break-all leading-relaxed">{glLimits.extensions.join(' ')}</p>
+                     </details>
+                   )}
+                 >
+                   <MetricCell label={t('caps.webgl')} value={glValue(() => supportLabel(webgl.webgl))} />
+                   <MetricCell label={t('caps.webgl2')} value={glValue(() => supportLabel(webgl.webgl2))} />
+                   <MetricCell label={t('caps.maxTexture')} value={glLimit(limits => formatMetric(limits.maxTextureSize, ' px'))} />
+                   <MetricCell label={t('caps.maxRenderbuffer')} value={glLimit(limits => formatMetric(limits.maxRenderbufferSize, ' px'))} />
+                   <MetricCell label={t('caps.maxViewport')} value={glLimit(limits => limits.maxViewport ? limits.maxViewport.map(size => formatNumber(size)).join('×') : notAvailable)} />
+                   <MetricCell label={t('caps.textureUnits')} value={glLimit(limits => formatMetric(limits.textureUnits))} />
+                   <MetricCell label={t('caps.vertexAttribs')} value={glLimit(limits => formatMetric(limits.vertexAttribs))} />
+                   <MetricCell label={t('caps.extensionCount')} value={glLimit(limits => formatMetric(limits.extensions.length))} />
+                 </DiagnosticsPanel>
+
+                 <DiagnosticsPanel icon={MousePointer2} label={t('device.displayInput')}>
+                   <MetricCell label={t('caps.pixelRatio')} value={formatMetric(display.pixelRatio, '×', 2)} />
+                   <MetricCell label={t('caps.refreshRate')} value={systemStats.refreshRate ? t('caps.refreshEstimate', { rate: systemStats.refreshRate }) : notAvailable} />
+                   <MetricCell label={t('caps.gamut')} value={display.gamut ? GAMUT_LABELS[display.gamut] : unsupported} />
+                   <MetricCell label={t('caps.dynamicRange')} value={display.dynamicRange ? t(display.dynamicRange === 'high' ? 'caps.hdr' : 'caps.sdr') : unsupported} />
+                   <MetricCell label={t('caps.colourDepth')} value={display.colourDepth ? t('caps.colourBits', { bits: display.colourDepth }) : notAvailable} />
+                   <MetricCell label={t('caps.pointer')} value={input.pointer ? t(`pointerTypes.${input.pointer}`) : unsupported} />
+                   <MetricCell label={t('caps.hover')} value={input.hover ? t(input.hover === 'hover' ? 'common.yes' : 'common.no') : unsupported} />
+                   <MetricCell label={t('caps.touchPoints')} value={input.touchPoints === null ? unsupported : formatNumber(input.touchPoints)} />
+                 </DiagnosticsPanel>
+
+                 <DiagnosticsPanel
+                   icon={AudioLines}
+                   label={t('device.audioOutput')}
+                   tone="primary"
+                   footer={audioOutput && audioOutput.sampleRate === null && (
+                     <p className="mt-3 text-[10px] sm:text-xs text-primary-400">{t('caps.audioIdle')}</p>
+                   )}
+                 >
+                   <MetricCell label={t('caps.sampleRate')} value={audioValue(output => formatMetric(output.sampleRate, ' Hz'))} />
+                   <MetricCell label={t('caps.baseLatency')} value={audioValue(output => formatMetric(output.baseLatency, ' ms', 1))} />
+                   <MetricCell label={t('caps.outputLatency')} value={audioValue(output => formatMetric(output.outputLatency, ' ms', 1))} />
+                   <MetricCell label={t('caps.channels')} value={audioValue(output => formatMetric(output.channels))} />
+                 </DiagnosticsPanel>
+
+                 <DiagnosticsPanel icon={Puzzle} label={t('device.features')}>
+                   {CAPABILITY_FEATURES.map(feature => (
+                     <MetricCell key={feature} label={t(`caps.${feature}`)} value={supportLabel(features[feature])} />
+                   ))}
+                 </DiagnosticsPanel>
+               </div>
+
+               <div className="mt-6 sm:mt-8 bg-primary-950/10 p-3 sm:p-4 border-s-4 border-primary-500 space-y-3" role="group" aria-labelledby="device-report-heading">
+                 <div className="flex items-center gap-2 sm:gap-3">
+                   <FileText className="text-primary-500" size={16}/>
+                   <span id="device-report-heading" className="text-xs sm:text-sm font-bold text-primary-100 uppercase">{t('device.report')}</span>
+                 </div>
+                 <p className="text-[10px] sm:text-xs text-primary-400">{t('report.hint')}</p>
+                 <div className="grid grid-cols-1">
+                   <ActionButton label={t(report ? 'report.regenerate' : 'report.generate')} icon={FileText} onClick={generateReport} />
+                 </div>
+                 {shownReport && (
+                   <>
+                     <SegmentedControl
+                       label={t('report.format')}
+                       options={REPORT_FORMATS.map(id => ({ id, label: t(`reportFormats.${id}`) }))}
+                       value={reportFormat}
+                       onChange={setReportFormat}
+                     />
+                     <CyberCheckbox label={t('report.redact')} checked={reportRedacted} onChange={setReportRedacted} />
+                     <pre
+                       dir="ltr"
+                       tabIndex={0}
+                       aria-label={t('report.preview')}
+                       className="max-h-64 overflow-auto bg-surface/60 border border-primary-900/30 p-2 sm:p-3 text-[9px] sm:text-[10px] text-primary-300 font-mono whitespace-pre-wrap break-all"
+                     >
+                       {serializeReport(shownReport, reportFormat)}
+                     </pre>
+                     <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 sm:gap-3">
+                       <ActionButton label={t('report.copy')} icon={ClipboardCopy} onClick={copyReport} />
+                       <ActionButton label={t('report.download')} icon={Download} onClick={saveReport} />
+                     </div>
+                   </>
+                 )}
+               </div>
+
                <button 
-                  onClick={() => { audio.playClickSound(); setView('home'); }}
-                  className="mt-6 sm:mt-8 w-full border border-red-600 text-red-500 hover:bg-red-600 hover:text-black py-2 sm:py-3 uppercase tracking-widest font-bold transition-all text-sm"
+                  onClick={() => { audio.playClickSound(); returnHome(); }}
+                  className="mt-6 sm:mt-8 w-full border border-primary-600 text-primary-500 hover:bg-primary-600 hover:text-black py-2 sm:py-3 uppercase tracking-widest font-bold transition-all text-sm"
                >
-                 Close Diagnostics
+                 {t('device.close')}
                </button>
              </div>
           </div>
@@ -866,67 +2464,93 @@ const App = () => {
 
         {view === 'settings' && (
           <div className="animate-fadeIn max-w-3xl mx-auto pt-4 sm:pt-8">
-            <div className={`border border-red-600/30 p-1 relative shadow-[0_0_100px_rgba(220,38,38,0.1)] ${frostClass}`}>
-              <div className="absolute top-1/2 -left-4 w-1 h-32 bg-red-900/50 transform -translate-y-1/2 hidden sm:block"></div>
-              <div className="absolute top-1/2 -right-4 w-1 h-32 bg-red-900/50 transform -translate-y-1/2 hidden sm:block"></div>
-
-              <div className="border border-red-900/50 p-4 sm:p-8 lg:p-12 relative overflow-hidden">
-                <div className="absolute top-0 left-0 w-3 h-3 border-t-2 border-l-2 border-red-500"></div>
-                <div className="absolute top-0 right-0 w-3 h-3 border-t-2 border-r-2 border-red-500"></div>
-                <div className="absolute bottom-0 left-0 w-3 h-3 border-b-2 border-l-2 border-red-500"></div>
-                <div className="absolute bottom-0 right-0 w-3 h-3 border-b-2 border-r-2 border-red-500"></div>
-
-                <div className="flex items-center justify-between mb-8 sm:mb-12 border-b border-red-900/50 pb-4">
-                  <h2 className={`text-xl sm:text-3xl tracking-[0.1em] sm:tracking-[0.2em] text-red-100 heading ${settings.chromatic ? 'chromatic-text' : ''} ${glowClass}`}>SYSTEM_CONFIG</h2>
+            <div className={`border border-primary-600/30 p-1 relative shadow-[0_0_100px_var(--theme-glow-10)] ${frostClass}`}>
+              <div className="absolute top-1/2 -left-4 w-1 h-32 bg-primary-900/50 transform -translate-y-1/2 hidden sm:block"></div>
+              <div className="absolute top-1/2 -right-4 w-1 h-32 bg-primary-900/50 transform -translate-y-1/2 hidden sm:block"></div>
+
+              <div className="border border-primary-900/50 p-4 sm:p-8 lg:p-12 relative overflow-hidden">
+                <div className="absolute top-0 left-0 w-3 h-3 border-t-2 border-l-2 border-primary-500"></div>
+                <div className="absolute top-0 right-0 w-3 h-3 border-t-2 border-r-2 border-primary-500"></div>
+                <div className="absolute bottom-0 left-0 w-3 h-3 border-b-2 border-l-2 border-primary-500"></div>
+                <div className="absolute bottom-0 right-0 w-3 h-3 border-b-2 border-r-2 border-primary-500"></div>
+
+                <div className="flex items-center justify-between mb-8 sm:mb-12 border-b border-primary-900/50 pb-4">
+                  <h2 className={`text-xl sm:text-3xl tracking-[0.1em] sm:tracking-[0.2em] text-primary-100 heading ${showChromatic ? 'chromatic-text' : ''} ${glowClass}`}>{t('config.title')}</h2>
                   <div className="flex gap-2">
-                    <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse"></div>
-                    <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse delay-75"></div>
-                    <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse delay-150"></div>
+                    <div className="w-2 h-2 bg-primary-500 rounded-full animate-pulse"></div>
+                    <div className="w-2 h-2 bg-primary-500 rounded-full animate-pulse delay-75"></div>
+                    <div className="w-2 h-2 bg-primary-500 rounded-full animate-pulse delay-150"></div>
                   </div>
                 </div>
 
-                <div className="space-y-6 sm:space-y-10">
-                  <div className="space-y-2">
-                     <div className="flex items-center gap-2 mb-4">
-                       <Volume2 className="text-red-500" size={16} />
-                       <span className="text-xs sm:text-sm font-bold text-red-500 uppercase tracking-widest">Audio Output</span>
-                     </div>
-                     <CyberSlider 
-                        label="Music Volume" 
-                        value={settings.musicVol} 
-                        onChange={(val) => setSettings(s => ({...s, musicVol: val}))} 
-                     />
-                     <CyberSlider 
-                        label="Effects Volume" 
-                        value={settings.sfxVol} 
-                        onChange={(val) => setSettings(s => ({...s, sfxVol: val}))} 
-                     />
-                  </div>
-                  
-                  <div className="h-px bg-gradient-to-r from-transparent via-red-900/50 to-transparent my-8"></div>
+                <CyberTextField
+                  label={t('config.search')}
+                  icon={Search}
+                  type="search"
+                  value={settingsQuery}
+                  placeholder={t('config.searchPlaceholder')}
+                  onChange={setSettingsQuery}
+                />
 
-                  <div className="space-y-2">
-                    <div className="flex items-center gap-2 mb-4">
-                       <Monitor className="text-red-500" size={16} />
-                       <span className="text-xs sm:text-sm font-bold text-red-500 uppercase tracking-widest">Graphics Engine</span>
-                     </div>
-                    <CyberCheckbox label="MOTION BLUR" checked={settings.motionBlur} onChange={(v) => setSettings(s => ({...s, motionBlur: v}))} />
-                    <CyberCheckbox label="DEPTH OF FIELD" checked={settings.dof} onChange={(v) => setSettings(s => ({...s, dof: v}))} />
-                    <CyberCheckbox label="CHROMATIC ABERRATION" checked={settings.chromatic} onChange={(v) => setSettings(s => ({...s, chromatic: v}))} />
-                    <CyberCheckbox label="SCANLINE OVERLAY" checked={settings.scanlines} onChange={(v) => setSettings(s => ({...s, scanlines: v}))} />
-                  </div>
+                <div className="space-y-6 sm:space-y-10">
+                  {visibleGroups.length === 0 && (
+                    <p className="text-center text-[10px] sm:text-xs text-primary-700 font-mono py-8" role="status">
+                      {t('config.noMatches', { query: settingsQuery.trim() })}
+                    </p>
+                  )}
+                  {visibleGroups.map((group, index) => (
+                    <div key={group.id}>
+                      {index > 0 && <div className="h-px bg-gradient-to-r from-transparent via-primary-900/50 to-transparent mb-6 sm:mb-10"></div>}
+                      <SettingsSection id={group.id} icon={GROUP_ICONS[group.id]} label={t(group.label)} onReset={() => resetGroup(group)}>
+                        {group.fields.map(field => (
+                          <SettingField
+                            key={field.key}
+                            field={field}
+                            settings={settings}
+                            value={field.key === 'soundPack' && !soundPackOptions.some(o => o.id === settings.soundPack) ? DEFAULT_SOUND_PACK : undefined}
+                            options={fieldOptions(field)}
+                            custom={customControls[field.key]?.((labelKey) => matchesQuery(field.label) || matchesQuery(labelKey))}
+                            onChange={updateSetting}
+                          />
+                        ))}
+                        {!query && groupExtras[group.id]}
+                      </SettingsSection>
+                    </div>
+                  ))}
+
+                  {!query && (
+                    <>
+                      <div className="h-px bg-gradient-to-r from-transparent via-primary-900/50 to-transparent"></div>
+                      <SettingsSection id="data" icon={Database} label={t('config.data')}>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:gap-3">
+                          <ActionButton label={t('config.exportJson')} icon={Download} onClick={exportSettings} />
+                          <ActionButton label={t('config.importJson')} icon={Upload} onClick={openImportDialog} />
+                          <ActionButton label={t('config.copyLink')} icon={Link} onClick={copyShareLink} />
+                        </div>
+                      </SettingsSection>
+                    </>
+                  )}
+                  <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={importSettings} />
+                  <input ref={soundPackInputRef} type="file" accept="application/json,.json" className="hidden" onChange={importSoundPack} />
                 </div>
                 
                 <div className="mt-6 sm:mt-8 text-center">
-                  <p className="text-[9px] sm:text-[10px] text-red-800 font-mono mb-4">PRESS 'M' TO TOGGLE AUDIO MUTE</p>
+                  <p className="text-[9px] sm:text-[10px] text-primary-800 font-mono mb-4">
+                    {t('config.shortcutsHint', {
+                      mute: formatKey(keybindings.mute),
+                      prev: formatKey(keybindings.prevTab),
+                      next: formatKey(keybindings.nextTab)
+                    })}
+                  </p>
+                  {isDirty && <p className="text-[9px] sm:text-[10px] text-accent-400 font-mono mb-4 animate-pulse">{t('config.unsaved', { count: unsavedCount })}</p>}
                 </div>
 
                 <div className="mt-4 sm:mt-6 flex flex-col sm:flex-row justify-between gap-3 sm:gap-6">
-                  <button onClick={() => { audio.playClickSound(); setView('home'); }} className="flex-1 border border-red-600 text-red-500 py-2 sm:py-3 hover:bg-red-600 hover:text-black transition-colors uppercase tracking-widest text-xs sm:text-sm font-bold">
-                    Discard
+                  <button onClick={() => { audio.playClickSound(); discardSettings(); returnHome(); }} className="flex-1 border border-primary-600 text-primary-500 py-2 sm:py-3 hover:bg-primary-600 hover:text-black transition-colors uppercase tracking-widest text-xs sm:text-sm font-bold">
+                    {t('config.discard')}
                   </button>
-                  <button onClick={() => { audio.playClickSound(); setView('home'); }} className="flex-1 bg-red-600 text-black font-bold py-2 sm:py-3 hover:bg-white hover:text-black transition-colors uppercase tracking-widest text-xs sm:text-sm shadow-[0_0_20px_rgba(220,38,38,0.5)]">
-                    Save Changes
+                  <button onClick={() => { audio.playClickSound(); commitSettings(); returnHome(); }} className="flex-1 bg-primary-600 text-black font-bold py-2 sm:py-3 hover:bg-white hover:text-black transition-colors uppercase tracking-widest text-xs sm:text-sm shadow-[0_0_20px_var(--theme-glow-50)]">
+                    {t('config.save')}
                   </button>
                 </div>
               </div>
@@ -936,45 +2560,44 @@ const App = () => {
       </main>
 
       {/* Navigation Bar */}
-      <nav className="nav-bar fixed bottom-0 w-full z-40 bg-black/90 border-t border-red-900/50 backdrop-blur-lg pb-safe">
+      <nav className="nav-bar fixed bottom-0 w-full z-40 bg-surface/90 border-t border-primary-900/50 backdrop-blur-lg pb-safe">
          <div className="flex justify-around items-center h-16 sm:h-20 max-w-lg mx-auto relative">
             <button 
-              onClick={() => { audio.playClickSound(); setView('home'); }} 
-              className={`flex flex-col items-center gap-1 w-16 sm:w-20 ${view === 'home' ? 'text-red-500 drop-shadow-[0_0_8px_red]' : 'text-red-900 hover:text-red-400'}`}
+              onClick={() => navigateTo('home')} 
+              className={`flex flex-col items-center gap-1 w-16 sm:w-20 ${view === 'home' ? 'text-primary-500 drop-shadow-[0_0_8px_var(--theme-glow)]' : 'text-primary-900 hover:text-primary-400'}`}
             >
               <Activity size={20} />
-              <span className={`text-[8px] sm:text-[10px] uppercase tracking-widest font-bold ${glowClass}`}>Stats</span>
-              {view === 'home' && <div className="w-1 h-1 bg-red-500 rounded-full mt-1"></div>}
+              <span className={`text-[8px] sm:text-[10px] uppercase tracking-widest font-bold ${glowClass}`}>{t('nav.stats')}</span>
+              {view === 'home' && <div className="w-1 h-1 bg-primary-500 rounded-full mt-1"></div>}
             </button>
             
             {/* Center Decorative Button - Triggers Device View */}
             <div className="relative -top-6 sm:-top-8 group">
               <button 
-                onClick={() => {
-                  audio.playClickSound();
-                  triggerBurst();
-                  setView('device');
-                }}
-                className="w-16 h-16 sm:w-20 sm:h-20 bg-black rotate-45 border-2 border-red-600 flex items-center justify-center shadow-[0_0_30px_rgba(220,38,38,0.3)] group-hover:scale-110 group-hover:border-red-400 group-hover:shadow-[0_0_50px_rgba(220,38,38,0.6)] transition-all duration-300"
+                onClick={() => navigateTo('device')}
+                aria-label={t('nav.diagnostics')}
+                className="w-16 h-16 sm:w-20 sm:h-20 bg-surface rotate-45 border-2 border-primary-600 flex items-center justify-center shadow-[0_0_30px_var(--theme-glow-30)] group-hover:scale-110 group-hover:border-primary-400 group-hover:shadow-[0_0_50px_var(--theme-glow-60)] transition-all duration-300"
               >
-                <div className="-rotate-45 bg-red-600 p-2 sm:p-3 shadow-inner">
+                <div className="-rotate-45 bg-primary-600 p-2 sm:p-3 shadow-inner">
                   <Crosshair className="text-black" size={24} />
                 </div>
               </button>
             </div>
 
             <button 
-              onClick={() => { audio.playClickSound(); setView('settings'); }} 
-              className={`flex flex-col items-center gap-1 w-16 sm:w-20 ${view === 'settings' ? 'text-red-500 drop-shadow-[0_0_8px_red]' : 'text-red-900 hover:text-red-400'}`}
+              onClick={() => navigateTo('settings')} 
+              className={`flex flex-col items-center gap-1 w-16 sm:w-20 ${view === 'settings' ? 'text-primary-500 drop-shadow-[0_0_8px_var(--theme-glow)]' : 'text-primary-900 hover:text-primary-400'}`}
             >
               <Menu size={20} />
-              <span className={`text-[8px] sm:text-[10px] uppercase tracking-widest font-bold ${glowClass}`}>Config</span>
-              {view === 'settings' && <div className="w-1 h-1 bg-red-500 rounded-full mt-1"></div>}
+              <span className={`text-[8px] sm:text-[10px] uppercase tracking-widest font-bold ${glowClass}`}>{t('nav.config')}</span>
+              {view === 'settings' && <div className="w-1 h-1 bg-primary-500 rounded-full mt-1"></div>}
             </button>
          </div>
       </nav>
 
     </div>
+    </ControlFxContext>
+    </I18nContext>
   );
 };
 
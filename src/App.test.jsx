@@ -0,0 +1,46 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { StrictMode, act } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App.jsx';
+
+// Smoke test: the whole tree renders up to the boot gate without throwing
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+beforeAll(() => {
+  // jsdom has no media queries; report nothing matching
+  window.matchMedia ??= (query) => ({
+    matches: false, media: query, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {}
+  });
+  // jsdom has no canvas: a 2D context that accepts any call, and no WebGL (probes report unsupported)
+  const context2d = new Proxy({}, {
+    get: (target, prop) => (prop in target ? target[prop] : () => context2d),
+    set: (target, prop, value) => { target[prop] = value; return true; }
+  });
+  HTMLCanvasElement.prototype.getContext = function getContext(type) {
+    return type === '2d' ? context2d : null;
+  };
+});
+
+let root;
+let container;
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  window.localStorage.clear();
+});
+
+const renderApp = () => {
+  container = document.createElement('div');
+  document.body.append(container);
+  root = createRoot(container);
+  act(() => root.render(<StrictMode><App /></StrictMode>));
+};
+
+describe('App', () => {
+  it('mounts and shows the boot gate', () => {
+    renderApp();
+    expect(container.textContent).toContain('TAP TO INITIALIZE NEURAL LINK');
+  });
+});
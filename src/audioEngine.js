@@ -0,0 +1,349 @@
+import { MusicSequencer, MUSIC_OFF } from './musicSequencer.js';
+import { resolveSoundPack, DEFAULT_SOUND_PACK } from './soundPacks.js';
+import { notifications } from './notifications.js';
+
+// --- AUDIO ENGINE ---
+
+export const AUDIO_CONFIG = {
+  DRONE_FREQUENCY: 50,
+  // Drone pitch range (Hz) offered in settings
+  DRONE_FREQUENCY_RANGE: [30, 200],
+  // Master level range (dB); 0 dB is unity gain
+  MASTER_DB_RANGE: [-48, 0],
+  FILTER_FREQUENCY: 120,
+  FILTER_Q: 5,
+  LFO_FREQUENCY: 0.2,
+  LFO_GAIN: 20,
+  DRONE_GAIN: 0.05,
+  ENVELOPE_FLOOR: 0.0001,
+  NOISE_BUFFER_SECONDS: 1
+};
+
+// Minimum ms between repeats of rapid-fire events so drags and sweeps don't stack voices
+const SOUND_THROTTLE_MS = {
+  hover: 30,
+  sliderTick: 40
+};
+
+// Silence appended after the last envelope when rendering offline
+const RENDER_TAIL_SECONDS = 0.1;
+
+const createAudioContext = () => {
+  const AudioContext = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!AudioContext) throw new Error('Web Audio API unavailable');
+  return new AudioContext();
+};
+
+/** Length in seconds of a sound (patch or layered patches) from its delays and envelopes */
+export const getSoundDuration = (sound) =>
+  Math.max(...(Array.isArray(sound) ? sound : [sound])
+    .map(p => (p.delay || 0) + (p.attack || 0) + p.decay + 0.05));
+
+/** Encode an AudioBuffer (or `{ numberOfChannels, sampleRate, length, getChannelData }`) as 16-bit PCM WAV */
+export const encodeWav = (buffer) => {
+  const channels = buffer.numberOfChannels;
+  const { sampleRate, length } = buffer;
+  const bytesPerSample = 2;
+  const dataSize = length * channels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+  return view.buffer;
+};
+
+/**
+ * AudioEngine - Procedural sound generation for UI interactions
+ * Uses Web Audio API to create synthesized cyberpunk-style sounds
+ *
+ * Options (all optional, for tests and offline rendering):
+ *   context   - an AudioContext, OfflineAudioContext or compatible fake to use instead of creating one
+ *   ambience  - start the drone on init (default true)
+ *   random    - () => number in [0, 1), used for pitch jitter and noise (default Math.random)
+ */
+export class AudioEngine {
+  constructor({ context = null, ambience = true, random = Math.random } = {}) {
+    this.options = { context, ambience, random };
+    this.ctx = null;
+    this.masterGain = null;
+    this.musicGain = null;
+    this.sfxGain = null;
+    this.droneOsc = null;
+    this.droneGain = null;
+    this.sequencer = null;
+    this.isMuted = false;
+    this.droneEnabled = true;
+    this.droneFrequency = AUDIO_CONFIG.DRONE_FREQUENCY;
+    this.masterLevel = 1;
+    this.initialized = false;
+    this.soundPack = resolveSoundPack(DEFAULT_SOUND_PACK);
+    this.noiseBuffer = null;
+    this.lastPlayed = {};
+  }
+
+  /** Initialize the audio context and connect audio nodes; without Web Audio the engine stays silent */
+  init() {
+    if (this.initialized) return;
+    
+    try {
+      this.ctx = this.options.context || createAudioContext();
+    } catch (e) {
+      console.warn('Audio Init Failed', e);
+      notifications.notify({ key: 'toast.audioUnavailable', params: { reason: e.message.toUpperCase() } }, { type: 'error', key: 'audio' });
+      return;
+    }
+    
+    // Master Gain (Global Volume/Mute)
+    this.masterGain = this.ctx.createGain();
+    this.masterGain.gain.value = this.isMuted ? 0 : this.masterLevel;
+    this.masterGain.connect(this.ctx.destination);
+    
+    // Music Bus
+    this.musicGain = this.ctx.createGain();
+    this.musicGain.connect(this.masterGain);
+    
+    // SFX Bus
+    this.sfxGain = this.ctx.createGain();
+    this.sfxGain.connect(this.masterGain);
+
+    this.sequencer = new MusicSequencer(this.ctx, this.musicGain);
+
+    this.initialized = true;
+    if (this.options.ambience) this.startAmbience();
+  }
+
+  /** Start the ambient drone sound with LFO modulation */
+  startAmbience() {
+    if (!this.ctx) return;
+    this.droneOsc = this.ctx.createOscillator();
+    this.droneOsc.type = 'sawtooth';
+    this.droneOsc.frequency.value = this.droneFrequency;
+    
+    const filter = this.ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = AUDIO_CONFIG.FILTER_FREQUENCY;
+    filter.Q.value = AUDIO_CONFIG.FILTER_Q;
+
+    const lfo = this.ctx.createOscillator();
+    lfo.type = 'sine';
+    lfo.frequency.value = AUDIO_CONFIG.LFO_FREQUENCY; 
+    const lfoGain = this.ctx.createGain();
+    lfoGain.gain.value = AUDIO_CONFIG.LFO_GAIN;
+
+    lfo.connect(lfoGain);
+    lfoGain.connect(filter.frequency);
+
+    this.droneGain = this.ctx.createGain();
+    this.droneGain.gain.value = this.droneEnabled ? AUDIO_CONFIG.DRONE_GAIN : 0;
+
+    this.droneOsc.connect(filter);
+    filter.connect(this.droneGain);
+    this.droneGain.connect(this.musicGain);
+
+    this.droneOsc.start();
+    lfo.start();
+  }
+
+  /** Fade the ambient drone in or out; remembered if called before init */
+  setDroneEnabled(enabled) {
+    this.droneEnabled = enabled;
+    if (!this.droneGain) return;
+    this.droneGain.gain.setTargetAtTime(enabled ? AUDIO_CONFIG.DRONE_GAIN : 0, this.ctx.currentTime, 0.3);
+  }
+
+  /** Glide the drone to a new pitch (Hz); remembered if called before init */
+  setDroneFrequency(hz) {
+    this.droneFrequency = hz;
+    if (!this.droneOsc) return;
+    this.droneOsc.frequency.setTargetAtTime(hz, this.ctx.currentTime, 0.1);
+  }
+
+  /** Configure the generative music on the music bus; mood `off` leaves only the drone */
+  setMusic(mood, tempo) {
+    if (!this.initialized) return;
+    if (mood === MUSIC_OFF) {
+      this.sequencer.stop();
+      return;
+    }
+    this.sequencer.setMood(mood);
+    this.sequencer.setTempo(tempo);
+    this.sequencer.start();
+  }
+
+  /** Steer the music's density and tension (0-1) */
+  setMusicIntensity(value) {
+    if (!this.initialized) return;
+    this.sequencer.setIntensity(value);
+  }
+
+  /** Set music and SFX volume levels (0-100) */
+  setVolumes(musicVol, sfxVol) {
+    if (!this.initialized) return;
+    const now = this.ctx.currentTime;
+    this.musicGain.gain.setTargetAtTime(musicVol / 100, now, 0.1);
+    this.sfxGain.gain.setTargetAtTime(sfxVol / 100, now, 0.1);
+  }
+
+  /** Set the master level in dB (0 = unity); remembered if called before init and kept while muted */
+  setMasterLevel(db) {
+    this.masterLevel = 10 ** (db / 20);
+    if (!this.initialized || this.isMuted) return;
+    this.masterGain.gain.setTargetAtTime(this.masterLevel, this.ctx.currentTime, 0.1);
+  }
+
+  /** Toggle mute state and return new mute status */
+  toggleMute() {
+    if (!this.initialized) return false;
+    this.isMuted = !this.isMuted;
+    const now = this.ctx.currentTime;
+    this.masterGain.gain.setTargetAtTime(this.isMuted ? 0 : this.masterLevel, now, 0.1);
+    return this.isMuted;
+  }
+
+  /** Swap the active sound pack (a resolved pack from soundPacks.js) */
+  setSoundPack(pack) {
+    this.soundPack = pack;
+  }
+
+  /** Lazily build a shared one-second white-noise buffer */
+  getNoiseBuffer() {
+    if (!this.noiseBuffer) {
+      const length = this.ctx.sampleRate * AUDIO_CONFIG.NOISE_BUFFER_SECONDS;
+      this.noiseBuffer = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+      const data = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < length; i++) data[i] = this.options.random() * 2 - 1;
+    }
+    return this.noiseBuffer;
+  }
+
+  /** Schedule one patch layer: sources -> optional filter -> envelope -> SFX bus */
+  playPatch(patch, when) {
+    const t = when + (patch.delay || 0);
+    const attack = patch.attack || 0;
+    const end = t + attack + patch.decay;
+    const floor = AUDIO_CONFIG.ENVELOPE_FLOOR;
+
+    const env = this.ctx.createGain();
+    if (attack > 0) {
+      env.gain.setValueAtTime(floor, t);
+      env.gain.linearRampToValueAtTime(patch.gain ?? 0.3, t + attack);
+    } else {
+      env.gain.setValueAtTime(patch.gain ?? 0.3, t);
+    }
+    env.gain.exponentialRampToValueAtTime(floor, end);
+    env.connect(this.sfxGain);
+
+    let input = env;
+    if (patch.filter) {
+      const filter = this.ctx.createBiquadFilter();
+      filter.type = patch.filter.type;
+      filter.frequency.value = patch.filter.freq;
+      filter.Q.value = patch.filter.q ?? 1;
+      filter.connect(env);
+      input = filter;
+    }
+
+    if (patch.osc) {
+      const osc = this.ctx.createOscillator();
+      osc.type = patch.osc;
+      osc.frequency.setValueAtTime(patch.freq + this.options.random() * (patch.jitter || 0), t);
+      if (patch.freqEnd) osc.frequency.exponentialRampToValueAtTime(patch.freqEnd, end);
+      osc.connect(input);
+      osc.start(t);
+      osc.stop(end + 0.05);
+    }
+
+    if (patch.noise) {
+      const noise = this.ctx.createBufferSource();
+      const noiseLevel = this.ctx.createGain();
+      noise.buffer = this.getNoiseBuffer();
+      noise.loop = true;
+      noiseLevel.gain.value = patch.noise;
+      noise.connect(noiseLevel);
+      noiseLevel.connect(input);
+      noise.start(t);
+      noise.stop(end + 0.05);
+    }
+  }
+
+  /** Play the active pack's sound for a UI event (see SOUND_EVENTS) */
+  play(event) {
+    if (!this.initialized || this.isMuted) return;
+    const sound = this.soundPack.sounds[event];
+    if (!sound) return;
+    const t = this.ctx.currentTime;
+    const last = this.lastPlayed[event];
+    if (SOUND_THROTTLE_MS[event] && last !== undefined && (t - last) * 1000 < SOUND_THROTTLE_MS[event]) return;
+    this.lastPlayed[event] = t;
+    (Array.isArray(sound) ? sound : [sound]).forEach(patch => this.playPatch(patch, t));
+  }
+
+  /** Tear down the context this engine created (injected contexts are left to their owner) */
+  async dispose() {
+    if (!this.initialized) return;
+    this.sequencer.stop();
+    if (!this.options.context && this.ctx.close) await this.ctx.close();
+    this.initialized = false;
+  }
+
+  /**
+   * Render a UI event with this engine's sound pack and SFX volume into an AudioBuffer,
+   * without touching the live context. Needs OfflineAudioContext (or pass `OfflineContext`).
+   */
+  async renderEvent(event, { sampleRate = 44100, tail = RENDER_TAIL_SECONDS, OfflineContext } = {}) {
+    const sound = this.soundPack.sounds[event];
+    if (!sound) throw new Error(`UNKNOWN SOUND EVENT: ${event}`);
+    const Offline = OfflineContext || globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+    if (!Offline) throw new Error('OFFLINE RENDERING UNSUPPORTED');
+
+    const duration = getSoundDuration(sound) + tail;
+    const context = new Offline(1, Math.ceil(duration * sampleRate), sampleRate);
+    const offline = new AudioEngine({ context, ambience: false, random: this.options.random });
+    offline.init();
+    offline.setSoundPack(this.soundPack);
+    const sfxLevel = this.initialized ? this.sfxGain.gain.value : 1;
+    offline.sfxGain.gain.value = sfxLevel;
+    offline.play(event);
+    return context.startRendering();
+  }
+
+  /** Render a UI event straight to a 16-bit PCM WAV Blob */
+  async renderEventToWav(event, options) {
+    const buffer = await this.renderEvent(event, options);
+    return new Blob([encodeWav(buffer)], { type: 'audio/wav' });
+  }
+
+  /** Play a metallic click sound for button presses */
+  playClickSound() {
+    this.play('click');
+  }
+
+  /** Play a soft hover sound for UI feedback */
+  playHoverSound() {
+    this.play('hover');
+  }
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { AudioEngine, encodeWav } from './audioEngine.js';
+import { FakeAudioContext, FakeOfflineAudioContext } from './test/fakeAudioContext.js';
+
+// setTargetAtTime settles to within e^-10 of its target after ten time constants (0.1 s here)
+const SETTLED = 1;
+
+const createEngine = () => {
+  const context = new FakeAudioContext();
+  const engine = new AudioEngine({ context, ambience: false });
+  engine.init();
+  return { context, engine };
+};
+
+describe('AudioEngine with an injected context', () => {
+  it('mutes and restores the master bus', () => {
+    const { context, engine } = createEngine();
+    expect(engine.toggleMute()).toBe(true);
+    expect(engine.masterGain.gain.valueAt(SETTLED)).toBeCloseTo(0, 3);
+
+    context.currentTime = SETTLED;
+    expect(engine.toggleMute()).toBe(false);
+    expect(engine.masterGain.gain.valueAt(SETTLED * 2)).toBeCloseTo(1, 3);
+  });
+
+  it('keeps the master level while muted and applies it on unmute', () => {
+    const { context, engine } = createEngine();
+    engine.toggleMute();
+    engine.setMasterLevel(-6);
+    expect(engine.masterGain.gain.valueAt(SETTLED)).toBeCloseTo(0, 3);
+
+    context.currentTime = SETTLED;
+    engine.toggleMute();
+    expect(engine.masterGain.gain.valueAt(SETTLED * 2)).toBeCloseTo(10 ** (-6 / 20), 3);
+  });
+
+  it('sets the music and effects bus volumes independently', () => {
+    const { engine } = createEngine();
+    engine.setVolumes(50, 25);
+    expect(engine.musicGain.gain.valueAt(SETTLED)).toBeCloseTo(0.5, 3);
+    expect(engine.sfxGain.gain.valueAt(SETTLED)).toBeCloseTo(0.25, 3);
+  });
+
+  it('ignores bus changes before init', () => {
+    const engine = new AudioEngine({ context: new FakeAudioContext(), ambience: false });
+    expect(() => engine.setVolumes(50, 50)).not.toThrow();
+    expect(engine.toggleMute()).toBe(false);
+  });
+});
+
+describe('offline rendering', () => {
+  const SAMPLE_RATE = 8000;
+  // Default pack click: gain 0.5, no attack, 0.1 s exponential decay, source stops 0.05 s later
+  const render = () => new AudioEngine({ ambience: false })
+    .renderEvent('click', { sampleRate: SAMPLE_RATE, OfflineContext: FakeOfflineAudioContext });
+
+  it('renders the decay envelope of an event', async () => {
+    const buffer = await render();
+    const data = buffer.getChannelData(0);
+    const at = (seconds) => data[Math.round(seconds * SAMPLE_RATE)];
+
+    expect(buffer.length).toBe(Math.ceil((0.1 + 0.05 + 0.1) * SAMPLE_RATE));
+    expect(at(0)).toBeCloseTo(0.5, 5);
+    // Halfway through an exponential decay from 0.5 to the 0.0001 floor
+    expect(at(0.05)).toBeCloseTo(0.5 * Math.sqrt(0.0001 / 0.5), 4);
+    expect(at(0.2)).toBe(0);
+  });
+
+  it('encodes the render as 16-bit PCM WAV', async () => {
+    const buffer = await render();
+    const view = new DataView(encodeWav(buffer));
+    const text = (offset, length) => String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+
+    expect(text(0, 4)).toBe('RIFF');
+    expect(text(8, 4)).toBe('WAVE');
+    expect(view.getUint16(22, true)).toBe(1);
+    expect(view.getUint32(24, true)).toBe(SAMPLE_RATE);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(view.getUint32(40, true)).toBe(buffer.length * 2);
+    expect(view.getInt16(44, true)).toBe(Math.trunc(0.5 * 0x7fff));
+    expect(view.getInt16(44 + (buffer.length - 1) * 2, true)).toBe(0);
+  });
+});
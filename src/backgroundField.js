@@ -0,0 +1,109 @@
+import { BACKGROUND_SCENES, DEFAULT_BACKGROUND_MODE } from './backgroundScenes.js';
+
+// --- BACKGROUND FIELD ---
+
+/**
+ * DOM-free host for the active background scene, shared by the worker renderer and
+ * the main-thread fallback. It owns the canvas sizing (CSS pixels scaled by the
+ * quality level's resolutionScale) and swaps scenes when the mode changes.
+ * `createLayer(width, height)` is handed to scenes that cache offscreen layers.
+ * Nothing is drawn until the first configure() call.
+ */
+export const createBackgroundField = (canvas, createLayer) => {
+  const ctx = canvas.getContext('2d', { alpha: true });
+  const field = { width: 0, height: 0, pointer: { x: 0, y: 0, active: false } };
+  let config = null;
+  let scene = null;
+
+  const sizeCanvas = () => {
+    const scale = config.quality.resolutionScale;
+    canvas.width = Math.round(field.width * scale);
+    canvas.height = Math.round(field.height * scale);
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  };
+
+  return {
+    resize(width, height) {
+      field.width = width;
+      field.height = height;
+      if (!config) return;
+      sizeCanvas();
+      scene.layout();
+    },
+
+    /**
+     * `{ mode, params, count, gridSpacing, constellation, quality, motion }`, see backgroundScenes.js.
+     * `motion` (default 1) scales the scene speed; reduced-motion mode sends a small fraction.
+     */
+    configure(message) {
+      const next = { ...message, params: { ...message.params, speed: message.params.speed * (message.motion ?? 1) } };
+      const modeChanged = !config || config.mode !== next.mode;
+      const scaleChanged = !config || config.quality.resolutionScale !== next.quality.resolutionScale;
+      config = next;
+      if (scaleChanged || modeChanged) sizeCanvas();
+      if (modeChanged) {
+        const definition = BACKGROUND_SCENES[next.mode] || BACKGROUND_SCENES[DEFAULT_BACKGROUND_MODE];
+        scene = definition.create(ctx, field, createLayer);
+      }
+      scene.configure(next);
+      if (scaleChanged && !modeChanged) scene.layout();
+    },
+
+    setPointer(pointer) {
+      Object.assign(field.pointer, pointer);
+    },
+
+    burst() {
+      scene?.burst();
+    },
+
+    frame() {
+      scene?.frame();
+    }
+  };
+};
+
+/**
+ * Apply one renderer message to a field. The same messages drive the worker and the fallback:
+ *   { type: 'resize', width, height }
+ *   { type: 'config', mode, params, count, gridSpacing, constellation, quality, motion }
+ *   { type: 'pointer', x, y, active }
+ *   { type: 'burst' }
+ */
+export const handleFieldMessage = (field, message) => {
+  switch (message.type) {
+    case 'resize':
+      field.resize(message.width, message.height);
+      break;
+    case 'config':
+      field.configure(message);
+      break;
+    case 'pointer':
+      field.setPointer({ x: message.x, y: message.y, active: message.active });
+      break;
+    case 'burst':
+      field.burst();
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Call `step` once per frame; rAF where the scope has it (workers may not), otherwise a 60 Hz timer.
+ * `onFrameTime(dt)` receives each frame-to-frame delta (ms) of this loop, for the quality governor.
+ */
+export const runAnimationLoop = (step, onFrameTime) => {
+  const hasRaf = typeof requestAnimationFrame === 'function';
+  let id = null;
+  let last = null;
+  const tick = () => {
+    const now = performance.now();
+    if (last !== null) onFrameTime?.(now - last);
+    last = now;
+    step();
+    id = hasRaf ? requestAnimationFrame(tick) : setTimeout(tick, 1000 / 60);
+  };
+  tick();
+  return () => (hasRaf ? cancelAnimationFrame(id) : clearTimeout(id));
+};
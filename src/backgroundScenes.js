@@ -0,0 +1,316 @@
+import { createParticleScene } from './particleField.js';
+import { toRgba, HEX_COLOUR_PATTERN } from './colour.js';
+import { THEME_COLOUR } from './themes.js';
+import { problem } from './validationError.js';
+
+// --- BACKGROUND SCENES ---
+
+/**
+ * Each scene is a factory `create(ctx, field, createLayer)` returning
+ * `{ configure(config), layout(), burst(), frame() }`. Scenes are DOM-free so they
+ * run unchanged in the particle worker and on the main-thread fallback.
+ *
+ * `config` carries the shared budget (`count`, `gridSpacing`, `constellation`,
+ * `quality`) plus the scene's own `params`: `colour` (#rrggbb), `density` and
+ * `speed` multipliers. Stored params may use THEME_COLOUR for `colour`; the UI
+ * resolves it to the theme's particle colour before anything reaches a scene.
+ */
+
+const BURST_DURATION_MS = 2000;
+
+// --- DIGITAL RAIN ---
+
+const RAIN = {
+  FONT_SIZE: 16,
+  GLYPHS: 'アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワン0123456789ABCDEF',
+  FADE_ALPHA: 0.08,
+  BASE_SPEED: 0.35
+};
+
+const randomGlyph = () => RAIN.GLYPHS[Math.floor(Math.random() * RAIN.GLYPHS.length)];
+
+/** Glyph columns falling at individual speeds; trails fade by erasing a little of the canvas each frame */
+const createRainScene = (ctx, field) => {
+  let params = null;
+  let quality = null;
+  let drops = [];
+
+  const seed = () => {
+    const slots = Math.ceil(field.width / RAIN.FONT_SIZE);
+    const columns = Math.round(slots * Math.min(1, params.density * quality.particleScale));
+    drops = Array.from({ length: columns }, () => ({
+      x: Math.floor(Math.random() * slots) * RAIN.FONT_SIZE,
+      y: Math.random() * field.height,
+      speed: Math.random() * 0.7 + 0.3
+    }));
+  };
+
+  return {
+    configure(config) {
+      params = config.params;
+      quality = config.quality;
+      seed();
+    },
+
+    layout() {
+      seed();
+    },
+
+    burst() {},
+
+    frame() {
+      ctx.save();
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.fillStyle = `rgba(0, 0, 0, ${RAIN.FADE_ALPHA})`;
+      ctx.fillRect(0, 0, field.width, field.height);
+      ctx.restore();
+
+      ctx.font = `${RAIN.FONT_SIZE}px monospace`;
+      ctx.textBaseline = 'top';
+      drops.forEach(drop => {
+        const row = Math.floor(drop.y / RAIN.FONT_SIZE) * RAIN.FONT_SIZE;
+        drop.y += drop.speed * params.speed * RAIN.BASE_SPEED * RAIN.FONT_SIZE;
+        const nextRow = Math.floor(drop.y / RAIN.FONT_SIZE) * RAIN.FONT_SIZE;
+        // Only paint when the head enters a new row so trails read as discrete glyphs
+        if (nextRow !== row) {
+          ctx.fillStyle = toRgba(params.colour, 0.35);
+          ctx.fillText(randomGlyph(), drop.x, row);
+          ctx.fillStyle = toRgba(params.colour, 0.9);
+          ctx.fillText(randomGlyph(), drop.x, nextRow);
+        }
+        if (drop.y > field.height && Math.random() > 0.975) {
+          drop.y = -RAIN.FONT_SIZE;
+          drop.speed = Math.random() * 0.7 + 0.3;
+        }
+      });
+    }
+  };
+};
+
+// --- SYNTHWAVE GRID ---
+
+const SYNTHWAVE = {
+  HORIZON: 0.55,
+  DEPTH_LINES: 18,
+  VERTICAL_LINES: 24,
+  SCROLL_SPEED: 0.008,
+  SUN_RADIUS: 0.12
+};
+
+/** Perspective floor grid scrolling toward the viewer under a striped sun */
+const createSynthwaveScene = (ctx, field) => {
+  let params = null;
+  let offset = 0;
+
+  const drawSun = (cx, horizon) => {
+    const radius = Math.min(field.width, field.height) * SYNTHWAVE.SUN_RADIUS;
+    const gradient = ctx.createLinearGradient(0, horizon - radius, 0, horizon);
+    gradient.addColorStop(0, toRgba(params.colour, 0.35));
+    gradient.addColorStop(1, toRgba(params.colour, 0.05));
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(cx, horizon, radius, Math.PI, 0);
+    ctx.fill();
+    // Cut horizontal bands out of the lower half of the sun
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-out';
+    for (let i = 1; i <= 4; i++) {
+      const y = horizon - (radius * i) / 9;
+      ctx.fillRect(cx - radius, y, radius * 2, i * 1.5);
+    }
+    ctx.restore();
+  };
+
+  return {
+    configure(config) {
+      params = config.params;
+    },
+
+    layout() {},
+
+    burst() {},
+
+    frame() {
+      const { width, height } = field;
+      const horizon = height * SYNTHWAVE.HORIZON;
+      const cx = width / 2;
+      const floor = height - horizon;
+      const verticals = Math.max(4, Math.round(SYNTHWAVE.VERTICAL_LINES * params.density));
+
+      ctx.clearRect(0, 0, width, height);
+      drawSun(cx, horizon);
+
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = toRgba(params.colour, 0.35);
+      ctx.beginPath();
+      // Vertical lines fan out from the vanishing point on the horizon
+      for (let i = 0; i <= verticals; i++) {
+        const x = (i / verticals) * width * 3 - width;
+        ctx.moveTo(cx, horizon);
+        ctx.lineTo(x, height);
+      }
+      ctx.stroke();
+
+      // Depth lines: evenly spaced in z, eased with a cubic so they bunch up near the horizon
+      offset = (offset + SYNTHWAVE.SCROLL_SPEED * params.speed) % 1;
+      for (let i = 0; i < SYNTHWAVE.DEPTH_LINES; i++) {
+        const z = (i + 1 - offset) / SYNTHWAVE.DEPTH_LINES;
+        const y = horizon + floor * (1 - z) ** 3;
+        ctx.strokeStyle = toRgba(params.colour, 0.45 * (1 - z) + 0.05);
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+      }
+    }
+  };
+};
+
+// --- WARP STARFIELD ---
+
+const STARFIELD = {
+  BASE_STARS: 300,
+  DEPTH: 1000,
+  FOCAL: 320,
+  BASE_SPEED: 4,
+  WARP_SPEED: 12
+};
+
+/** Stars flying out of the screen centre; bursts kick it into warp with long streaks */
+const createStarfieldScene = (ctx, field) => {
+  let params = null;
+  let stars = [];
+  let burstUntil = 0;
+
+  const spawn = (star, z = Math.random() * STARFIELD.DEPTH) => {
+    star.x = (Math.random() - 0.5) * field.width * 2;
+    star.y = (Math.random() - 0.5) * field.height * 2;
+    star.z = Math.max(1, z);
+    star.pz = star.z;
+    return star;
+  };
+
+  return {
+    configure(config) {
+      params = config.params;
+      const count = Math.round(STARFIELD.BASE_STARS * params.density * config.quality.particleScale);
+      if (stars.length > count) stars.splice(count);
+      while (stars.length < count) stars.push(spawn({}));
+    },
+
+    layout() {
+      stars.forEach(star => spawn(star));
+    },
+
+    burst() {
+      burstUntil = performance.now() + BURST_DURATION_MS;
+    },
+
+    frame() {
+      const { width, height } = field;
+      const cx = width / 2;
+      const cy = height / 2;
+      const remaining = Math.max(0, burstUntil - performance.now()) / BURST_DURATION_MS;
+      const warp = 1 + remaining * (STARFIELD.WARP_SPEED - 1);
+      const speed = STARFIELD.BASE_SPEED * params.speed * warp;
+
+      ctx.clearRect(0, 0, width, height);
+      ctx.strokeStyle = toRgba(params.colour, 0.8);
+      stars.forEach(star => {
+        star.pz = star.z;
+        star.z -= speed;
+        if (star.z < 1) {
+          spawn(star, STARFIELD.DEPTH);
+          return;
+        }
+        const sx = cx + (star.x / star.z) * STARFIELD.FOCAL;
+        const sy = cy + (star.y / star.z) * STARFIELD.FOCAL;
+        if (sx < 0 || sx > width || sy < 0 || sy > height) {
+          spawn(star, STARFIELD.DEPTH);
+          return;
+        }
+        const px = cx + (star.x / star.pz) * STARFIELD.FOCAL;
+        const py = cy + (star.y / star.pz) * STARFIELD.FOCAL;
+        ctx.lineWidth = Math.max(0.5, (1 - star.z / STARFIELD.DEPTH) * 2.5);
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        ctx.lineTo(sx, sy);
+        ctx.stroke();
+      });
+    }
+  };
+};
+
+// --- REGISTRY ---
+
+/** Scene names are catalog keys (`scenes.<id>`); `defaults` are the per-scene params */
+export const BACKGROUND_SCENES = {
+  particles: {
+    defaults: { colour: THEME_COLOUR, density: 1, speed: 1 },
+    create: createParticleScene
+  },
+  rain: {
+    defaults: { colour: THEME_COLOUR, density: 0.5, speed: 1 },
+    create: createRainScene
+  },
+  synthwave: {
+    defaults: { colour: THEME_COLOUR, density: 1, speed: 1 },
+    create: createSynthwaveScene
+  },
+  starfield: {
+    defaults: { colour: THEME_COLOUR, density: 1, speed: 1 },
+    create: createStarfieldScene
+  }
+};
+
+export const BACKGROUND_MODE_IDS = Object.keys(BACKGROUND_SCENES);
+export const DEFAULT_BACKGROUND_MODE = 'particles';
+
+/** Inclusive bounds for the numeric scene params */
+export const BACKGROUND_PARAM_RANGES = {
+  density: [0.25, 2],
+  speed: [0.25, 3]
+};
+
+export const DEFAULT_BACKGROUND_PARAMS = Object.fromEntries(
+  BACKGROUND_MODE_IDS.map(id => [id, { ...BACKGROUND_SCENES[id].defaults }])
+);
+
+const paramProblem = (modeId, key, value) => {
+  if (key === 'colour') {
+    return value === THEME_COLOUR || HEX_COLOUR_PATTERN.test(value)
+      ? null
+      : problem('validation.sceneColour', { field: `backgroundParams.${modeId}.colour`, theme: THEME_COLOUR });
+  }
+  const range = BACKGROUND_PARAM_RANGES[key];
+  if (!range) return problem('validation.unknownField', { field: `backgroundParams.${modeId}.${key}` });
+  if (!Number.isFinite(value) || value < range[0] || value > range[1]) {
+    return problem('validation.outOfRange', { field: `backgroundParams.${modeId}.${key}`, min: range[0], max: range[1] });
+  }
+  return null;
+};
+
+/** Return a problem descriptor for per-mode params (partial objects allowed), or null */
+export const validateBackgroundParams = (params) => {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) return problem('validation.notObject', { field: 'backgroundParams' });
+  for (const [modeId, values] of Object.entries(params)) {
+    if (!BACKGROUND_SCENES[modeId]) return problem('validation.unknownField', { field: `backgroundParams.${modeId}` });
+    if (!values || typeof values !== 'object') return problem('validation.notObject', { field: `backgroundParams.${modeId}` });
+    for (const [key, value] of Object.entries(values)) {
+      const problem = paramProblem(modeId, key, value);
+      if (problem) return problem;
+    }
+  }
+  return null;
+};
+
+/** Fill every mode's params from defaults, keeping only valid stored values */
+export const mergeBackgroundParams = (params) =>
+  Object.fromEntries(BACKGROUND_MODE_IDS.map(modeId => {
+    const merged = { ...BACKGROUND_SCENES[modeId].defaults };
+    const stored = params && typeof params === 'object' ? params[modeId] : null;
+    Object.entries(stored && typeof stored === 'object' ? stored : {}).forEach(([key, value]) => {
+      if (key in merged && !paramProblem(modeId, key, value)) merged[key] = value;
+    });
+    return [modeId, merged];
+  }));
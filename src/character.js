@@ -0,0 +1,156 @@
+// --- CHARACTER PROGRESSION ---
+
+/**
+ * Attribute allocation behind the home view. A character is
+ * `{ xp, attributes: { [id]: value }, history: [attributes, ...] }`; level and spendable
+ * points are derived from XP and the attributes, never stored. `history` holds the
+ * attribute snapshots taken before each commit or respec so they can be undone.
+ */
+
+export const CHARACTER_STORAGE_KEY = 'cyberpunk-character';
+export const CHARACTER_VERSION = 1;
+
+export const ATTRIBUTE_IDS = ['reflex', 'intel', 'body', 'tech', 'cool'];
+export const ATTRIBUTE_MIN = 3;
+export const ATTRIBUTE_MAX = 20;
+
+export const STARTING_POINTS = 7;
+export const POINTS_PER_LEVEL = 1;
+export const MAX_LEVEL = 50;
+
+/** XP granted per minute of active uplink (see App) */
+export const XP_PER_MINUTE = 60;
+const XP_CURVE = 100;
+const HISTORY_LIMIT = 10;
+
+/**
+ * Derived stat each attribute drives: `perPoint` percent for every point above the minimum.
+ * The effect id doubles as its catalog key (`effects.<id>`).
+ */
+export const ATTRIBUTE_EFFECTS = {
+  reflex: { effect: 'critChance', perPoint: 1.5 },
+  intel: { effect: 'ramRecovery', perPoint: 2 },
+  body: { effect: 'maxHealth', perPoint: 5 },
+  tech: { effect: 'craftingYield', perPoint: 2.5 },
+  cool: { effect: 'stealthDamage', perPoint: 3 }
+};
+
+const baseAttributes = () => Object.fromEntries(ATTRIBUTE_IDS.map(id => [id, ATTRIBUTE_MIN]));
+
+export const DEFAULT_CHARACTER = { xp: 0, attributes: baseAttributes(), history: [] };
+
+/** Total XP needed to reach `level`; level 1 starts at 0 and each step costs more than the last */
+export const xpForLevel = (level) => XP_CURVE * (level - 1) ** 2;
+
+export const getLevel = (xp) => Math.min(MAX_LEVEL, Math.floor(Math.sqrt(xp / XP_CURVE)) + 1);
+
+/** XP still needed for the next level, or null at the level cap */
+export const getXpToNextLevel = (xp) => {
+  const level = getLevel(xp);
+  return level >= MAX_LEVEL ? null : xpForLevel(level + 1) - xp;
+};
+
+/** Points committed above the attribute minimums (what a respec refunds) */
+export const getSpentPoints = (attributes) =>
+  ATTRIBUTE_IDS.reduce((sum, id) => sum + attributes[id] - ATTRIBUTE_MIN, 0);
+
+/** Points earned by level minus points committed to attributes */
+export const getAvailablePoints = (character) =>
+  STARTING_POINTS + (getLevel(character.xp) - 1) * POINTS_PER_LEVEL - getSpentPoints(character.attributes);
+
+/** Total of a pending allocation `{ [id]: extraPoints }` */
+export const countPending = (pending) => Object.values(pending).reduce((sum, points) => sum + points, 0);
+
+/** Whether one more pending point may go into `id` */
+export const canAllocate = (character, pending, id) =>
+  countPending(pending) < getAvailablePoints(character) &&
+  character.attributes[id] + (pending[id] || 0) < ATTRIBUTE_MAX;
+
+/** Percent bonus the attribute's effect grants at `value` */
+export const getAttributeEffect = (id, value) => (value - ATTRIBUTE_MIN) * ATTRIBUTE_EFFECTS[id].perPoint;
+
+const withSnapshot = (character, attributes) => ({
+  ...character,
+  attributes,
+  history: [...character.history, character.attributes].slice(-HISTORY_LIMIT)
+});
+
+/**
+ * Check whether a pending allocation may be committed.
+ * Returns null when valid, otherwise `{ type: 'points' | 'invalid' | 'capped', id, max }` for the UI to phrase.
+ */
+export const getAllocationError = (character, pending) => {
+  if (countPending(pending) > getAvailablePoints(character)) return { type: 'points', id: null, max: null };
+  const entries = Object.entries(pending);
+  const invalid = entries.find(([id, points]) => !ATTRIBUTE_IDS.includes(id) || !Number.isInteger(points) || points < 0);
+  if (invalid) return { type: 'invalid', id: invalid[0], max: null };
+  const capped = entries.find(([id, points]) => character.attributes[id] + points > ATTRIBUTE_MAX);
+  if (capped) return { type: 'capped', id: capped[0], max: ATTRIBUTE_MAX };
+  return null;
+};
+
+/** Apply a pending allocation; throws when getAllocationError rejects it */
+export const commitAllocation = (character, pending) => {
+  const error = getAllocationError(character, pending);
+  if (error) throw new Error(`INVALID ALLOCATION: ${error.type}${error.id ? ` ${error.id}` : ''}`);
+  const attributes = { ...character.attributes };
+  Object.entries(pending).forEach(([id, points]) => { attributes[id] += points; });
+  return withSnapshot(character, attributes);
+};
+
+/** Refund every spent point; undoable like a commit */
+export const respecCharacter = (character) => withSnapshot(character, baseAttributes());
+
+/** Restore the attributes from before the last commit or respec */
+export const undoCharacter = (character) => {
+  if (character.history.length === 0) return character;
+  return {
+    ...character,
+    attributes: character.history[character.history.length - 1],
+    history: character.history.slice(0, -1)
+  };
+};
+
+export const grantXp = (character, amount) => ({
+  ...character,
+  xp: Math.min(xpForLevel(MAX_LEVEL), character.xp + amount)
+});
+
+const isValidAttributes = (attributes) =>
+  Boolean(attributes) && typeof attributes === 'object' &&
+  ATTRIBUTE_IDS.every(id => Number.isInteger(attributes[id]) && attributes[id] >= ATTRIBUTE_MIN && attributes[id] <= ATTRIBUTE_MAX);
+
+/** Keep what validates from stored data; attributes that overspend the budget are refunded */
+const sanitizeCharacter = (data) => {
+  if (!data || typeof data !== 'object') return { ...DEFAULT_CHARACTER };
+  const xp = Number.isFinite(data.xp) && data.xp >= 0 ? Math.min(data.xp, xpForLevel(MAX_LEVEL)) : 0;
+  const history = Array.isArray(data.history) ? data.history.filter(isValidAttributes).slice(-HISTORY_LIMIT) : [];
+  const character = { xp, attributes: isValidAttributes(data.attributes) ? { ...data.attributes } : baseAttributes(), history };
+  return getAvailablePoints(character) < 0 ? { ...character, attributes: baseAttributes() } : character;
+};
+
+/** Load the stored character, falling back to a fresh one */
+export const loadCharacter = () => {
+  try {
+    const raw = window.localStorage.getItem(CHARACTER_STORAGE_KEY);
+    if (!raw) return { ...DEFAULT_CHARACTER };
+    const parsed = JSON.parse(raw);
+    if (parsed?.version > CHARACTER_VERSION) throw new Error(`UNSUPPORTED CHARACTER VERSION v${parsed.version}`);
+    return sanitizeCharacter(parsed?.character);
+  } catch (e) {
+    console.warn('Character Load Failed', e);
+    return { ...DEFAULT_CHARACTER };
+  }
+};
+
+/** Persist the character in a versioned envelope. Returns success. */
+export const saveCharacter = (character) => {
+  try {
+    const payload = { version: CHARACTER_VERSION, character };
+    window.localStorage.setItem(CHARACTER_STORAGE_KEY, JSON.stringify(payload));
+    return true;
+  } catch (e) {
+    console.warn('Character Save Failed', e);
+    return false;
+  }
+};
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ATTRIBUTE_MAX, DEFAULT_CHARACTER, STARTING_POINTS, getAllocationError, commitAllocation, getSpentPoints, xpForLevel
+} from './character.js';
+
+const character = (attributes = {}) => ({ ...DEFAULT_CHARACTER, attributes: { ...DEFAULT_CHARACTER.attributes, ...attributes } });
+
+describe('allocation', () => {
+  it('commits a valid allocation and counts the spent points', () => {
+    const next = commitAllocation(character(), { reflex: 2, cool: 1 });
+    expect(getAllocationError(character(), { reflex: 2, cool: 1 })).toBeNull();
+    expect(getSpentPoints(next.attributes)).toBe(3);
+    expect(next.history).toEqual([DEFAULT_CHARACTER.attributes]);
+  });
+
+  it('reports an allocation over the point budget', () => {
+    expect(getAllocationError(character(), { body: STARTING_POINTS + 1 })).toEqual({ type: 'points', id: null, max: null });
+  });
+
+  it('reports unknown attributes and bad point counts', () => {
+    expect(getAllocationError(character(), { luck: 1 })).toEqual({ type: 'invalid', id: 'luck', max: null });
+    expect(getAllocationError(character(), { tech: 0.5 })).toEqual({ type: 'invalid', id: 'tech', max: null });
+  });
+
+  it('reports the attribute that would pass its cap', () => {
+    // Enough XP that the budget isn't what stops it
+    const capped = { ...character({ intel: ATTRIBUTE_MAX }), xp: xpForLevel(30) };
+    expect(getAllocationError(capped, { intel: 1 })).toEqual({ type: 'capped', id: 'intel', max: ATTRIBUTE_MAX });
+    expect(() => commitAllocation(capped, { intel: 1 })).toThrow();
+  });
+});
@@ -0,0 +1,9 @@
+// --- COLOUR HELPERS ---
+
+export const HEX_COLOUR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/** `#rrggbb` -> [r, g, b] */
+export const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+/** `#rrggbb` plus alpha -> a canvas/CSS `rgba()` string */
+export const toRgba = (hex, alpha) => `rgba(${hexToRgb(hex).join(', ')}, ${alpha})`;
@@ -0,0 +1,121 @@
+// --- DEVICE CAPABILITIES ---
+
+/**
+ * Capability probes for DEVICE_INTEL. Like runtimeMetrics, a probe reports `null` for anything
+ * the browser gives no way to read, so the UI can say UNSUPPORTED rather than guess; feature
+ * flags are plain booleans. Only the WebGL scan costs anything (two throwaway contexts), so it
+ * runs once and is cached; the rest are cheap enough to re-read on every stats refresh.
+ */
+
+// Common panel rates; an estimate within the tolerance snaps to one so timer jitter doesn't show as 61 Hz
+const REFRESH_RATES = [24, 30, 48, 50, 60, 72, 75, 90, 100, 120, 144, 165, 180, 240, 360];
+const REFRESH_SNAP_TOLERANCE = 0.04;
+
+// Most capable value first, so the first match is the one the device supports
+const GAMUTS = ['rec2020', 'p3', 'srgb'];
+const DYNAMIC_RANGES = ['high', 'standard'];
+const POINTER_TYPES = ['fine', 'coarse', 'none'];
+const HOVER_TYPES = ['hover', 'none'];
+
+/** The first of `values` that `(feature: value)` matches, or null when none does (feature unknown to the browser) */
+const matchFeature = (feature, values) => {
+  if (typeof window.matchMedia !== 'function') return null;
+  return values.find(value => window.matchMedia(`(${feature}: ${value})`).matches) ?? null;
+};
+
+const readContextLimits = (gl) => {
+  const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+  const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+  return {
+    renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null,
+    maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+    maxRenderbufferSize: gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+    maxViewport: viewport ? [viewport[0], viewport[1]] : null,
+    textureUnits: gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
+    vertexAttribs: gl.getParameter(gl.MAX_VERTEX_ATTRIBS),
+    extensions: [...(gl.getSupportedExtensions() || [])].sort()
+  };
+};
+
+const probeContext = (types) => {
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = types.reduce((found, type) => found || canvas.getContext(type), null);
+    if (!gl) return null;
+    const limits = readContextLimits(gl);
+    // Browsers cap live contexts per page; hand this one back instead of waiting for GC
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    return limits;
+  } catch (e) {
+    console.warn('WebGL Probe Failed', e);
+    return null;
+  }
+};
+
+let webglInfo;
+
+/** `{ webgl, webgl2 }` limits (renderer, texture/renderbuffer/viewport sizes, units, extensions), each null when unavailable */
+export const probeWebgl = () => {
+  if (webglInfo === undefined) {
+    webglInfo = {
+      webgl: probeContext(['webgl', 'experimental-webgl']),
+      webgl2: probeContext(['webgl2'])
+    };
+  }
+  return webglInfo;
+};
+
+/** WebGL renderer string, or null when the browser hides it */
+export const detectGpu = () => {
+  const { webgl, webgl2 } = probeWebgl();
+  return webgl2?.renderer || webgl?.renderer || null;
+};
+
+/** Device pixel ratio, colour depth, widest supported gamut and dynamic range ('high' = HDR) */
+export const readDisplayCapabilities = () => ({
+  pixelRatio: window.devicePixelRatio || null,
+  colourDepth: window.screen.colorDepth || null,
+  gamut: matchFeature('color-gamut', GAMUTS),
+  dynamicRange: matchFeature('dynamic-range', DYNAMIC_RANGES)
+});
+
+/** Primary pointer precision and hover ability, plus simultaneous touch points (0 on non-touch devices) */
+export const readInputCapabilities = () => ({
+  pointer: matchFeature('pointer', POINTER_TYPES),
+  hover: matchFeature('hover', HOVER_TYPES),
+  touchPoints: typeof window.navigator.maxTouchPoints === 'number' ? window.navigator.maxTouchPoints : null
+});
+
+/** Support flags for the optional platform APIs the diagnostics list */
+export const readFeatureSupport = () => {
+  const nav = window.navigator;
+  return {
+    offscreenCanvas: typeof OffscreenCanvas !== 'undefined' && 'transferControlToOffscreen' in HTMLCanvasElement.prototype,
+    vibration: typeof nav.vibrate === 'function',
+    gamepad: typeof nav.getGamepads === 'function',
+    wakeLock: 'wakeLock' in nav
+  };
+};
+
+/**
+ * Output format of a running audio context: sample rate (Hz), base and output latency (ms) and
+ * channel count. Null without Web Audio; values are null until the engine has a context, and the
+ * latencies stay null where the browser doesn't report them.
+ */
+export const readAudioOutput = (context) => {
+  if (!window.AudioContext && !window.webkitAudioContext) return null;
+  const latency = (seconds) => (typeof seconds === 'number' ? seconds * 1000 : null);
+  return {
+    sampleRate: context?.sampleRate ?? null,
+    baseLatency: latency(context?.baseLatency),
+    outputLatency: latency(context?.outputLatency),
+    channels: context?.destination?.maxChannelCount ?? null
+  };
+};
+
+/** Snap a measured frame rate to the nearest common refresh rate when it is close enough */
+export const estimateRefreshRate = (fps) => {
+  if (!fps) return null;
+  const nearest = REFRESH_RATES.reduce((best, rate) => (Math.abs(rate - fps) < Math.abs(best - fps) ? rate : best));
+  return Math.abs(nearest - fps) <= nearest * REFRESH_SNAP_TOLERANCE ? nearest : Math.round(fps);
+};
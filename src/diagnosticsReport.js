@@ -0,0 +1,187 @@
+import { SETTINGS_VERSION } from './settings.js';
+import { DEFAULT_LOCALE, createI18n } from './i18n.js';
+import { downloadBlob } from './download.js';
+
+// --- DIAGNOSTICS REPORT ---
+
+/**
+ * Bug-report snapshot for the device view: app build, everything useSystemMonitor knows, the
+ * settings being previewed and the recent error log. The report is plain JSON-safe data with raw
+ * values (GB, MB, ms, Hz) so reports compare across locales; `formatReportText` renders the same
+ * data for pasting into an issue, and `redactReport` blanks fields that identify the machine.
+ */
+
+export const REPORT_FORMATS = ['json', 'text'];
+export const REPORT_VERSION = 1;
+export const REDACTED = '[REDACTED]';
+
+// Dot paths blanked by redactReport: browser build strings, GPU model and the page address
+const IDENTIFYING_FIELDS = [
+  'app.url',
+  'device.userAgent',
+  'device.platform',
+  'device.gpu',
+  'device.webgl.webgl.renderer',
+  'device.webgl.webgl2.renderer'
+];
+
+// Addresses inside error messages and stacks: any absolute URL, and the app's own fragments (`#/...`
+// routes as quoted by the unknown route warning, `#config=` and `#theme=` share links). Other `#`
+// text such as `#2` or `#ff0000` is left alone.
+const URL_PATTERN = /\b[a-z][a-z\d+.-]*:\/\/[^\s)'"]+/gi;
+const FRAGMENT_PATTERN = /#(?:\/|config=|theme=)\S*/g;
+
+// Logged notification descriptors are written in the default locale, whatever the UI language
+const reportI18n = createI18n(DEFAULT_LOCALE);
+
+const TEXT_KEY_WIDTH = 36;
+const TEXT_SECTIONS = ['app', 'device', 'runtime', 'settings'];
+
+/** Assemble a report from the useSystemMonitor state, the previewed settings and errorLog entries */
+export const buildReport = ({ stats, settings, unsavedKeys, errors, locale, generatedAt = new Date() }) => {
+  const {
+    platform, userAgent, cores, memory, screenRes, gpu, online, connection, batteryLevel, batteryCharging, storage,
+    webgl, display, input, features, audioOutput, refreshRate,
+    fps, frameTimeP50, frameTimeP95, frameTimeP99, vsyncFps, mainThreadLoad, heapUsed, heapLimit, eventLoopLag
+  } = stats;
+  return {
+    report: REPORT_VERSION,
+    redacted: false,
+    app: {
+      version: __APP_VERSION__,
+      mode: import.meta.env.MODE,
+      settingsVersion: SETTINGS_VERSION,
+      locale,
+      url: window.location.href,
+      generatedAt: generatedAt.toISOString()
+    },
+    device: {
+      platform,
+      userAgent,
+      cores,
+      memoryGb: memory,
+      screen: screenRes,
+      gpu,
+      online,
+      connection,
+      battery: batteryLevel === null ? null : { level: batteryLevel, charging: batteryCharging },
+      storage,
+      display: { ...display, refreshRate },
+      input,
+      features,
+      webgl,
+      audioOutput
+    },
+    runtime: {
+      fps,
+      frameTimeP50,
+      frameTimeP95,
+      frameTimeP99,
+      vsyncFps,
+      mainThreadLoad,
+      heapUsedMb: heapUsed,
+      heapLimitMb: heapLimit,
+      eventLoopLag
+    },
+    settings: { unsaved: unsavedKeys, values: settings },
+    errors: errors.map(({ time, source, message, stack, count }) => ({
+      time: new Date(time).toISOString(),
+      source,
+      count,
+      message: typeof message === 'string' ? message : reportI18n.t(message.key, message.params),
+      stack
+    }))
+  };
+};
+
+// A stack frame keeps its :line:col so the trace still reads, but not the script's origin or path
+const redactUrl = (url) => {
+  let position = '';
+  try {
+    position = url.slice(new URL(url).origin.length).match(/(:\d+){1,2}$/)?.[0] ?? '';
+  } catch {
+    // Not parseable as a URL; blank all of it
+  }
+  return `${REDACTED}${position}`;
+};
+
+const redactAddresses = (text) => text && text
+  .replace(URL_PATTERN, redactUrl)
+  .replace(FRAGMENT_PATTERN, REDACTED);
+
+/**
+ * Copy of `report` with the identifying fields replaced by REDACTED (fields that are already null
+ * stay null) and page/script addresses and app fragments blanked inside error messages and stacks, e.g.
+ *
+ *   { source: 'warn', message: 'ROUTE NOT FOUND: #/admin // REDIRECTED', stack: null }
+ *   -> { source: 'warn', message: 'ROUTE NOT FOUND: [REDACTED] // REDIRECTED', stack: null }
+ *
+ *   { source: 'exception', message: 'TypeError: x is undefined', stack: 'at run (https://host/assets/index.js:3:17)' }
+ *   -> { source: 'exception', message: 'TypeError: x is undefined', stack: 'at run ([REDACTED]:3:17)' }
+ */
+export const redactReport = (report) => {
+  const copy = structuredClone(report);
+  IDENTIFYING_FIELDS.forEach(path => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node?.[key], copy);
+    if (parent && parent[last] !== null && parent[last] !== undefined) parent[last] = REDACTED;
+  });
+  copy.errors = copy.errors.map(entry => ({
+    ...entry,
+    message: redactAddresses(entry.message),
+    stack: redactAddresses(entry.stack)
+  }));
+  copy.redacted = true;
+  return copy;
+};
+
+const formatTextValue = (value) => {
+  if (value === null || value === undefined) return 'n/a';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : 'none';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// `[['device.display.gamut', 'p3'], ...]` for every leaf under `value`
+const flatten = (value, prefix) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+    return [[prefix, value]];
+  }
+  return Object.entries(value).flatMap(([key, child]) => flatten(child, `${prefix}.${key}`));
+};
+
+/** Human-readable rendering: one `path ..... value` line per field, then the error log */
+export const formatReportText = (report) => {
+  const lines = [
+    'CYBERPUNK SETTINGS // DIAGNOSTICS REPORT',
+    `generated ${report.app.generatedAt}${report.redacted ? ' // identifying fields redacted' : ''}`
+  ];
+  TEXT_SECTIONS.forEach(section => {
+    lines.push('', `[${section.toUpperCase()}]`);
+    flatten(report[section], section).forEach(([path, value]) => {
+      const key = path.slice(section.length + 1);
+      lines.push(`${key} ${'.'.repeat(Math.max(2, TEXT_KEY_WIDTH - key.length))} ${formatTextValue(value)}`);
+    });
+  });
+  lines.push('', '[ERRORS]');
+  if (report.errors.length === 0) lines.push('none recorded');
+  report.errors.forEach(({ time, source, count, message, stack }) => {
+    lines.push(`${time} ${source.toUpperCase()}${count > 1 ? ` x${count}` : ''} ${message}`);
+    if (stack) stack.split('\n').forEach(line => lines.push(`    ${line.trim()}`));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/** The report as file/clipboard text in one of REPORT_FORMATS */
+export const serializeReport = (report, format) =>
+  (format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : formatReportText(report));
+
+/** Download the report, named after its timestamp */
+export const downloadReport = (report, format) => {
+  const json = format === 'json';
+  downloadBlob(
+    new Blob([serializeReport(report, format)], { type: json ? 'application/json' : 'text/plain' }),
+    `cyberpunk-diagnostics-${report.app.generatedAt.replace(/[:.]/g, '-')}.${json ? 'json' : 'txt'}`
+  );
+};
@@ -0,0 +1,86 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { REDACTED, buildReport, formatReportText, redactReport } from './diagnosticsReport.js';
+
+const error = (overrides) => ({ time: '2026-01-01T00:00:00.000Z', source: 'exception', count: 1, message: '', stack: null, ...overrides });
+
+const report = (errors) => ({
+  redacted: false,
+  app: { url: 'https://example.test/settings/#/device' },
+  device: { userAgent: 'Mozilla/5.0', platform: 'Linux x86_64', gpu: null, webgl: { webgl: null, webgl2: { renderer: 'GPU' } } },
+  errors
+});
+
+describe('redactReport', () => {
+  it('blanks identifying fields and leaves null ones alone', () => {
+    const redacted = redactReport(report([]));
+    expect(redacted.redacted).toBe(true);
+    expect(redacted.app.url).toBe(REDACTED);
+    expect(redacted.device.userAgent).toBe(REDACTED);
+    expect(redacted.device.gpu).toBeNull();
+    expect(redacted.device.webgl.webgl).toBeNull();
+    expect(redacted.device.webgl.webgl2.renderer).toBe(REDACTED);
+  });
+
+  it('strips script addresses from stacks but keeps line and column', () => {
+    const [entry] = redactReport(report([error({
+      message: 'TypeError: x is undefined',
+      stack: 'TypeError: x is undefined\n    at run (https://example.test/settings/assets/index-abc.js:3:17)\n    run@https://example.test/src/App.jsx?t=1:40:9'
+    })])).errors;
+    expect(entry.message).toBe('TypeError: x is undefined');
+    expect(entry.stack).toBe(`TypeError: x is undefined\n    at run (${REDACTED}:3:17)\n    run@${REDACTED}:40:9`);
+  });
+
+  it('blanks the filename-only stack of an error event', () => {
+    const [entry] = redactReport(report([error({ message: 'Script error.', stack: 'https://example.test/settings/main.js:1:2' })])).errors;
+    expect(entry.stack).toBe(`${REDACTED}:1:2`);
+  });
+
+  it('strips URLs and app fragments from messages', () => {
+    const { errors } = redactReport(report([
+      error({ source: 'warn', message: 'ROUTE NOT FOUND: #/admin/users // REDIRECTED' }),
+      error({ source: 'rejection', message: 'TypeError: Failed to fetch dynamically imported module: https://example.test/assets/x.js' }),
+      error({ source: 'error', message: 'SHARED THEME IS CORRUPTED: #theme=ff0000' })
+    ]));
+    expect(errors.map(entry => entry.message)).toEqual([
+      `ROUTE NOT FOUND: ${REDACTED} // REDIRECTED`,
+      `TypeError: Failed to fetch dynamically imported module: ${REDACTED}`,
+      `SHARED THEME IS CORRUPTED: ${REDACTED}`
+    ]);
+  });
+
+  it('keeps other # text in messages', () => {
+    const { errors } = redactReport(report([
+      error({ source: 'error', message: 'PACK #2 REJECTED' }),
+      error({ source: 'warn', message: 'customTheme.primary MUST BE #RRGGBB, GOT #ff0000' })
+    ]));
+    expect(errors.map(entry => entry.message)).toEqual([
+      'PACK #2 REJECTED',
+      'customTheme.primary MUST BE #RRGGBB, GOT #ff0000'
+    ]);
+  });
+
+  it('does not modify the original report', () => {
+    const original = report([error({ message: 'at https://example.test/a.js' })]);
+    redactReport(original);
+    expect(original.app.url).toBe('https://example.test/settings/#/device');
+    expect(original.errors[0].message).toBe('at https://example.test/a.js');
+  });
+});
+
+describe('buildReport', () => {
+  // What useSystemMonitor reports on a browser without the Network Information or Battery APIs
+  const stats = {
+    platform: 'Linux x86_64', userAgent: 'Mozilla/5.0', cores: 8, memory: null, screenRes: '1920x1080', gpu: null,
+    online: true, connection: null, batteryLevel: null, batteryCharging: false, storage: null, webgl: null,
+    display: {}, input: {}, features: {}, audioOutput: null, refreshRate: null, fps: 60, frameTimeP50: 16.7,
+    frameTimeP95: 17, frameTimeP99: 18, vsyncFps: 60, mainThreadLoad: 5, heapUsed: null, heapLimit: null, eventLoopLag: 1
+  };
+
+  it('keeps unknown device values null rather than guessing', () => {
+    const built = buildReport({ stats, settings: {}, unsavedKeys: [], errors: [], locale: 'en' });
+    expect(built.device.connection).toBeNull();
+    expect(built.device.battery).toBeNull();
+    expect(formatReportText(built)).toMatch(/^connection \.+ n\/a$/m);
+  });
+});
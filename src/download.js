@@ -0,0 +1,11 @@
+// --- FILE DOWNLOADS ---
+
+/** Save `blob` as `filename` through a temporary object URL (settings export, WAV renders, diagnostics reports) */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
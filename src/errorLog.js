@@ -0,0 +1,66 @@
+import { notifications } from './notifications.js';
+
+// --- ERROR LOG ---
+
+/**
+ * Recent problems for diagnostics reports: uncaught exceptions, unhandled promise rejections,
+ * and every error/warn notification the user was shown. Kept in memory only, newest first;
+ * a repeat of the latest entry bumps its count instead of pushing a copy.
+ *
+ * Notification messages are stored as posted (string or catalog descriptor, see notifications.js)
+ * and translated when the report is built.
+ */
+
+const ERROR_LOG_LIMIT = 25;
+const LOGGED_NOTIFICATION_TYPES = ['error', 'warn'];
+
+const sameEntry = (a, b) =>
+  a.source === b.source && JSON.stringify(a.message) === JSON.stringify(b.message) && a.stack === b.stack;
+
+export const createErrorLog = ({ limit = ERROR_LOG_LIMIT, now = Date.now } = {}) => {
+  let entries = [];
+
+  /** Add `{ source, message, stack? }`; source is 'exception', 'rejection' or the notification type ('error', 'warn') */
+  const record = ({ source, message, stack = null }) => {
+    const entry = { source, message, stack, time: now(), count: 1 };
+    const [last, ...rest] = entries;
+    entries = last && sameEntry(last, entry)
+      ? [{ ...entry, count: last.count + 1 }, ...rest]
+      : [entry, ...entries].slice(0, limit);
+  };
+
+  const list = () => entries;
+  const clear = () => { entries = []; };
+
+  return { record, list, clear };
+};
+
+/** The shared log the diagnostics report reads */
+export const errorLog = createErrorLog();
+
+// Rejections can carry anything; Errors keep their stack, the rest become text
+const describeReason = (reason) => (reason instanceof Error
+  ? { message: `${reason.name}: ${reason.message}`, stack: reason.stack || null }
+  : { message: String(reason), stack: null });
+
+/** Start feeding `log` from window errors and notifications. Returns a function that stops it. */
+export const captureErrors = (log = errorLog, target = window) => {
+  const onError = (event) => log.record({
+    source: 'exception',
+    message: event.error instanceof Error ? `${event.error.name}: ${event.error.message}` : event.message,
+    stack: event.error?.stack || (event.filename ? `${event.filename}:${event.lineno}:${event.colno}` : null)
+  });
+  const onRejection = (event) => log.record({ source: 'rejection', ...describeReason(event.reason) });
+
+  target.addEventListener('error', onError);
+  target.addEventListener('unhandledrejection', onRejection);
+  const unsubscribe = notifications.onNotify(({ message, type }) => {
+    if (LOGGED_NOTIFICATION_TYPES.includes(type)) log.record({ source: type, message });
+  });
+
+  return () => {
+    target.removeEventListener('error', onError);
+    target.removeEventListener('unhandledrejection', onRejection);
+    unsubscribe();
+  };
+};
@@ -0,0 +1,64 @@
+// --- GRAPHICS PRESETS ---
+
+/**
+ * Named quality presets. Each one sets the four effect toggles together with
+ * the particle budget and the background grid spacing (px between lines).
+ * Preset names are catalog keys (`presets.<id>`).
+ */
+export const GRAPHICS_PRESETS = {
+  low: {
+    values: { motionBlur: false, dof: false, chromatic: false, scanlines: false, particleCount: 40, gridSpacing: 80 }
+  },
+  medium: {
+    values: { motionBlur: false, dof: false, chromatic: true, scanlines: true, particleCount: 90, gridSpacing: 60 }
+  },
+  high: {
+    values: { motionBlur: false, dof: false, chromatic: true, scanlines: true, particleCount: 150, gridSpacing: 40 }
+  },
+  ultra: {
+    values: { motionBlur: true, dof: true, chromatic: true, scanlines: true, particleCount: 260, gridSpacing: 30 }
+  }
+};
+
+export const CUSTOM_PRESET = 'custom';
+export const GRAPHICS_PRESET_IDS = [...Object.keys(GRAPHICS_PRESETS), CUSTOM_PRESET];
+
+/** Keys owned by presets; editing any of them by hand switches the preset to Custom */
+export const PRESET_KEYS = Object.keys(GRAPHICS_PRESETS.high.values);
+
+/** Particle budget multiplier for narrow (mobile) viewports */
+export const MOBILE_PARTICLE_SCALE = 0.4;
+
+/** Return settings with the given preset applied */
+export const applyGraphicsPreset = (settings, presetId) => {
+  const preset = GRAPHICS_PRESETS[presetId];
+  if (!preset) return { ...settings, graphicsPreset: CUSTOM_PRESET };
+  return { ...settings, ...preset.values, graphicsPreset: presetId };
+};
+
+/** Find the preset whose values exactly match the given settings, or null */
+export const matchGraphicsPreset = (settings) =>
+  Object.keys(GRAPHICS_PRESETS).find(id =>
+    PRESET_KEYS.every(key => GRAPHICS_PRESETS[id].values[key] === settings[key])
+  ) || null;
+
+/**
+ * Pick a starting preset from useSystemMonitor data.
+ * Cores and memory raise the score; very high resolutions lower it since fill-rate dominates.
+ */
+export const detectGraphicsPreset = ({ cores, memory, screenRes }) => {
+  const memGB = parseFloat(memory);
+  const [w, h] = String(screenRes).split('x').map(Number);
+  const pixels = (w || 0) * (h || 0) * (window.devicePixelRatio || 1) ** 2;
+
+  let score = 0;
+  // Browsers that hide core count or navigator.deviceMemory report null; treat that as mid-range
+  score += !cores ? 1 : cores >= 8 ? 2 : cores >= 4 ? 1 : 0;
+  score += Number.isNaN(memGB) ? 1 : memGB >= 8 ? 2 : memGB >= 4 ? 1 : 0;
+  if (pixels > 3840 * 2160) score -= 1;
+
+  if (score >= 4) return 'ultra';
+  if (score === 3) return 'high';
+  if (score === 2) return 'medium';
+  return 'low';
+};
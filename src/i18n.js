@@ -0,0 +1,109 @@
+import { createContext, useContext, useSyncExternalStore } from 'react';
+import en from './locales/en.js';
+import de from './locales/de.js';
+import ja from './locales/ja.js';
+import ar from './locales/ar.js';
+
+// --- INTERNATIONALISATION ---
+
+/**
+ * Message catalogs live in `src/locales/<id>.js` as flat `key: message` maps.
+ * Messages interpolate `{name}` placeholders; a message may instead be an object keyed by
+ * Intl.PluralRules category (`zero`, `one`, `two`, `few`, `many`, `other`) selected by `count`.
+ * Keys missing from a catalog fall back to English, then to the key itself.
+ */
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  de: { label: 'Deutsch', dir: 'ltr', messages: de },
+  ja: { label: '日本語', dir: 'ltr', messages: ja },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar }
+};
+
+export const LOCALE_IDS = Object.keys(LOCALES);
+export const DEFAULT_LOCALE = 'en';
+
+/** `auto` follows the browser's `navigator.languages`; anything else pins a LOCALES id */
+export const LOCALE_AUTO = 'auto';
+export const LOCALE_OPTIONS = [LOCALE_AUTO, ...LOCALE_IDS];
+
+/** First supported locale in a BCP 47 preference list, matching `de-AT` to `de`; English otherwise */
+export const detectLocale = (languages = []) => {
+  for (const tag of languages) {
+    const lower = String(tag).toLowerCase();
+    if (LOCALES[lower]) return lower;
+    const base = lower.split('-')[0];
+    if (LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+};
+
+const readLanguages = () => {
+  if (typeof navigator === 'undefined') return [];
+  return navigator.languages?.length ? navigator.languages : [navigator.language];
+};
+
+const subscribe = (onChange) => {
+  window.addEventListener('languagechange', onChange);
+  return () => window.removeEventListener('languagechange', onChange);
+};
+
+/** Live locale detected from the browser language preferences */
+export const useDetectedLocale = () =>
+  useSyncExternalStore(subscribe, () => detectLocale(readLanguages()), () => DEFAULT_LOCALE);
+
+/** Locale id in effect for a `locale` setting and the detected browser locale */
+export const resolveLocale = (setting, detected) => (LOCALES[setting] ? setting : detected);
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Translator and formatters bound to one locale.
+ * Percentages take 0-100 values, matching volumes, battery level and thread load elsewhere in the app.
+ */
+export const createI18n = (localeId) => {
+  const locale = LOCALES[localeId] ? localeId : DEFAULT_LOCALE;
+  const { dir, messages } = LOCALES[locale];
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormats = new Map();
+
+  const getNumberFormat = (options) => {
+    const cacheKey = JSON.stringify(options);
+    if (!numberFormats.has(cacheKey)) numberFormats.set(cacheKey, new Intl.NumberFormat(locale, options));
+    return numberFormats.get(cacheKey);
+  };
+
+  const formatNumber = (value, digits = 0) =>
+    getNumberFormat({ minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+
+  const formatPercent = (value, digits = 0) =>
+    getNumberFormat({ style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value / 100);
+
+  /** `unit` is an Intl sanctioned unit such as `megabyte` or `gigabyte` */
+  const formatUnit = (value, unit, digits = 0) =>
+    getNumberFormat({ style: 'unit', unit, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+
+  const t = (key, params = {}) => {
+    let message = messages[key] ?? en[key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(PLACEHOLDER, (match, name) => {
+      if (!(name in params)) return match;
+      return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+    });
+  };
+
+  /** Localised "N/A" for unavailable metrics, otherwise the formatted value with its unit (`%` uses the locale's percent style) */
+  const formatMetric = (value, unit = '', digits = 0) => {
+    if (value === null || value === undefined || Number.isNaN(value)) return t('common.notAvailable');
+    return unit === '%' ? formatPercent(value, digits) : `${formatNumber(value, digits)}${unit}`;
+  };
+
+  return { locale, dir, t, formatNumber, formatPercent, formatUnit, formatMetric };
+};
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+/** The translator provided by App for the active locale */
+export const useI18n = () => useContext(I18nContext);
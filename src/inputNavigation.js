@@ -0,0 +1,160 @@
+import { useEffect, useRef } from 'react';
+
+// --- KEYBOARD / GAMEPAD NAVIGATION ---
+
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), a[href], input:not([disabled]), select, textarea, [tabindex="0"]';
+
+/** Standard Gamepad mapping button indices */
+const GAMEPAD_BUTTONS = {
+  A: 0,
+  B: 1,
+  LB: 4,
+  RB: 5,
+  UP: 12,
+  DOWN: 13,
+  LEFT: 14,
+  RIGHT: 15
+};
+
+const DPAD_KEYS = {
+  [GAMEPAD_BUTTONS.UP]: 'ArrowUp',
+  [GAMEPAD_BUTTONS.DOWN]: 'ArrowDown',
+  [GAMEPAD_BUTTONS.LEFT]: 'ArrowLeft',
+  [GAMEPAD_BUTTONS.RIGHT]: 'ArrowRight'
+};
+
+const REPEAT_DELAY = 400;
+const REPEAT_INTERVAL = 120;
+
+/** True when keystrokes should go to a text field rather than global shortcuts */
+export const isTypingTarget = (el) =>
+  !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+
+const getFocusable = () =>
+  Array.from(document.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter(el => el.getClientRects().length > 0);
+
+/**
+ * Spatial navigation: focus the nearest focusable element in the given arrow direction.
+ * Returns true if focus moved.
+ */
+export const moveFocus = (key) => {
+  const candidates = getFocusable();
+  if (candidates.length === 0) return false;
+  const current = document.activeElement;
+  if (!current || current === document.body || !candidates.includes(current)) {
+    candidates[0].focus({ focusVisible: true });
+    return true;
+  }
+
+  const from = current.getBoundingClientRect();
+  const fx = from.left + from.width / 2;
+  const fy = from.top + from.height / 2;
+  const [dirX, dirY] = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+  }[key] || [0, 0];
+
+  let best = null;
+  let bestScore = Infinity;
+  candidates.forEach(el => {
+    if (el === current) return;
+    const r = el.getBoundingClientRect();
+    const dx = r.left + r.width / 2 - fx;
+    const dy = r.top + r.height / 2 - fy;
+    const along = dx * dirX + dy * dirY;
+    if (along <= 1) return;
+    const across = Math.abs(dx * dirY) + Math.abs(dy * dirX);
+    const score = along + across * 2;
+    if (score < bestScore) {
+      bestScore = score;
+      best = el;
+    }
+  });
+
+  if (!best) return false;
+  best.focus({ focusVisible: true });
+  best.scrollIntoView({ block: 'nearest' });
+  return true;
+};
+
+/** Send a synthetic keydown to the focused element so component key handlers run unchanged */
+const dispatchKey = (key) => {
+  const target = document.activeElement || document.body;
+  return target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+};
+
+/**
+ * Poll connected standard gamepads and translate them into UI navigation.
+ * D-pad becomes arrow keys (with auto-repeat), A activates, B goes back, shoulders switch tabs.
+ * `handlers` = { onBack, onPrevTab, onNextTab }; only active while `enabled`.
+ */
+export const useGamepadNavigation = (enabled, handlers) => {
+  const handlersRef = useRef(handlers);
+  useEffect(() => { handlersRef.current = handlers; });
+
+  useEffect(() => {
+    if (!enabled || !navigator.getGamepads) return;
+    let frame = null;
+    const held = {};
+
+    const press = (button) => {
+      if (DPAD_KEYS[button]) {
+        dispatchKey(DPAD_KEYS[button]);
+      } else if (button === GAMEPAD_BUTTONS.A) {
+        const el = document.activeElement;
+        if (el && el !== document.body) {
+          // Checkboxes and sliders react to Enter; buttons activate natively
+          if (dispatchKey('Enter')) el.click();
+        }
+      } else if (button === GAMEPAD_BUTTONS.B) {
+        handlersRef.current.onBack?.();
+      } else if (button === GAMEPAD_BUTTONS.LB) {
+        handlersRef.current.onPrevTab?.();
+      } else if (button === GAMEPAD_BUTTONS.RB) {
+        handlersRef.current.onNextTab?.();
+      }
+    };
+
+    const poll = () => {
+      const now = performance.now();
+      const pads = Array.from(navigator.getGamepads()).filter(p => p && p.mapping === 'standard');
+      Object.values(GAMEPAD_BUTTONS).forEach(button => {
+        const pressed = pads.some(p => p.buttons[button]?.pressed);
+        if (!pressed) {
+          delete held[button];
+          return;
+        }
+        if (!held[button]) {
+          held[button] = now + REPEAT_DELAY;
+          press(button);
+        } else if (DPAD_KEYS[button] && now >= held[button]) {
+          held[button] = now + REPEAT_INTERVAL;
+          press(button);
+        }
+      });
+      frame = requestAnimationFrame(poll);
+    };
+
+    const start = () => {
+      if (frame === null) frame = requestAnimationFrame(poll);
+    };
+    const stop = () => {
+      if (Array.from(navigator.getGamepads()).some(Boolean)) return;
+      cancelAnimationFrame(frame);
+      frame = null;
+    };
+
+    window.addEventListener('gamepadconnected', start);
+    window.addEventListener('gamepaddisconnected', stop);
+    if (Array.from(navigator.getGamepads()).some(Boolean)) start();
+
+    return () => {
+      window.removeEventListener('gamepadconnected', start);
+      window.removeEventListener('gamepaddisconnected', stop);
+      cancelAnimationFrame(frame);
+    };
+  }, [enabled]);
+};
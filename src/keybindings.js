@@ -0,0 +1,75 @@
+import { problem } from './validationError.js';
+
+// --- KEYBOARD SHORTCUT REGISTRY ---
+
+/** Every rebindable action, in the order shown in the Controls panel; names are catalog keys `keyActions.<id>` */
+export const KEY_ACTIONS = [
+  { id: 'mute', defaultKey: 'm' },
+  { id: 'prevTab', defaultKey: 'q' },
+  { id: 'nextTab', defaultKey: 'e' },
+  { id: 'openConfig', defaultKey: 'c' },
+  { id: 'openDiagnostics', defaultKey: 'd' },
+  { id: 'triggerBurst', defaultKey: 'b' },
+  { id: 'cyclePreset', defaultKey: 'p' }
+];
+
+export const DEFAULT_KEYBINDINGS = Object.fromEntries(KEY_ACTIONS.map(a => [a.id, a.defaultKey]));
+
+/** Keys owned by focus/navigation handling that can never be bound */
+export const RESERVED_KEYS = [
+  'arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'tab', 'enter', ' ', 'escape', 'shift', 'control', 'alt', 'meta'
+];
+
+/** Canonical form used for storage and matching: lower-cased `KeyboardEvent.key` */
+export const normalizeKey = (key) => String(key).toLowerCase();
+
+/** Human-readable label for a stored key */
+export const formatKey = (key) => {
+  if (!key) return 'UNBOUND';
+  if (key === ' ') return 'SPACE';
+  return key.toUpperCase();
+};
+
+/** Id of the action bound to `key`, or null */
+export const resolveAction = (bindings, key) => {
+  const normalized = normalizeKey(key);
+  return KEY_ACTIONS.find(a => bindings[a.id] === normalized)?.id || null;
+};
+
+/**
+ * Check whether `key` may be bound to `actionId`.
+ * Returns null when valid, otherwise `{ type: 'reserved' | 'taken', key, owner }` for the UI to phrase.
+ */
+export const getBindingConflict = (bindings, actionId, key) => {
+  const normalized = normalizeKey(key);
+  if (RESERVED_KEYS.includes(normalized)) return { type: 'reserved', key: normalized, owner: null };
+  const owner = resolveAction(bindings, normalized);
+  if (owner && owner !== actionId) return { type: 'taken', key: normalized, owner };
+  return null;
+};
+
+/** Fill missing actions from defaults and normalize keys */
+export const mergeKeybindings = (bindings) => {
+  const merged = { ...DEFAULT_KEYBINDINGS };
+  Object.entries(bindings || {}).forEach(([actionId, key]) => {
+    if (actionId in merged && typeof key === 'string' && key) merged[actionId] = normalizeKey(key);
+  });
+  return merged;
+};
+
+/** Validate a full bindings map; returns null or a descriptor for the first problem found */
+export const validateKeybindings = (bindings) => {
+  if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) return problem('validation.notObject', { field: 'keybindings' });
+  const seen = {};
+  for (const [actionId, key] of Object.entries(bindings)) {
+    if (!(actionId in DEFAULT_KEYBINDINGS)) return problem('validation.unknownField', { field: `keybindings.${actionId}` });
+    if (typeof key !== 'string' || key.length === 0) {
+      return problem('validation.wrongType', { field: `keybindings.${actionId}`, type: 'STRING' });
+    }
+    const normalized = normalizeKey(key);
+    if (RESERVED_KEYS.includes(normalized)) return problem('toast.keyReserved', { key: formatKey(normalized) });
+    if (seen[normalized]) return problem('validation.keyTwice', { key: formatKey(normalized) });
+    seen[normalized] = true;
+  }
+  return null;
+};
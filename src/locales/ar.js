@@ -0,0 +1,424 @@
+// Arabic catalog (right-to-left; App mirrors the layout from the locale's `dir`)
+export default {
+  // Shared
+  'common.on': 'تشغيل',
+  'common.off': 'إيقاف',
+  'common.notAvailable': 'غير متاح',
+  'common.unknown': 'غير معروف',
+  'common.supported': 'مدعوم',
+  'common.unsupported': 'غير مدعوم',
+  'common.yes': 'نعم',
+  'common.no': 'لا',
+  'common.custom': 'مخصص',
+  'common.auto': 'تلقائي ({value})',
+
+  // Boot
+  'boot.offline': 'النظام متوقف',
+  'boot.initialize': 'انقر لتفعيل الرابط العصبي',
+  'boot.sequence': 'تسلسل_الإقلاع',
+  'boot.progress': 'إقلاع النظام',
+
+  // Header
+  'header.network': 'الشبكة: {connection}',
+  'header.power': 'الطاقة: {level}',
+  'header.charging': '(يشحن)',
+  'header.unknownPlatform': 'نظام غير معروف',
+
+  // Navigation
+  'nav.stats': 'الإحصاءات',
+  'nav.diagnostics': 'التشخيص',
+  'nav.config': 'الإعدادات',
+
+  // Attributes (home view)
+  'home.title': 'السمات',
+  'home.linkStatus': 'حالة الرابط العصبي: مستقر',
+  'home.level': 'المستوى {level}',
+  'home.node': 'عقدة {attribute}',
+  'home.nextThreshold': 'العتبة التالية',
+  'home.xp': '{xp} نقطة خبرة',
+  'home.inject': 'حقن الشيفرة',
+  'home.points': {
+    zero: 'لا نقاط متاحة',
+    one: 'نقطة واحدة متاحة',
+    two: 'نقطتان متاحتان',
+    few: '{count} نقاط متاحة',
+    many: '{count} نقطة متاحة',
+    other: '{count} نقطة متاحة'
+  },
+  'home.attributeLevel': 'مستوى السمة',
+  'home.allocate': 'إضافة نقطة إلى {attribute}',
+  'home.deallocate': 'إزالة نقطة معلقة من {attribute}',
+  'home.effectValue': '+{value}',
+  'home.maxLevel': 'أقصى مستوى',
+  'home.confirmInject': {
+    zero: 'لا نقاط للحقن',
+    one: 'حقن نقطة واحدة في النواة؟',
+    two: 'حقن نقطتين في النواة؟',
+    few: 'حقن {count} نقاط في النواة؟',
+    many: 'حقن {count} نقطة في النواة؟',
+    other: 'حقن {count} نقطة في النواة؟'
+  },
+  'home.confirmRespec': {
+    zero: 'إعادة ضبط كل السمات؟',
+    one: 'إعادة ضبط كل السمات واسترداد نقطة واحدة؟',
+    two: 'إعادة ضبط كل السمات واسترداد نقطتين؟',
+    few: 'إعادة ضبط كل السمات واسترداد {count} نقاط؟',
+    many: 'إعادة ضبط كل السمات واسترداد {count} نقطة؟',
+    other: 'إعادة ضبط كل السمات واسترداد {count} نقطة؟'
+  },
+  'home.confirm': 'تأكيد',
+  'home.abort': 'إلغاء',
+  'home.undo': 'تراجع',
+  'home.respec': 'إعادة التوزيع',
+  'attributeInfo.reflex': 'بروتوكول واجهة العتاد لنظام ردود الفعل. يقصّر زمن الاستجابة ويزيد دقة كل ضربة.',
+  'attributeInfo.intel': 'جسر المعالج المساعد الإدراكي. يسرّع رفع الاختراقات السريعة واستعادة الذاكرة.',
+  'attributeInfo.body': 'طبقة تقوية العضلات والهيكل. ترفع سعة الصحة والتحمل الجسدي.',
+  'attributeInfo.tech': 'ناقل دمج الأجهزة السيبرانية. يحسّن عائد التصنيع وتوافق العتاد.',
+  'attributeInfo.cool': 'إجراءات تهدئة عصبية. تحافظ على ثبات النبض للتخفي والإقصاء النظيف.',
+  'effects.critChance': 'فرصة الضربة الحرجة',
+  'effects.ramRecovery': 'استعادة الذاكرة',
+  'effects.maxHealth': 'أقصى صحة',
+  'effects.craftingYield': 'عائد التصنيع',
+  'effects.stealthDamage': 'ضرر التخفي',
+  'attributes.reflex': 'ردود الفعل',
+  'attributes.intel': 'الذكاء',
+  'attributes.body': 'الجسد',
+  'attributes.tech': 'التقنية',
+  'attributes.cool': 'الهدوء',
+
+  // Diagnostics (device view)
+  'device.title': 'معلومات_الجهاز',
+  'device.storage': 'نظام التخزين',
+  'device.storageUsed': 'المستخدم: {usage}',
+  'device.storageTotal': 'الإجمالي {quota}',
+  'device.storagePending': 'جارٍ الحساب...',
+  'device.display': 'مصفوفة العرض',
+  'device.genericGpu': 'محول عرض عام',
+  'device.power': 'نواة الطاقة',
+  'device.charging': 'يشحن',
+  'device.discharging': 'يفرغ',
+  'device.runtime': 'مقاييس التشغيل',
+  'device.close': 'إغلاق التشخيص',
+  'metrics.frameRate': 'معدل الإطارات',
+  'metrics.frameP50': 'الإطار P50',
+  'metrics.frameP95': 'الإطار P95',
+  'metrics.frameP99': 'الإطار P99',
+  'metrics.mainThread': 'الخيط الرئيسي',
+  'metrics.loopLag': 'تأخر الحلقة',
+  'metrics.heap': 'ذاكرة JS',
+  'metrics.deviceRam': 'ذاكرة الجهاز',
+  'metrics.cores': 'الأنوية المنطقية',
+  'metrics.coreCount': {
+    zero: 'لا أنوية',
+    one: 'نواة واحدة',
+    two: 'نواتان',
+    few: '{count} أنوية',
+    many: '{count} نواة',
+    other: '{count} نواة'
+  },
+  'metrics.renderQuality': 'جودة العرض',
+  'metrics.qualityAdaptive': '{quality} ({level}/{max}) @ {fps} FPS',
+  'metrics.qualityFixed': '{quality} (ثابتة)',
+  'device.graphics': 'خط معالجة الرسوميات',
+  'device.displayInput': 'العرض والإدخال',
+  'device.audioOutput': 'خرج الصوت',
+  'device.features': 'ميزات المنصة',
+  'caps.webgl': 'WebGL',
+  'caps.webgl2': 'WebGL 2',
+  'caps.maxTexture': 'أقصى نسيج',
+  'caps.maxRenderbuffer': 'أقصى مخزن عرض',
+  'caps.maxViewport': 'أقصى منفذ عرض',
+  'caps.textureUnits': 'وحدات النسيج',
+  'caps.vertexAttribs': 'سمات الرؤوس',
+  'caps.extensionCount': 'الامتدادات',
+  'caps.extensions': {
+    zero: 'عرض {count} امتداد',
+    one: 'عرض امتداد واحد',
+    two: 'عرض امتدادين',
+    few: 'عرض {count} امتدادات',
+    many: 'عرض {count} امتدادًا',
+    other: 'عرض {count} امتداد'
+  },
+  'caps.pixelRatio': 'نسبة البكسل',
+  'caps.refreshRate': 'معدل التحديث',
+  'caps.refreshEstimate': '~{rate} هرتز',
+  'caps.gamut': 'نطاق الألوان',
+  'caps.dynamicRange': 'النطاق الديناميكي',
+  'caps.hdr': 'HDR',
+  'caps.sdr': 'SDR',
+  'caps.colourDepth': 'عمق اللون',
+  'caps.colourBits': '{bits} بت',
+  'caps.pointer': 'المؤشر',
+  'caps.hover': 'التمرير',
+  'caps.touchPoints': 'نقاط اللمس',
+  'caps.sampleRate': 'معدل العينات',
+  'caps.baseLatency': 'زمن الاستجابة الأساسي',
+  'caps.outputLatency': 'زمن استجابة الخرج',
+  'caps.channels': 'القنوات',
+  'caps.audioIdle': 'محرك الصوت خامل // تظهر القيم بعد بدء الصوت',
+  'caps.offscreenCanvas': 'OffscreenCanvas',
+  'caps.vibration': 'الاهتزاز',
+  'caps.gamepad': 'ذراع التحكم',
+  'caps.wakeLock': 'قفل التنبيه',
+  'pointerTypes.fine': 'دقيق',
+  'pointerTypes.coarse': 'تقريبي',
+  'pointerTypes.none': 'لا يوجد',
+  'device.report': 'تقرير التشخيص',
+  'report.hint': 'لقطة لبيانات الجهاز والإعدادات والأخطاء الأخيرة لتقارير الأعطال',
+  'report.generate': 'إنشاء التقرير',
+  'report.regenerate': 'إعادة إنشاء التقرير',
+  'report.format': 'التنسيق',
+  'reportFormats.json': 'JSON',
+  'reportFormats.text': 'نص',
+  'report.redact': 'إخفاء الحقول المعرِّفة',
+  'report.preview': 'معاينة التقرير',
+  'report.copy': 'نسخ التقرير',
+  'report.download': 'تنزيل',
+
+  // Config view
+  'config.title': 'إعدادات_النظام',
+  'config.language': 'اللغة',
+  'config.languageSelect': 'لغة الواجهة',
+  'config.audio': 'مخرج الصوت',
+  'config.musicVolume': 'مستوى الموسيقى',
+  'config.effectsVolume': 'مستوى المؤثرات',
+  'config.musicMood': 'مزاج الموسيقى',
+  'config.musicTempo': 'إيقاع الموسيقى',
+  'config.soundPack': 'حزمة الأصوات',
+  'config.auditionEvent': 'حدث للاستماع',
+  'config.playEvent': 'تشغيل الحدث',
+  'config.exportWav': 'تصدير WAV',
+  'config.loadPack': 'تحميل حزمة JSON',
+  'config.graphics': 'محرك الرسوميات',
+  'config.qualityPreset': 'مستوى الجودة',
+  'config.motionBlur': 'ضبابية الحركة',
+  'config.dof': 'عمق الميدان',
+  'config.chromatic': 'الزيغ اللوني',
+  'config.scanlines': 'خطوط المسح',
+  'config.backgroundMode': 'نمط الخلفية',
+  'config.sceneColour': 'لون المشهد',
+  'config.sceneDensity': 'كثافة المشهد',
+  'config.sceneSpeed': 'سرعة المشهد',
+  'config.constellation': 'نمط الكوكبة',
+  'config.adaptiveQuality': 'الجودة التكيفية',
+  'config.targetFps': 'الإطارات المستهدفة',
+  'config.masterLevel': 'المستوى الرئيسي',
+  'config.dronePitch': 'طبقة صوت الطنين',
+  'config.particleCount': 'عدد الجسيمات',
+  'config.gridSpacing': 'تباعد الشبكة',
+  'config.qualityRange': 'نطاق الجودة',
+  'config.statsInterval': 'تحديث التشخيص',
+  'config.theme': 'السمة',
+  'config.palette': 'لوحة الألوان',
+  'config.copyThemeLink': 'نسخ رابط السمة',
+  'config.accessibility': 'إمكانية الوصول',
+  'config.reducedMotion': 'تقليل الحركة',
+  'config.muteDrone': 'كتم الطنين المحيط',
+  'config.motionReducedHint': 'الحركة مخفّضة // تم إيقاف الانفجارات والنبض والزيغ اللوني وخطوط المسح',
+  'config.controls': 'التحكم',
+  'config.pressKey': 'اضغط مفتاحًا...',
+  'config.controlsHint': 'انقر على اختصار ثم اضغط مفتاحًا // ESC للإلغاء // الأسهم و TAB و ENTER و SPACE محجوزة',
+  'config.data': 'نقل البيانات',
+  'config.exportJson': 'تصدير JSON',
+  'config.importJson': 'استيراد JSON',
+  'config.copyLink': 'نسخ الرابط',
+  'config.shortcutsHint': "اضغط '{mute}' لكتم الصوت // '{prev}' / '{next}' للتنقل بين التبويبات",
+  'config.unsaved': {
+    zero: 'لا تغييرات غير محفوظة',
+    one: 'تغيير واحد غير محفوظ // المعاينة نشطة',
+    two: 'تغييران غير محفوظين // المعاينة نشطة',
+    few: '{count} تغييرات غير محفوظة // المعاينة نشطة',
+    many: '{count} تغييرًا غير محفوظ // المعاينة نشطة',
+    other: '{count} تغيير غير محفوظ // المعاينة نشطة'
+  },
+  'config.discard': 'تجاهل',
+  'config.save': 'حفظ التغييرات',
+  'config.sceneParams': 'معلمات المشهد',
+  'config.themeColours': 'ألوان السمة',
+  'config.search': 'البحث في الإعدادات',
+  'config.searchPlaceholder': 'تصفية حسب الاسم...',
+  'config.noMatches': 'لا توجد إعدادات تطابق «{query}»',
+  'config.requires': 'يتطلب {setting}',
+  'config.dependsOn': 'يعتمد على {setting}',
+  'config.resetSection': 'الافتراضي',
+  'config.resetSectionLabel': 'إعادة {section} إلى الافتراضي',
+  'slider.minimum': 'الحد الأدنى لـ {label}',
+  'slider.maximum': 'الحد الأقصى لـ {label}',
+  'slider.edit': 'اكتب قيمة {label}',
+  'controls.swatch': 'تعيين {label} إلى {colour}',
+  'controls.hexValue': 'القيمة الست عشرية لـ {label}',
+  'controls.rebind': 'إعادة تعيين {label} (الحالي {key})',
+
+  // Setting descriptions (config view)
+  'settingHelp.locale': 'لغة الواجهة وتنسيقات الأرقام والتواريخ // التلقائي يتبع المتصفح',
+  'settingHelp.masterDb': 'مستوى الخرج العام بعد الموسيقى والمؤثرات',
+  'settingHelp.musicVol': 'مستوى الموسيقى المولّدة',
+  'settingHelp.sfxVol': 'مستوى النقرات والتنبيهات والنبضات',
+  'settingHelp.droneFreq': 'طبقة الطنين المحيط الأساسية',
+  'settingHelp.musicMood': 'السلّم والأنماط للموسيقى',
+  'settingHelp.musicTempo': 'سرعة الموسيقى بالنبضات في الدقيقة',
+  'settingHelp.soundPack': 'مجموعة عينات أصوات الواجهة // حمّل حزمتك أدناه',
+  'settingHelp.graphicsPreset': 'يضبط كل خيارات الرسوميات دفعة واحدة // تعديل أحدها ينتقل إلى مخصص',
+  'settingHelp.motionBlur': 'لوحات ضبابية وتوهج النص',
+  'settingHelp.dof': 'يطمس حواف الشاشة خلف اللوحات',
+  'settingHelp.chromatic': 'انزياح RGB على العناوين وعناصر التحكم',
+  'settingHelp.scanlines': 'نمط خطوط CRT فوق الشاشة كاملة',
+  'settingHelp.particleCount': 'عدد جسيمات الخلفية // يُخفَّض على الجوال',
+  'settingHelp.gridSpacing': 'المسافة بين خطوط شبكة الخلفية',
+  'settingHelp.backgroundMode': 'المشهد المتحرك خلف الواجهة',
+  'settingHelp.backgroundParams': 'لون المشهد الحالي وكثافته وسرعته // محفوظة لكل مشهد',
+  'settingHelp.constellation': 'يصل الجسيمات القريبة بخطوط',
+  'settingHelp.qualityGovernor': 'يخفض جودة العرض عند انخفاض معدل الإطارات',
+  'settingHelp.targetFps': 'معدل الإطارات الذي تستهدفه الجودة التكيفية',
+  'settingHelp.qualityRange': 'أدنى وأعلى مستوى يمكن للجودة التكيفية اختياره',
+  'settingHelp.statsInterval': 'عدد مرات تحديث عرض التشخيص',
+  'settingHelp.theme': 'نظام ألوان الواجهة',
+  'settingHelp.customTheme': 'تعديل أي لون ينقل اللوحة إلى مخصص',
+  'settingHelp.reducedMotion': 'يمنع المؤثرات المتحركة // التلقائي يتبع إعداد النظام',
+  'settingHelp.muteDrone': 'يكتم الطنين المحيط ويُبقي الموسيقى والمؤثرات',
+  'settingHelp.keybindings': 'اختصارات لوحة المفاتيح للإجراءات الرئيسية',
+
+  // Option labels
+  'moods.nightCity': 'نايت سيتي',
+  'moods.neonRain': 'مطر النيون',
+  'moods.corpo': 'الشركات',
+  'moods.off': 'الطنين فقط',
+  'soundEvents.click': 'نقرة',
+  'soundEvents.hover': 'تمرير',
+  'soundEvents.toggleOn': 'تشغيل المفتاح',
+  'soundEvents.toggleOff': 'إيقاف المفتاح',
+  'soundEvents.sliderTick': 'تكة المنزلق',
+  'soundEvents.navigate': 'تنقل',
+  'soundEvents.error': 'خطأ',
+  'soundEvents.bootComplete': 'اكتمال الإقلاع',
+  'soundEvents.notifyInfo': 'إشعار: معلومة',
+  'soundEvents.notifyWarn': 'إشعار: تحذير',
+  'soundEvents.notifySuccess': 'إشعار: نجاح',
+  'presets.low': 'منخفضة',
+  'presets.medium': 'متوسطة',
+  'presets.high': 'عالية',
+  'presets.ultra': 'فائقة',
+  'scenes.particles': 'جسيمات',
+  'scenes.rain': 'مطر رقمي',
+  'scenes.synthwave': 'سينثويف',
+  'scenes.starfield': 'حقل النجوم',
+  'colours.theme': 'السمة',
+  'colours.red': 'أحمر',
+  'colours.amber': 'كهرماني',
+  'colours.green': 'أخضر',
+  'colours.cyan': 'سماوي',
+  'colours.magenta': 'أرجواني',
+  'colours.white': 'أبيض',
+  'density.sparse': 'متفرق',
+  'density.normal': 'عادي',
+  'density.dense': 'كثيف',
+  'density.max': 'أقصى',
+  'speed.slow': 'بطيء',
+  'speed.normal': 'عادي',
+  'speed.fast': 'سريع',
+  'speed.hyper': 'فائق',
+  'themes.arasaka': 'أراساكا الأحمر',
+  'themes.netrunner': 'نت رنر السماوي',
+  'themes.militech': 'ميليتك الكهرماني',
+  'themes.monochrome': 'أحادي اللون',
+  'themeColours.primary': 'الأساسي',
+  'themeColours.accent': 'الثانوي',
+  'themeColours.glow': 'التوهج',
+  'themeColours.background': 'الخلفية',
+  'themeColours.particle': 'الجسيمات',
+  'keyActions.mute': 'كتم الصوت',
+  'keyActions.prevTab': 'التبويب السابق',
+  'keyActions.nextTab': 'التبويب التالي',
+  'keyActions.openConfig': 'فتح الإعدادات',
+  'keyActions.openDiagnostics': 'فتح التشخيص',
+  'keyActions.triggerBurst': 'إطلاق انفجار',
+  'keyActions.cyclePreset': 'تبديل المستويات',
+
+  // Notifications
+  'toast.presetChanged': 'مستوى الرسوميات: {preset}',
+  'toast.muted': 'تم كتم الصوت',
+  'toast.unmuted': 'تمت استعادة الصوت',
+  'toast.keyReserved': '{key} محجوز للتنقل',
+  'toast.keyTaken': '{key} مرتبط مسبقًا بـ {action}',
+  'toast.saved': 'تم حفظ الإعدادات',
+  'toast.saveFailed': 'فشل الحفظ: التخزين غير متاح',
+  'toast.sectionReset': 'تمت إعادة {section} إلى الافتراضي',
+  'toast.discarded': 'تم تجاهل التغييرات',
+  'toast.exported': 'تم تصدير الإعدادات',
+  'toast.imported': 'تم استيراد الإعدادات // احفظ للإبقاء عليها',
+  'toast.importFailed': 'فشل الاستيراد: {reason}',
+  'toast.packLoaded': 'تم تحميل حزمة الأصوات: {name}',
+  'toast.packSessionOnly': 'تم تحميل حزمة الأصوات لهذه الجلسة فقط: {name} // التخزين غير متاح',
+  'toast.packRejected': 'تم رفض الحزمة: {reason}',
+  'toast.wavRendered': 'تم إنشاء ملف WAV',
+  'toast.renderFailed': 'فشل الإنشاء: {reason}',
+  'toast.themeLinkCopied': 'تم نسخ رابط السمة',
+  'toast.shareLinkCopied': 'تم نسخ رابط المشاركة',
+  'toast.reportCopied': 'تم نسخ تقرير التشخيص',
+  'toast.reportSaved': 'تم حفظ تقرير التشخيص',
+  'toast.copyFailed': 'فشل النسخ: الحافظة محظورة',
+  'toast.sharedRejected': 'تم رفض الإعدادات المشتركة: {reason}',
+  'toast.sharedThemeLoaded': 'تم تحميل السمة المشتركة // احفظ للإبقاء عليها',
+  'toast.sharedConfigLoaded': 'تم تحميل الإعدادات المشتركة // احفظ للإبقاء عليها',
+  'toast.injected': {
+    zero: 'لم تُحقن أي نقاط',
+    one: 'تم حقن نقطة واحدة',
+    two: 'تم حقن نقطتين',
+    few: 'تم حقن {count} نقاط',
+    many: 'تم حقن {count} نقطة',
+    other: 'تم حقن {count} نقطة'
+  },
+  'toast.injectFailed': 'فشل الحقن: {reason}',
+  'toast.allocationNoPoints': 'نقاط السمات غير كافية',
+  'toast.allocationCapped': 'الحد الأقصى لـ{attribute} هو {max}',
+  'toast.allocationInvalid': 'توزيع غير صالح: {attribute}',
+  'toast.respec': {
+    zero: 'تمت إعادة ضبط السمات',
+    one: 'تمت إعادة ضبط السمات // استرداد نقطة واحدة',
+    two: 'تمت إعادة ضبط السمات // استرداد نقطتين',
+    few: 'تمت إعادة ضبط السمات // استرداد {count} نقاط',
+    many: 'تمت إعادة ضبط السمات // استرداد {count} نقطة',
+    other: 'تمت إعادة ضبط السمات // استرداد {count} نقطة'
+  },
+  'toast.undone': 'تم التراجع عن التوزيع',
+  'toast.levelUp': 'تم بلوغ المستوى {level} // نقطة سمة جديدة',
+  'toast.batteryLow': 'الطاقة منخفضة: {level}% // صِل الشاحن',
+  'toast.offline': 'انقطع اتصال الشبكة // غير متصل',
+  'toast.online': 'عاد اتصال الشبكة',
+  'toast.audioUnavailable': 'الصوت متوقف: {reason}',
+  'toast.unknownRoute': 'المسار غير موجود: {route} // تمت إعادة التوجيه',
+  'notifications.toggle': 'سجل الإشعارات ({count} غير مقروء)',
+  'notifications.history': 'سجل الإشعارات',
+  'notifications.empty': 'لا توجد إشعارات مسجلة',
+  'notifications.clear': 'مسح',
+  'notifications.close': 'إغلاق سجل الإشعارات',
+  'notifications.dismiss': 'إغلاق: {message}',
+  'notifications.repeat': '×{count}',
+  'notifications.queued': '+{count} في الانتظار',
+  'notifications.info': 'معلومة',
+  'notifications.success': 'نجاح',
+  'notifications.warn': 'تحذير',
+  'notifications.error': 'خطأ',
+
+  // Validation (imports and shared links)
+  'validation.invalidJson': 'ملف JSON غير صالح',
+  'validation.corruptLink': 'الرابط المشترك تالف',
+  'validation.corruptTheme': 'السمة المشتركة تالفة',
+  'validation.configNotObject': 'يجب أن يكون الإعداد كائن JSON',
+  'validation.configVersion': 'إصدار إعداد غير مدعوم v{version}',
+  'validation.packNotObject': 'يجب أن تكون حزمة الأصوات كائن JSON',
+  'validation.unknownKey': 'مفتاح غير معروف: {keys}',
+  'validation.unknownField': 'حقل غير معروف: {field}',
+  'validation.notObject': 'يجب أن يكون {field} كائنًا',
+  'validation.wrongType': 'يجب أن يكون {field} من النوع {type}',
+  'validation.required': '{field} مطلوب',
+  'validation.outOfRange': '{field} خارج النطاق ({min}-{max})',
+  'validation.numberRange': 'يجب أن يكون {field} رقمًا بين {min} و{max}',
+  'validation.notOneOf': 'يجب أن يكون {field} أحد {options}',
+  'validation.exceeds': 'يجب ألا يتجاوز {field} {limit}',
+  'validation.hexColour': 'يجب أن يكون {field} بصيغة #RRGGBB',
+  'validation.sceneColour': 'يجب أن يكون {field} بصيغة #RRGGBB أو {theme}',
+  'validation.keyTwice': '{key} مربوط مرتين',
+  'validation.oscOrNoise': '{field} يحتاج إلى osc أو noise',
+  'validation.noLayers': '{field} بلا طبقات'
+};
@@ -0,0 +1,389 @@
+// German catalog
+export default {
+  // Shared
+  'common.on': 'AN',
+  'common.off': 'AUS',
+  'common.notAvailable': 'K. A.',
+  'common.unknown': 'UNBEKANNT',
+  'common.supported': 'UNTERSTÜTZT',
+  'common.unsupported': 'NICHT UNTERSTÜTZT',
+  'common.yes': 'JA',
+  'common.no': 'NEIN',
+  'common.custom': 'Eigene',
+  'common.auto': 'Auto ({value})',
+
+  // Boot
+  'boot.offline': 'SYSTEM OFFLINE',
+  'boot.initialize': 'TIPPEN, UM NEURALVERBINDUNG ZU STARTEN',
+  'boot.sequence': 'SYSTEMSTART_SEQ',
+  'boot.progress': 'Systemstart',
+
+  // Header
+  'header.network': 'NETZ: {connection}',
+  'header.power': 'ENERGIE: {level}',
+  'header.charging': '(LÄDT)',
+  'header.unknownPlatform': 'UNBEKANNTES BS',
+
+  // Navigation
+  'nav.stats': 'Werte',
+  'nav.diagnostics': 'Diagnose',
+  'nav.config': 'Konfig',
+
+  // Attributes (home view)
+  'home.title': 'Attribute',
+  'home.linkStatus': 'NEURALVERBINDUNG: STABIL',
+  'home.level': 'STUFE {level}',
+  'home.node': 'KNOTEN {attribute}',
+  'home.nextThreshold': 'Nächste Schwelle',
+  'home.xp': '{xp} EP',
+  'home.inject': 'Code injizieren',
+  'home.points': {
+    one: '{count} PUNKT VERFÜGBAR',
+    other: '{count} PUNKTE VERFÜGBAR'
+  },
+  'home.attributeLevel': 'Attributstufe',
+  'home.allocate': 'Einen Punkt auf {attribute} setzen',
+  'home.deallocate': 'Einen vorgemerkten Punkt von {attribute} entfernen',
+  'home.effectValue': '+{value}',
+  'home.maxLevel': 'MAX. STUFE',
+  'home.confirmInject': {
+    one: '{count} PUNKT IN DEN KERNEL SCHREIBEN?',
+    other: '{count} PUNKTE IN DEN KERNEL SCHREIBEN?'
+  },
+  'home.confirmRespec': {
+    one: 'ALLE ATTRIBUTE LEEREN UND {count} PUNKT ERSTATTEN?',
+    other: 'ALLE ATTRIBUTE LEEREN UND {count} PUNKTE ERSTATTEN?'
+  },
+  'home.confirm': 'Bestätigen',
+  'home.abort': 'Abbrechen',
+  'home.undo': 'Rückgängig',
+  'home.respec': 'Neu verteilen',
+  'attributeInfo.reflex': 'Hardware-Schnittstellenprotokoll für das Reflex-Subsystem. Verkürzt die Reaktionszeit und schärft die Präzision jedes Treffers.',
+  'attributeInfo.intel': 'Kognitive Koprozessor-Brücke. Beschleunigt Quickhack-Uploads und die RAM-Erholung.',
+  'attributeInfo.body': 'Muskuloskelettale Verstärkungsschicht. Erhöht Gesundheit und körperliche Belastbarkeit.',
+  'attributeInfo.tech': 'Cyberware-Integrationsbus. Verbessert Herstellungsertrag und Hardwarekompatibilität.',
+  'attributeInfo.cool': 'Neuronale Dämpfungsroutinen. Halten den Puls ruhig für Tarnung und saubere Takedowns.',
+  'effects.critChance': 'Krit. Chance',
+  'effects.ramRecovery': 'RAM-Erholung',
+  'effects.maxHealth': 'Max. Gesundheit',
+  'effects.craftingYield': 'Herstellungsertrag',
+  'effects.stealthDamage': 'Tarnschaden',
+  'attributes.reflex': 'Reflexe',
+  'attributes.intel': 'Intelligenz',
+  'attributes.body': 'Konstitution',
+  'attributes.tech': 'Technik',
+  'attributes.cool': 'Coolness',
+
+  // Diagnostics (device view)
+  'device.title': 'GERÄTE_INTEL',
+  'device.storage': 'Speichersubsystem',
+  'device.storageUsed': 'BELEGT: {usage}',
+  'device.storageTotal': '{quota} GESAMT',
+  'device.storagePending': 'BERECHNE...',
+  'device.display': 'Anzeigematrix',
+  'device.genericGpu': 'STANDARD-GRAFIKADAPTER',
+  'device.power': 'Energiekern',
+  'device.charging': 'LÄDT',
+  'device.discharging': 'ENTLÄDT',
+  'device.runtime': 'Laufzeitmetriken',
+  'device.close': 'Diagnose schließen',
+  'metrics.frameRate': 'Bildrate',
+  'metrics.frameP50': 'Frame P50',
+  'metrics.frameP95': 'Frame P95',
+  'metrics.frameP99': 'Frame P99',
+  'metrics.mainThread': 'Hauptthread',
+  'metrics.loopLag': 'Loop-Verzögerung',
+  'metrics.heap': 'JS-Heap',
+  'metrics.deviceRam': 'Geräte-RAM',
+  'metrics.cores': 'Logische Kerne',
+  'metrics.coreCount': { one: '{count} Kern', other: '{count} Kerne' },
+  'metrics.renderQuality': 'Renderqualität',
+  'metrics.qualityAdaptive': '{quality} ({level}/{max}) @ {fps} FPS',
+  'metrics.qualityFixed': '{quality} (FEST)',
+  'device.graphics': 'Grafikpipeline',
+  'device.displayInput': 'Anzeige & Eingabe',
+  'device.audioOutput': 'Audioausgabe',
+  'device.features': 'Plattformfunktionen',
+  'caps.webgl': 'WebGL',
+  'caps.webgl2': 'WebGL 2',
+  'caps.maxTexture': 'Max. Textur',
+  'caps.maxRenderbuffer': 'Max. Renderbuffer',
+  'caps.maxViewport': 'Max. Viewport',
+  'caps.textureUnits': 'Textureinheiten',
+  'caps.vertexAttribs': 'Vertex-Attribute',
+  'caps.extensionCount': 'Erweiterungen',
+  'caps.extensions': {
+    one: '{count} ERWEITERUNG ANZEIGEN',
+    other: '{count} ERWEITERUNGEN ANZEIGEN'
+  },
+  'caps.pixelRatio': 'Pixelverhältnis',
+  'caps.refreshRate': 'Bildwiederholrate',
+  'caps.refreshEstimate': '~{rate} Hz',
+  'caps.gamut': 'Farbraum',
+  'caps.dynamicRange': 'Dynamikumfang',
+  'caps.hdr': 'HDR',
+  'caps.sdr': 'SDR',
+  'caps.colourDepth': 'Farbtiefe',
+  'caps.colourBits': '{bits} Bit',
+  'caps.pointer': 'Zeiger',
+  'caps.hover': 'Hover',
+  'caps.touchPoints': 'Touchpunkte',
+  'caps.sampleRate': 'Abtastrate',
+  'caps.baseLatency': 'Basislatenz',
+  'caps.outputLatency': 'Ausgabelatenz',
+  'caps.channels': 'Kanäle',
+  'caps.audioIdle': 'AUDIO-ENGINE INAKTIV // WERTE ERSCHEINEN NACH DEM ERSTEN TON',
+  'caps.offscreenCanvas': 'OffscreenCanvas',
+  'caps.vibration': 'Vibration',
+  'caps.gamepad': 'Gamepad',
+  'caps.wakeLock': 'Wake Lock',
+  'pointerTypes.fine': 'FEIN',
+  'pointerTypes.coarse': 'GROB',
+  'pointerTypes.none': 'KEINER',
+  'device.report': 'Diagnosebericht',
+  'report.hint': 'MOMENTAUFNAHME VON GERÄTEDATEN, EINSTELLUNGEN UND LETZTEN FEHLERN FÜR FEHLERBERICHTE',
+  'report.generate': 'Bericht erstellen',
+  'report.regenerate': 'Bericht neu erstellen',
+  'report.format': 'Format',
+  'reportFormats.json': 'JSON',
+  'reportFormats.text': 'Text',
+  'report.redact': 'IDENTIFIZIERENDE FELDER SCHWÄRZEN',
+  'report.preview': 'Berichtsvorschau',
+  'report.copy': 'Bericht kopieren',
+  'report.download': 'Herunterladen',
+
+  // Config view
+  'config.title': 'SYSTEM_KONFIG',
+  'config.language': 'Sprache',
+  'config.languageSelect': 'Oberflächensprache',
+  'config.audio': 'Audioausgabe',
+  'config.musicVolume': 'Musiklautstärke',
+  'config.effectsVolume': 'Effektlautstärke',
+  'config.musicMood': 'Musikstimmung',
+  'config.musicTempo': 'Musiktempo',
+  'config.soundPack': 'Soundpaket',
+  'config.auditionEvent': 'Ereignis vorhören',
+  'config.playEvent': 'Abspielen',
+  'config.exportWav': 'WAV exportieren',
+  'config.loadPack': 'Paket-JSON laden',
+  'config.graphics': 'Grafik-Engine',
+  'config.qualityPreset': 'Qualitätsstufe',
+  'config.motionBlur': 'BEWEGUNGSUNSCHÄRFE',
+  'config.dof': 'TIEFENSCHÄRFE',
+  'config.chromatic': 'CHROMATISCHE ABERRATION',
+  'config.scanlines': 'SCANLINE-OVERLAY',
+  'config.backgroundMode': 'Hintergrund',
+  'config.sceneColour': 'Szenenfarbe',
+  'config.sceneDensity': 'Szenendichte',
+  'config.sceneSpeed': 'Szenentempo',
+  'config.constellation': 'KONSTELLATIONSMODUS',
+  'config.adaptiveQuality': 'ADAPTIVE QUALITÄT',
+  'config.targetFps': 'Ziel-FPS',
+  'config.masterLevel': 'Gesamtpegel',
+  'config.dronePitch': 'Drone-Tonhöhe',
+  'config.particleCount': 'Partikelanzahl',
+  'config.gridSpacing': 'Rasterabstand',
+  'config.qualityRange': 'Qualitätsbereich',
+  'config.statsInterval': 'Diagnose-Aktualisierung',
+  'config.theme': 'Design',
+  'config.palette': 'Palette',
+  'config.copyThemeLink': 'Design-Link kopieren',
+  'config.accessibility': 'Barrierefreiheit',
+  'config.reducedMotion': 'Reduzierte Bewegung',
+  'config.muteDrone': 'UMGEBUNGSBRUMMEN UNTERDRÜCKEN',
+  'config.motionReducedHint': 'BEWEGUNG REDUZIERT // BURSTS, PULSIEREN, CHROMATISCHE UND SCANLINE-EFFEKTE UNTERDRÜCKT',
+  'config.controls': 'Steuerung',
+  'config.pressKey': 'TASTE DRÜCKEN...',
+  'config.controlsHint': 'BELEGUNG ANKLICKEN, DANN TASTE DRÜCKEN // ESC BRICHT AB // PFEILE, TAB, ENTER, LEERTASTE SIND RESERVIERT',
+  'config.data': 'Datentransfer',
+  'config.exportJson': 'JSON exportieren',
+  'config.importJson': 'JSON importieren',
+  'config.copyLink': 'Link kopieren',
+  'config.shortcutsHint': "'{mute}' SCHALTET AUDIO STUMM // '{prev}' / '{next}' WECHSELN TABS",
+  'config.unsaved': {
+    one: '{count} UNGESPEICHERTE ÄNDERUNG // VORSCHAU AKTIV',
+    other: '{count} UNGESPEICHERTE ÄNDERUNGEN // VORSCHAU AKTIV'
+  },
+  'config.discard': 'Verwerfen',
+  'config.save': 'Speichern',
+  'config.sceneParams': 'Szenenparameter',
+  'config.themeColours': 'Themenfarben',
+  'config.search': 'Einstellungen durchsuchen',
+  'config.searchPlaceholder': 'NACH NAMEN FILTERN...',
+  'config.noMatches': 'KEINE EINSTELLUNG PASST ZU „{query}“',
+  'config.requires': 'ERFORDERT {setting}',
+  'config.dependsOn': 'ABHÄNGIG VON {setting}',
+  'config.resetSection': 'Standard',
+  'config.resetSectionLabel': '{section} auf Standard zurücksetzen',
+  'slider.minimum': '{label} Minimum',
+  'slider.maximum': '{label} Maximum',
+  'slider.edit': 'Wert für {label} eingeben',
+  'controls.swatch': '{label} auf {colour} setzen',
+  'controls.hexValue': 'Hex-Wert für {label}',
+  'controls.rebind': '{label} neu belegen (aktuell {key})',
+
+  // Setting descriptions (config view)
+  'settingHelp.locale': 'SPRACHE, ZAHLEN- UND DATUMSFORMATE // AUTO FOLGT DEM BROWSER',
+  'settingHelp.masterDb': 'GESAMTPEGEL NACH MUSIK UND EFFEKTEN',
+  'settingHelp.musicVol': 'PEGEL DES GENERIERTEN SOUNDTRACKS',
+  'settingHelp.sfxVol': 'PEGEL VON KLICKS, WARNUNGEN UND IMPULSEN',
+  'settingHelp.droneFreq': 'GRUNDTON DES UMGEBUNGSBRUMMENS',
+  'settingHelp.musicMood': 'TONLEITER UND MUSTER DES SOUNDTRACKS',
+  'settingHelp.musicTempo': 'TEMPO DES SOUNDTRACKS IN SCHLÄGEN PRO MINUTE',
+  'settingHelp.soundPack': 'SAMPLES FÜR OBERFLÄCHENKLÄNGE // EIGENE UNTEN LADEN',
+  'settingHelp.graphicsPreset': 'SETZT ALLE GRAFIKOPTIONEN // EINZELNE ÄNDERUNGEN WECHSELN ZU BENUTZERDEFINIERT',
+  'settingHelp.motionBlur': 'MATTIERTE PANELS UND TEXTLEUCHTEN',
+  'settingHelp.dof': 'VERWISCHT DIE BILDSCHIRMRÄNDER HINTER DEN PANELS',
+  'settingHelp.chromatic': 'RGB-VERSATZ AN ÜBERSCHRIFTEN UND STEUERELEMENTEN',
+  'settingHelp.scanlines': 'CRT-ZEILENMUSTER ÜBER DEM GANZEN BILDSCHIRM',
+  'settingHelp.particleCount': 'PARTIKEL IM HINTERGRUND // AUF MOBILGERÄTEN REDUZIERT',
+  'settingHelp.gridSpacing': 'ABSTAND DER HINTERGRUNDRASTERLINIEN',
+  'settingHelp.backgroundMode': 'ANIMIERTE SZENE HINTER DER OBERFLÄCHE',
+  'settingHelp.backgroundParams': 'FARBE, DICHTE UND TEMPO DER AKTUELLEN SZENE // JE SZENE GESPEICHERT',
+  'settingHelp.constellation': 'VERBINDET NAHE PARTIKEL MIT LINIEN',
+  'settingHelp.qualityGovernor': 'SENKT DIE RENDERQUALITÄT, WENN DIE BILDRATE FÄLLT',
+  'settingHelp.targetFps': 'BILDRATE, DIE DIE ADAPTIVE QUALITÄT ANSTREBT',
+  'settingHelp.qualityRange': 'NIEDRIGSTE UND HÖCHSTE STUFE DER ADAPTIVEN QUALITÄT',
+  'settingHelp.statsInterval': 'WIE OFT DIE DIAGNOSEANSICHT AKTUALISIERT',
+  'settingHelp.theme': 'FARBSCHEMA DER OBERFLÄCHE',
+  'settingHelp.customTheme': 'EINE FARBE ZU ÄNDERN WECHSELT DIE PALETTE ZU BENUTZERDEFINIERT',
+  'settingHelp.reducedMotion': 'UNTERDRÜCKT ANIMIERTE EFFEKTE // AUTO FOLGT DER SYSTEMEINSTELLUNG',
+  'settingHelp.muteDrone': 'STELLT DAS BRUMMEN STUMM, MUSIK UND EFFEKTE BLEIBEN',
+  'settingHelp.keybindings': 'TASTENKÜRZEL FÜR DIE WICHTIGSTEN AKTIONEN',
+
+  // Option labels
+  'moods.nightCity': 'Night City',
+  'moods.neonRain': 'Neonregen',
+  'moods.corpo': 'Konzern',
+  'moods.off': 'Nur Brummen',
+  'soundEvents.click': 'Klick',
+  'soundEvents.hover': 'Hover',
+  'soundEvents.toggleOn': 'Schalter an',
+  'soundEvents.toggleOff': 'Schalter aus',
+  'soundEvents.sliderTick': 'Regler-Tick',
+  'soundEvents.navigate': 'Navigation',
+  'soundEvents.error': 'Fehler',
+  'soundEvents.bootComplete': 'Start fertig',
+  'soundEvents.notifyInfo': 'Meldung: Info',
+  'soundEvents.notifyWarn': 'Meldung: Warnung',
+  'soundEvents.notifySuccess': 'Meldung: Erfolg',
+  'presets.low': 'Niedrig',
+  'presets.medium': 'Mittel',
+  'presets.high': 'Hoch',
+  'presets.ultra': 'Ultra',
+  'scenes.particles': 'Partikel',
+  'scenes.rain': 'Digitaler Regen',
+  'scenes.synthwave': 'Synthwave',
+  'scenes.starfield': 'Sternenfeld',
+  'colours.theme': 'Design',
+  'colours.red': 'Rot',
+  'colours.amber': 'Bernstein',
+  'colours.green': 'Grün',
+  'colours.cyan': 'Cyan',
+  'colours.magenta': 'Magenta',
+  'colours.white': 'Weiß',
+  'density.sparse': 'Dünn',
+  'density.normal': 'Normal',
+  'density.dense': 'Dicht',
+  'density.max': 'Max',
+  'speed.slow': 'Langsam',
+  'speed.normal': 'Normal',
+  'speed.fast': 'Schnell',
+  'speed.hyper': 'Hyper',
+  'themes.arasaka': 'Arasaka-Rot',
+  'themes.netrunner': 'Netrunner-Cyan',
+  'themes.militech': 'Militech-Bernstein',
+  'themes.monochrome': 'Monochrom',
+  'themeColours.primary': 'Primär',
+  'themeColours.accent': 'Akzent',
+  'themeColours.glow': 'Leuchten',
+  'themeColours.background': 'Hintergrund',
+  'themeColours.particle': 'Partikel',
+  'keyActions.mute': 'Stumm schalten',
+  'keyActions.prevTab': 'Vorheriger Tab',
+  'keyActions.nextTab': 'Nächster Tab',
+  'keyActions.openConfig': 'Konfig öffnen',
+  'keyActions.openDiagnostics': 'Diagnose öffnen',
+  'keyActions.triggerBurst': 'Burst auslösen',
+  'keyActions.cyclePreset': 'Stufen durchschalten',
+
+  // Notifications
+  'toast.presetChanged': 'GRAFIKSTUFE: {preset}',
+  'toast.muted': 'AUDIO STUMM',
+  'toast.unmuted': 'AUDIO WIEDERHERGESTELLT',
+  'toast.keyReserved': '{key} IST FÜR DIE NAVIGATION RESERVIERT',
+  'toast.keyTaken': '{key} IST BEREITS {action} ZUGEWIESEN',
+  'toast.saved': 'EINSTELLUNGEN GESPEICHERT',
+  'toast.saveFailed': 'SPEICHERN FEHLGESCHLAGEN: SPEICHER NICHT VERFÜGBAR',
+  'toast.sectionReset': '{section} AUF STANDARD ZURÜCKGESETZT',
+  'toast.discarded': 'ÄNDERUNGEN VERWORFEN',
+  'toast.exported': 'KONFIG EXPORTIERT',
+  'toast.imported': 'KONFIG IMPORTIERT // ZUM BEHALTEN SPEICHERN',
+  'toast.importFailed': 'IMPORT FEHLGESCHLAGEN: {reason}',
+  'toast.packLoaded': 'SOUNDPAKET GELADEN: {name}',
+  'toast.packSessionOnly': 'SOUNDPAKET NUR FÜR DIESE SITZUNG GELADEN: {name} // SPEICHER NICHT VERFÜGBAR',
+  'toast.packRejected': 'PAKET ABGELEHNT: {reason}',
+  'toast.wavRendered': 'WAV GERENDERT',
+  'toast.renderFailed': 'RENDERN FEHLGESCHLAGEN: {reason}',
+  'toast.themeLinkCopied': 'DESIGN-LINK KOPIERT',
+  'toast.shareLinkCopied': 'TEILEN-LINK KOPIERT',
+  'toast.reportCopied': 'DIAGNOSEBERICHT KOPIERT',
+  'toast.reportSaved': 'DIAGNOSEBERICHT GESPEICHERT',
+  'toast.copyFailed': 'KOPIEREN FEHLGESCHLAGEN: ZWISCHENABLAGE BLOCKIERT',
+  'toast.sharedRejected': 'GETEILTE KONFIG ABGELEHNT: {reason}',
+  'toast.sharedThemeLoaded': 'GETEILTES DESIGN GELADEN // ZUM BEHALTEN SPEICHERN',
+  'toast.sharedConfigLoaded': 'GETEILTE KONFIG GELADEN // ZUM BEHALTEN SPEICHERN',
+  'toast.injected': {
+    one: '{count} PUNKT INJIZIERT',
+    other: '{count} PUNKTE INJIZIERT'
+  },
+  'toast.injectFailed': 'INJEKTION FEHLGESCHLAGEN: {reason}',
+  'toast.allocationNoPoints': 'NICHT GENUG ATTRIBUTPUNKTE',
+  'toast.allocationCapped': '{attribute} IST AUF {max} BEGRENZT',
+  'toast.allocationInvalid': 'UNGÜLTIGE VERTEILUNG: {attribute}',
+  'toast.respec': {
+    one: 'ATTRIBUTE GELEERT // {count} PUNKT ERSTATTET',
+    other: 'ATTRIBUTE GELEERT // {count} PUNKTE ERSTATTET'
+  },
+  'toast.undone': 'VERTEILUNG RÜCKGÄNGIG GEMACHT',
+  'toast.levelUp': 'STUFE {level} ERREICHT // NEUER ATTRIBUTPUNKT',
+  'toast.batteryLow': 'ENERGIE NIEDRIG: {level} % // LADEGERÄT ANSCHLIESSEN',
+  'toast.offline': 'NETZVERBINDUNG VERLOREN // OFFLINE',
+  'toast.online': 'NETZVERBINDUNG WIEDERHERGESTELLT',
+  'toast.audioUnavailable': 'AUDIO OFFLINE: {reason}',
+  'toast.unknownRoute': 'ROUTE NICHT GEFUNDEN: {route} // UMGELEITET',
+  'notifications.toggle': 'Benachrichtigungsprotokoll ({count} ungelesen)',
+  'notifications.history': 'Benachrichtigungen',
+  'notifications.empty': 'KEINE BENACHRICHTIGUNGEN PROTOKOLLIERT',
+  'notifications.clear': 'Leeren',
+  'notifications.close': 'Benachrichtigungsprotokoll schließen',
+  'notifications.dismiss': 'Schließen: {message}',
+  'notifications.repeat': '×{count}',
+  'notifications.queued': '+{count} IN WARTESCHLANGE',
+  'notifications.info': 'Info',
+  'notifications.success': 'Erfolg',
+  'notifications.warn': 'Warnung',
+  'notifications.error': 'Fehler',
+
+  // Validation (imports and shared links)
+  'validation.invalidJson': 'UNGÜLTIGE JSON-DATEI',
+  'validation.corruptLink': 'GETEILTER LINK IST BESCHÄDIGT',
+  'validation.corruptTheme': 'GETEILTES THEME IST BESCHÄDIGT',
+  'validation.configNotObject': 'KONFIGURATION MUSS EIN JSON-OBJEKT SEIN',
+  'validation.configVersion': 'NICHT UNTERSTÜTZTE KONFIGURATIONSVERSION v{version}',
+  'validation.packNotObject': 'SOUNDPAKET MUSS EIN JSON-OBJEKT SEIN',
+  'validation.unknownKey': 'UNBEKANNTER SCHLÜSSEL: {keys}',
+  'validation.unknownField': 'UNBEKANNTES FELD: {field}',
+  'validation.notObject': '{field} MUSS EIN OBJEKT SEIN',
+  'validation.wrongType': '{field} MUSS VOM TYP {type} SEIN',
+  'validation.required': '{field} IST ERFORDERLICH',
+  'validation.outOfRange': '{field} AUSSERHALB DES BEREICHS ({min}-{max})',
+  'validation.numberRange': '{field} MUSS EINE ZAHL VON {min} BIS {max} SEIN',
+  'validation.notOneOf': '{field} MUSS EINES VON {options} SEIN',
+  'validation.exceeds': '{field} DARF {limit} NICHT ÜBERSCHREITEN',
+  'validation.hexColour': '{field} MUSS #RRGGBB SEIN',
+  'validation.sceneColour': '{field} MUSS #RRGGBB ODER {theme} SEIN',
+  'validation.keyTwice': '{key} DOPPELT BELEGT',
+  'validation.oscOrNoise': '{field} BRAUCHT osc ODER noise',
+  'validation.noLayers': '{field} HAT KEINE EBENEN'
+};
@@ -0,0 +1,389 @@
+// English catalog: the reference locale every other catalog falls back to (see i18n.js)
+export default {
+  // Shared
+  'common.on': 'ON',
+  'common.off': 'OFF',
+  'common.notAvailable': 'N/A',
+  'common.unknown': 'UNKNOWN',
+  'common.supported': 'SUPPORTED',
+  'common.unsupported': 'UNSUPPORTED',
+  'common.yes': 'YES',
+  'common.no': 'NO',
+  'common.custom': 'Custom',
+  'common.auto': 'Auto ({value})',
+
+  // Boot
+  'boot.offline': 'SYSTEM OFFLINE',
+  'boot.initialize': 'TAP TO INITIALIZE NEURAL LINK',
+  'boot.sequence': 'SYSTEM_BOOT_SEQ',
+  'boot.progress': 'System boot',
+
+  // Header
+  'header.network': 'NET: {connection}',
+  'header.power': 'PWR: {level}',
+  'header.charging': '(CHRG)',
+  'header.unknownPlatform': 'UNKNOWN OS',
+
+  // Navigation
+  'nav.stats': 'Stats',
+  'nav.diagnostics': 'Diagnostics',
+  'nav.config': 'Config',
+
+  // Attributes (home view)
+  'home.title': 'Attributes',
+  'home.linkStatus': 'NEURAL LINK STATUS: STABLE',
+  'home.level': 'LVL {level}',
+  'home.node': '{attribute} NODE',
+  'home.nextThreshold': 'Next Threshold',
+  'home.xp': '{xp} XP',
+  'home.inject': 'Inject Code',
+  'home.points': {
+    one: '{count} POINT AVAILABLE',
+    other: '{count} POINTS AVAILABLE'
+  },
+  'home.attributeLevel': 'Attribute Level',
+  'home.allocate': 'Add a point to {attribute}',
+  'home.deallocate': 'Remove a pending point from {attribute}',
+  'home.effectValue': '+{value}',
+  'home.maxLevel': 'MAX LEVEL',
+  'home.confirmInject': {
+    one: 'COMMIT {count} POINT TO THE KERNEL?',
+    other: 'COMMIT {count} POINTS TO THE KERNEL?'
+  },
+  'home.confirmRespec': {
+    one: 'FLUSH ALL ATTRIBUTES AND REFUND {count} POINT?',
+    other: 'FLUSH ALL ATTRIBUTES AND REFUND {count} POINTS?'
+  },
+  'home.confirm': 'Confirm',
+  'home.abort': 'Abort',
+  'home.undo': 'Undo',
+  'home.respec': 'Respec',
+  'attributeInfo.reflex': 'Hardware interface protocol for the reflex subsystem. Shortens reaction time and sharpens the precision of every strike.',
+  'attributeInfo.intel': 'Cognitive co-processor bridge. Speeds up quickhack uploads and RAM recovery.',
+  'attributeInfo.body': 'Musculoskeletal reinforcement layer. Raises health capacity and physical resilience.',
+  'attributeInfo.tech': 'Cyberware integration bus. Improves crafting yields and hardware compatibility.',
+  'attributeInfo.cool': 'Neural dampening routines. Keeps the pulse steady for stealth and clean takedowns.',
+  'effects.critChance': 'Crit Chance',
+  'effects.ramRecovery': 'RAM Recovery',
+  'effects.maxHealth': 'Max Health',
+  'effects.craftingYield': 'Crafting Yield',
+  'effects.stealthDamage': 'Stealth Damage',
+  'attributes.reflex': 'Reflex',
+  'attributes.intel': 'Intel',
+  'attributes.body': 'Body',
+  'attributes.tech': 'Tech',
+  'attributes.cool': 'Cool',
+
+  // Diagnostics (device view)
+  'device.title': 'DEVICE_INTEL',
+  'device.storage': 'Storage Subsystem',
+  'device.storageUsed': 'USED: {usage}',
+  'device.storageTotal': '{quota} TOTAL',
+  'device.storagePending': 'CALCULATING...',
+  'device.display': 'Display Matrix',
+  'device.genericGpu': 'GENERIC DISPLAY ADAPTER',
+  'device.power': 'Power Core',
+  'device.charging': 'CHARGING',
+  'device.discharging': 'DISCHARGING',
+  'device.runtime': 'Runtime Metrics',
+  'device.close': 'Close Diagnostics',
+  'metrics.frameRate': 'Frame Rate',
+  'metrics.frameP50': 'Frame P50',
+  'metrics.frameP95': 'Frame P95',
+  'metrics.frameP99': 'Frame P99',
+  'metrics.mainThread': 'Main Thread',
+  'metrics.loopLag': 'Loop Lag',
+  'metrics.heap': 'JS Heap',
+  'metrics.deviceRam': 'Device RAM',
+  'metrics.cores': 'Logical Cores',
+  'metrics.coreCount': { one: '{count} core', other: '{count} cores' },
+  'metrics.renderQuality': 'Render Quality',
+  'metrics.qualityAdaptive': '{quality} ({level}/{max}) @ {fps} FPS',
+  'metrics.qualityFixed': '{quality} (FIXED)',
+  'device.graphics': 'Graphics Pipeline',
+  'device.displayInput': 'Display & Input',
+  'device.audioOutput': 'Audio Output',
+  'device.features': 'Platform Features',
+  'caps.webgl': 'WebGL',
+  'caps.webgl2': 'WebGL 2',
+  'caps.maxTexture': 'Max Texture',
+  'caps.maxRenderbuffer': 'Max Renderbuffer',
+  'caps.maxViewport': 'Max Viewport',
+  'caps.textureUnits': 'Texture Units',
+  'caps.vertexAttribs': 'Vertex Attribs',
+  'caps.extensionCount': 'Extensions',
+  'caps.extensions': {
+    one: 'SHOW {count} EXTENSION',
+    other: 'SHOW {count} EXTENSIONS'
+  },
+  'caps.pixelRatio': 'Pixel Ratio',
+  'caps.refreshRate': 'Refresh Rate',
+  'caps.refreshEstimate': '~{rate} Hz',
+  'caps.gamut': 'Colour Gamut',
+  'caps.dynamicRange': 'Dynamic Range',
+  'caps.hdr': 'HDR',
+  'caps.sdr': 'SDR',
+  'caps.colourDepth': 'Colour Depth',
+  'caps.colourBits': '{bits}-bit',
+  'caps.pointer': 'Pointer',
+  'caps.hover': 'Hover',
+  'caps.touchPoints': 'Touch Points',
+  'caps.sampleRate': 'Sample Rate',
+  'caps.baseLatency': 'Base Latency',
+  'caps.outputLatency': 'Output Latency',
+  'caps.channels': 'Channels',
+  'caps.audioIdle': 'AUDIO ENGINE IDLE // VALUES APPEAR ONCE SOUND HAS STARTED',
+  'caps.offscreenCanvas': 'OffscreenCanvas',
+  'caps.vibration': 'Vibration',
+  'caps.gamepad': 'Gamepad',
+  'caps.wakeLock': 'Wake Lock',
+  'pointerTypes.fine': 'FINE',
+  'pointerTypes.coarse': 'COARSE',
+  'pointerTypes.none': 'NONE',
+  'device.report': 'Diagnostics Report',
+  'report.hint': 'SNAPSHOT OF DEVICE DATA, SETTINGS AND RECENT ERRORS FOR BUG REPORTS',
+  'report.generate': 'Generate Report',
+  'report.regenerate': 'Regenerate Report',
+  'report.format': 'Format',
+  'reportFormats.json': 'JSON',
+  'reportFormats.text': 'Text',
+  'report.redact': 'REDACT IDENTIFYING FIELDS',
+  'report.preview': 'Report preview',
+  'report.copy': 'Copy Report',
+  'report.download': 'Download',
+
+  // Config view
+  'config.title': 'SYSTEM_CONFIG',
+  'config.language': 'Language',
+  'config.languageSelect': 'Interface Language',
+  'config.audio': 'Audio Output',
+  'config.musicVolume': 'Music Volume',
+  'config.effectsVolume': 'Effects Volume',
+  'config.musicMood': 'Music Mood',
+  'config.musicTempo': 'Music Tempo',
+  'config.soundPack': 'Sound Pack',
+  'config.auditionEvent': 'Audition Event',
+  'config.playEvent': 'Play Event',
+  'config.exportWav': 'Export WAV',
+  'config.loadPack': 'Load Pack JSON',
+  'config.graphics': 'Graphics Engine',
+  'config.qualityPreset': 'Quality Preset',
+  'config.motionBlur': 'MOTION BLUR',
+  'config.dof': 'DEPTH OF FIELD',
+  'config.chromatic': 'CHROMATIC ABERRATION',
+  'config.scanlines': 'SCANLINE OVERLAY',
+  'config.backgroundMode': 'Background Mode',
+  'config.sceneColour': 'Scene Colour',
+  'config.sceneDensity': 'Scene Density',
+  'config.sceneSpeed': 'Scene Speed',
+  'config.constellation': 'CONSTELLATION MODE',
+  'config.adaptiveQuality': 'ADAPTIVE QUALITY',
+  'config.targetFps': 'Target FPS',
+  'config.masterLevel': 'Master Level',
+  'config.dronePitch': 'Drone Pitch',
+  'config.particleCount': 'Particle Count',
+  'config.gridSpacing': 'Grid Spacing',
+  'config.qualityRange': 'Quality Range',
+  'config.statsInterval': 'Diagnostics Refresh',
+  'config.theme': 'Theme',
+  'config.palette': 'Palette',
+  'config.copyThemeLink': 'Copy Theme Link',
+  'config.accessibility': 'Accessibility',
+  'config.reducedMotion': 'Reduced Motion',
+  'config.muteDrone': 'SUPPRESS AMBIENT DRONE',
+  'config.motionReducedHint': 'MOTION REDUCED // BURSTS, PULSES, CHROMATIC AND SCANLINE EFFECTS SUPPRESSED',
+  'config.controls': 'Controls',
+  'config.pressKey': 'PRESS KEY...',
+  'config.controlsHint': 'CLICK A BINDING, THEN PRESS A KEY // ESC CANCELS // ARROWS, TAB, ENTER, SPACE ARE RESERVED',
+  'config.data': 'Data Transfer',
+  'config.exportJson': 'Export JSON',
+  'config.importJson': 'Import JSON',
+  'config.copyLink': 'Copy Link',
+  'config.shortcutsHint': "PRESS '{mute}' TO TOGGLE AUDIO MUTE // '{prev}' / '{next}' TO SWITCH TABS",
+  'config.unsaved': {
+    one: '{count} UNSAVED CHANGE // PREVIEW ACTIVE',
+    other: '{count} UNSAVED CHANGES // PREVIEW ACTIVE'
+  },
+  'config.discard': 'Discard',
+  'config.save': 'Save Changes',
+  'config.sceneParams': 'Scene Parameters',
+  'config.themeColours': 'Theme Colours',
+  'config.search': 'Search Settings',
+  'config.searchPlaceholder': 'FILTER BY NAME...',
+  'config.noMatches': 'NO SETTINGS MATCH "{query}"',
+  'config.requires': 'REQUIRES {setting}',
+  'config.dependsOn': 'DEPENDS ON {setting}',
+  'config.resetSection': 'Defaults',
+  'config.resetSectionLabel': 'Reset {section} to defaults',
+  'slider.minimum': '{label} minimum',
+  'slider.maximum': '{label} maximum',
+  'slider.edit': 'Type a value for {label}',
+  'controls.swatch': 'Set {label} to {colour}',
+  'controls.hexValue': '{label} hex value',
+  'controls.rebind': 'Rebind {label} (currently {key})',
+
+  // Setting descriptions (config view)
+  'settingHelp.locale': 'INTERFACE TEXT, NUMBER AND DATE FORMATS // AUTO FOLLOWS THE BROWSER',
+  'settingHelp.masterDb': 'OVERALL OUTPUT GAIN APPLIED AFTER MUSIC AND EFFECTS',
+  'settingHelp.musicVol': 'LEVEL OF THE GENERATED SOUNDTRACK',
+  'settingHelp.sfxVol': 'LEVEL OF INTERFACE CLICKS, ALERTS AND BURSTS',
+  'settingHelp.droneFreq': 'BASE PITCH OF THE AMBIENT DRONE',
+  'settingHelp.musicMood': 'SCALE AND PATTERN SET OF THE SOUNDTRACK',
+  'settingHelp.musicTempo': 'SOUNDTRACK SPEED IN BEATS PER MINUTE',
+  'settingHelp.soundPack': 'SAMPLE SET FOR INTERFACE SOUNDS // LOAD YOUR OWN BELOW',
+  'settingHelp.graphicsPreset': 'SETS EVERY GRAPHICS OPTION AT ONCE // EDITING ONE SWITCHES TO CUSTOM',
+  'settingHelp.motionBlur': 'FROSTED PANELS AND TEXT GLOW',
+  'settingHelp.dof': 'BLURS THE SCREEN EDGES BEHIND THE PANELS',
+  'settingHelp.chromatic': 'RGB SPLIT ON HEADINGS AND CONTROLS',
+  'settingHelp.scanlines': 'CRT LINE PATTERN OVER THE WHOLE SCREEN',
+  'settingHelp.particleCount': 'PARTICLES DRAWN BY THE BACKGROUND // REDUCED ON MOBILE',
+  'settingHelp.gridSpacing': 'DISTANCE BETWEEN BACKGROUND GRID LINES',
+  'settingHelp.backgroundMode': 'ANIMATED SCENE BEHIND THE INTERFACE',
+  'settingHelp.backgroundParams': 'COLOUR, DENSITY AND SPEED OF THE CURRENT SCENE // KEPT PER SCENE',
+  'settingHelp.constellation': 'LINKS NEARBY PARTICLES WITH LINES',
+  'settingHelp.qualityGovernor': 'LOWERS RENDER QUALITY WHEN THE FRAME RATE DROPS',
+  'settingHelp.targetFps': 'FRAME RATE THE ADAPTIVE QUALITY AIMS FOR',
+  'settingHelp.qualityRange': 'LOWEST AND HIGHEST LEVEL ADAPTIVE QUALITY MAY PICK',
+  'settingHelp.statsInterval': 'HOW OFTEN THE DIAGNOSTICS VIEW REFRESHES',
+  'settingHelp.theme': 'INTERFACE COLOUR SCHEME',
+  'settingHelp.customTheme': 'EDITING A COLOUR SWITCHES THE PALETTE TO CUSTOM',
+  'settingHelp.reducedMotion': 'SUPPRESSES ANIMATED EFFECTS // AUTO FOLLOWS THE SYSTEM SETTING',
+  'settingHelp.muteDrone': 'SILENCES THE AMBIENT DRONE, KEEPS MUSIC AND EFFECTS',
+  'settingHelp.keybindings': 'KEYBOARD SHORTCUTS FOR THE MAIN ACTIONS',
+
+  // Option labels
+  'moods.nightCity': 'Night City',
+  'moods.neonRain': 'Neon Rain',
+  'moods.corpo': 'Corpo',
+  'moods.off': 'Drone Only',
+  'soundEvents.click': 'Click',
+  'soundEvents.hover': 'Hover',
+  'soundEvents.toggleOn': 'Toggle On',
+  'soundEvents.toggleOff': 'Toggle Off',
+  'soundEvents.sliderTick': 'Slider Tick',
+  'soundEvents.navigate': 'Navigate',
+  'soundEvents.error': 'Error',
+  'soundEvents.bootComplete': 'Boot Complete',
+  'soundEvents.notifyInfo': 'Notify: Info',
+  'soundEvents.notifyWarn': 'Notify: Warning',
+  'soundEvents.notifySuccess': 'Notify: Success',
+  'presets.low': 'Low',
+  'presets.medium': 'Medium',
+  'presets.high': 'High',
+  'presets.ultra': 'Ultra',
+  'scenes.particles': 'Particles',
+  'scenes.rain': 'Digital Rain',
+  'scenes.synthwave': 'Synthwave',
+  'scenes.starfield': 'Starfield',
+  'colours.theme': 'Theme',
+  'colours.red': 'Red',
+  'colours.amber': 'Amber',
+  'colours.green': 'Green',
+  'colours.cyan': 'Cyan',
+  'colours.magenta': 'Magenta',
+  'colours.white': 'White',
+  'density.sparse': 'Sparse',
+  'density.normal': 'Normal',
+  'density.dense': 'Dense',
+  'density.max': 'Max',
+  'speed.slow': 'Slow',
+  'speed.normal': 'Normal',
+  'speed.fast': 'Fast',
+  'speed.hyper': 'Hyper',
+  'themes.arasaka': 'Arasaka Red',
+  'themes.netrunner': 'Netrunner Cyan',
+  'themes.militech': 'Militech Amber',
+  'themes.monochrome': 'Monochrome',
+  'themeColours.primary': 'Primary',
+  'themeColours.accent': 'Accent',
+  'themeColours.glow': 'Glow',
+  'themeColours.background': 'Background',
+  'themeColours.particle': 'Particles',
+  'keyActions.mute': 'Toggle Mute',
+  'keyActions.prevTab': 'Previous Tab',
+  'keyActions.nextTab': 'Next Tab',
+  'keyActions.openConfig': 'Open Config',
+  'keyActions.openDiagnostics': 'Open Diagnostics',
+  'keyActions.triggerBurst': 'Trigger Burst',
+  'keyActions.cyclePreset': 'Cycle Presets',
+
+  // Notifications
+  'toast.presetChanged': 'GRAPHICS PRESET: {preset}',
+  'toast.muted': 'AUDIO MUTED',
+  'toast.unmuted': 'AUDIO RESTORED',
+  'toast.keyReserved': '{key} IS RESERVED FOR NAVIGATION',
+  'toast.keyTaken': '{key} ALREADY BOUND TO {action}',
+  'toast.saved': 'SETTINGS SAVED',
+  'toast.saveFailed': 'SAVE FAILED: STORAGE UNAVAILABLE',
+  'toast.sectionReset': '{section} RESET TO DEFAULTS',
+  'toast.discarded': 'CHANGES DISCARDED',
+  'toast.exported': 'CONFIG EXPORTED',
+  'toast.imported': 'CONFIG IMPORTED // SAVE TO KEEP',
+  'toast.importFailed': 'IMPORT FAILED: {reason}',
+  'toast.packLoaded': 'SOUND PACK LOADED: {name}',
+  'toast.packSessionOnly': 'SOUND PACK LOADED FOR THIS SESSION ONLY: {name} // STORAGE UNAVAILABLE',
+  'toast.packRejected': 'PACK REJECTED: {reason}',
+  'toast.wavRendered': 'WAV RENDERED',
+  'toast.renderFailed': 'RENDER FAILED: {reason}',
+  'toast.themeLinkCopied': 'THEME LINK COPIED',
+  'toast.shareLinkCopied': 'SHARE LINK COPIED',
+  'toast.reportCopied': 'DIAGNOSTICS REPORT COPIED',
+  'toast.reportSaved': 'DIAGNOSTICS REPORT SAVED',
+  'toast.copyFailed': 'COPY FAILED: CLIPBOARD BLOCKED',
+  'toast.sharedRejected': 'SHARED CONFIG REJECTED: {reason}',
+  'toast.sharedThemeLoaded': 'SHARED THEME LOADED // SAVE TO KEEP',
+  'toast.sharedConfigLoaded': 'SHARED CONFIG LOADED // SAVE TO KEEP',
+  'toast.injected': {
+    one: '{count} POINT INJECTED',
+    other: '{count} POINTS INJECTED'
+  },
+  'toast.injectFailed': 'INJECTION FAILED: {reason}',
+  'toast.allocationNoPoints': 'NOT ENOUGH ATTRIBUTE POINTS',
+  'toast.allocationCapped': '{attribute} CAPPED AT {max}',
+  'toast.allocationInvalid': 'INVALID ALLOCATION: {attribute}',
+  'toast.respec': {
+    one: 'ATTRIBUTES FLUSHED // {count} POINT REFUNDED',
+    other: 'ATTRIBUTES FLUSHED // {count} POINTS REFUNDED'
+  },
+  'toast.undone': 'ALLOCATION REVERTED',
+  'toast.levelUp': 'LEVEL {level} REACHED // NEW ATTRIBUTE POINT',
+  'toast.batteryLow': 'POWER LOW: {level}% // CONNECT CHARGER',
+  'toast.offline': 'NETWORK LINK LOST // OFFLINE',
+  'toast.online': 'NETWORK LINK RESTORED',
+  'toast.audioUnavailable': 'AUDIO OFFLINE: {reason}',
+  'toast.unknownRoute': 'ROUTE NOT FOUND: {route} // REDIRECTED',
+  'notifications.toggle': 'Notification log ({count} unread)',
+  'notifications.history': 'Notification Log',
+  'notifications.empty': 'NO NOTIFICATIONS LOGGED',
+  'notifications.clear': 'Clear',
+  'notifications.close': 'Close notification log',
+  'notifications.dismiss': 'Dismiss: {message}',
+  'notifications.repeat': '×{count}',
+  'notifications.queued': '+{count} QUEUED',
+  'notifications.info': 'Info',
+  'notifications.success': 'Success',
+  'notifications.warn': 'Warning',
+  'notifications.error': 'Error',
+
+  // Validation (imports and shared links)
+  'validation.invalidJson': 'INVALID JSON FILE',
+  'validation.corruptLink': 'SHARED LINK IS CORRUPTED',
+  'validation.corruptTheme': 'SHARED THEME IS CORRUPTED',
+  'validation.configNotObject': 'CONFIG MUST BE A JSON OBJECT',
+  'validation.configVersion': 'UNSUPPORTED CONFIG VERSION v{version}',
+  'validation.packNotObject': 'SOUND PACK MUST BE A JSON OBJECT',
+  'validation.unknownKey': 'UNKNOWN KEY: {keys}',
+  'validation.unknownField': 'UNKNOWN FIELD: {field}',
+  'validation.notObject': '{field} MUST BE AN OBJECT',
+  'validation.wrongType': '{field} MUST BE {type}',
+  'validation.required': '{field} IS REQUIRED',
+  'validation.outOfRange': '{field} OUT OF RANGE ({min}-{max})',
+  'validation.numberRange': '{field} MUST BE A NUMBER {min}-{max}',
+  'validation.notOneOf': '{field} MUST BE ONE OF {options}',
+  'validation.exceeds': '{field} MUST NOT EXCEED {limit}',
+  'validation.hexColour': '{field} MUST BE #RRGGBB',
+  'validation.sceneColour': '{field} MUST BE #RRGGBB OR {theme}',
+  'validation.keyTwice': '{key} BOUND TWICE',
+  'validation.oscOrNoise': '{field} NEEDS AN osc OR noise',
+  'validation.noLayers': '{field} HAS NO LAYERS'
+};
@@ -0,0 +1,378 @@
+// Japanese catalog
+export default {
+  // Shared
+  'common.on': 'オン',
+  'common.off': 'オフ',
+  'common.notAvailable': '該当なし',
+  'common.unknown': '不明',
+  'common.supported': '対応',
+  'common.unsupported': '非対応',
+  'common.yes': 'はい',
+  'common.no': 'いいえ',
+  'common.custom': 'カスタム',
+  'common.auto': '自動（{value}）',
+
+  // Boot
+  'boot.offline': 'システム停止中',
+  'boot.initialize': 'タップしてニューラルリンクを起動',
+  'boot.sequence': 'システム起動シーケンス',
+  'boot.progress': 'システム起動',
+
+  // Header
+  'header.network': '回線: {connection}',
+  'header.power': '電源: {level}',
+  'header.charging': '（充電中）',
+  'header.unknownPlatform': '不明なOS',
+
+  // Navigation
+  'nav.stats': 'ステータス',
+  'nav.diagnostics': '診断',
+  'nav.config': '設定',
+
+  // Attributes (home view)
+  'home.title': '能力値',
+  'home.linkStatus': 'ニューラルリンク: 安定',
+  'home.level': 'LV {level}',
+  'home.node': '{attribute}ノード',
+  'home.nextThreshold': '次の閾値',
+  'home.xp': '{xp} XP',
+  'home.inject': 'コード注入',
+  'home.points': {
+    other: '割り振り可能 {count} ポイント'
+  },
+  'home.attributeLevel': '能力レベル',
+  'home.allocate': '{attribute}に1ポイント追加',
+  'home.deallocate': '{attribute}の保留ポイントを1つ戻す',
+  'home.effectValue': '+{value}',
+  'home.maxLevel': '最大レベル',
+  'home.confirmInject': {
+    other: '{count} ポイントをカーネルに書き込みますか？'
+  },
+  'home.confirmRespec': {
+    other: '全能力値をリセットして {count} ポイントを返還しますか？'
+  },
+  'home.confirm': '確定',
+  'home.abort': '中止',
+  'home.undo': '元に戻す',
+  'home.respec': '振り直し',
+  'attributeInfo.reflex': '反射神経サブシステム用のハードウェアインターフェースプロトコル。反応時間を短縮し、あらゆる攻撃の精度を高めます。',
+  'attributeInfo.intel': '認知コプロセッサーとのブリッジ。クイックハックのアップロードと RAM の回復を速めます。',
+  'attributeInfo.body': '筋骨格補強レイヤー。体力の上限と身体の耐久性を高めます。',
+  'attributeInfo.tech': 'サイバーウェア統合バス。クラフトの収量とハードウェア互換性を向上させます。',
+  'attributeInfo.cool': '神経抑制ルーチン。鼓動を落ち着かせ、ステルスと確実なテイクダウンを支えます。',
+  'effects.critChance': 'クリティカル率',
+  'effects.ramRecovery': 'RAM 回復',
+  'effects.maxHealth': '最大体力',
+  'effects.craftingYield': 'クラフト収量',
+  'effects.stealthDamage': 'ステルスダメージ',
+  'attributes.reflex': '反射神経',
+  'attributes.intel': '知力',
+  'attributes.body': '肉体',
+  'attributes.tech': '技術',
+  'attributes.cool': '冷静',
+
+  // Diagnostics (device view)
+  'device.title': 'デバイス情報',
+  'device.storage': 'ストレージ',
+  'device.storageUsed': '使用量: {usage}',
+  'device.storageTotal': '合計 {quota}',
+  'device.storagePending': '計算中...',
+  'device.display': 'ディスプレイ',
+  'device.genericGpu': '汎用ディスプレイアダプター',
+  'device.power': '電源コア',
+  'device.charging': '充電中',
+  'device.discharging': '放電中',
+  'device.runtime': 'ランタイム指標',
+  'device.close': '診断を閉じる',
+  'metrics.frameRate': 'フレームレート',
+  'metrics.frameP50': 'フレーム P50',
+  'metrics.frameP95': 'フレーム P95',
+  'metrics.frameP99': 'フレーム P99',
+  'metrics.mainThread': 'メインスレッド',
+  'metrics.loopLag': 'ループ遅延',
+  'metrics.heap': 'JS ヒープ',
+  'metrics.deviceRam': '搭載メモリ',
+  'metrics.cores': '論理コア',
+  'metrics.coreCount': { other: '{count} コア' },
+  'metrics.renderQuality': '描画品質',
+  'metrics.qualityAdaptive': '{quality}（{level}/{max}）@ {fps} FPS',
+  'metrics.qualityFixed': '{quality}（固定）',
+  'device.graphics': 'グラフィックパイプライン',
+  'device.displayInput': 'ディスプレイと入力',
+  'device.audioOutput': 'オーディオ出力',
+  'device.features': 'プラットフォーム機能',
+  'caps.webgl': 'WebGL',
+  'caps.webgl2': 'WebGL 2',
+  'caps.maxTexture': '最大テクスチャ',
+  'caps.maxRenderbuffer': '最大レンダーバッファ',
+  'caps.maxViewport': '最大ビューポート',
+  'caps.textureUnits': 'テクスチャユニット',
+  'caps.vertexAttribs': '頂点属性',
+  'caps.extensionCount': '拡張機能',
+  'caps.extensions': { other: '拡張機能 {count} 件を表示' },
+  'caps.pixelRatio': 'ピクセル比',
+  'caps.refreshRate': 'リフレッシュレート',
+  'caps.refreshEstimate': '約 {rate} Hz',
+  'caps.gamut': '色域',
+  'caps.dynamicRange': 'ダイナミックレンジ',
+  'caps.hdr': 'HDR',
+  'caps.sdr': 'SDR',
+  'caps.colourDepth': '色深度',
+  'caps.colourBits': '{bits} ビット',
+  'caps.pointer': 'ポインター',
+  'caps.hover': 'ホバー',
+  'caps.touchPoints': 'タッチポイント',
+  'caps.sampleRate': 'サンプルレート',
+  'caps.baseLatency': '基本レイテンシ',
+  'caps.outputLatency': '出力レイテンシ',
+  'caps.channels': 'チャンネル',
+  'caps.audioIdle': 'オーディオエンジン待機中 // 音が鳴ると値が表示されます',
+  'caps.offscreenCanvas': 'OffscreenCanvas',
+  'caps.vibration': 'バイブレーション',
+  'caps.gamepad': 'ゲームパッド',
+  'caps.wakeLock': 'Wake Lock',
+  'pointerTypes.fine': '精密',
+  'pointerTypes.coarse': '粗い',
+  'pointerTypes.none': 'なし',
+  'device.report': '診断レポート',
+  'report.hint': '不具合報告用のデバイス情報・設定・最近のエラーのスナップショット',
+  'report.generate': 'レポートを生成',
+  'report.regenerate': 'レポートを再生成',
+  'report.format': '形式',
+  'reportFormats.json': 'JSON',
+  'reportFormats.text': 'テキスト',
+  'report.redact': '個人を特定できる項目を伏せる',
+  'report.preview': 'レポートのプレビュー',
+  'report.copy': 'レポートをコピー',
+  'report.download': 'ダウンロード',
+
+  // Config view
+  'config.title': 'システム設定',
+  'config.language': '言語',
+  'config.languageSelect': '表示言語',
+  'config.audio': 'オーディオ出力',
+  'config.musicVolume': '音楽の音量',
+  'config.effectsVolume': '効果音の音量',
+  'config.musicMood': '音楽のムード',
+  'config.musicTempo': '音楽のテンポ',
+  'config.soundPack': 'サウンドパック',
+  'config.auditionEvent': '試聴するイベント',
+  'config.playEvent': '再生',
+  'config.exportWav': 'WAV を書き出す',
+  'config.loadPack': 'パック JSON を読み込む',
+  'config.graphics': 'グラフィックエンジン',
+  'config.qualityPreset': '品質プリセット',
+  'config.motionBlur': 'モーションブラー',
+  'config.dof': '被写界深度',
+  'config.chromatic': '色収差',
+  'config.scanlines': '走査線オーバーレイ',
+  'config.backgroundMode': '背景モード',
+  'config.sceneColour': 'シーンの色',
+  'config.sceneDensity': 'シーンの密度',
+  'config.sceneSpeed': 'シーンの速度',
+  'config.constellation': 'コンステレーションモード',
+  'config.adaptiveQuality': '品質の自動調整',
+  'config.targetFps': '目標 FPS',
+  'config.masterLevel': 'マスターレベル',
+  'config.dronePitch': 'ドローンの音程',
+  'config.particleCount': 'パーティクル数',
+  'config.gridSpacing': 'グリッド間隔',
+  'config.qualityRange': '品質の範囲',
+  'config.statsInterval': '診断の更新間隔',
+  'config.theme': 'テーマ',
+  'config.palette': 'パレット',
+  'config.copyThemeLink': 'テーマのリンクをコピー',
+  'config.accessibility': 'アクセシビリティ',
+  'config.reducedMotion': '視差効果を減らす',
+  'config.muteDrone': '環境ドローンを消音',
+  'config.motionReducedHint': 'モーション軽減中 // バースト、点滅、色収差、走査線を無効化',
+  'config.controls': '操作',
+  'config.pressKey': 'キーを押す...',
+  'config.controlsHint': '割り当てをクリックしてキーを押す // ESC で取消 // 矢印・TAB・ENTER・SPACE は予約済み',
+  'config.data': 'データ転送',
+  'config.exportJson': 'JSON を書き出す',
+  'config.importJson': 'JSON を読み込む',
+  'config.copyLink': 'リンクをコピー',
+  'config.shortcutsHint': "'{mute}' で消音の切替 // '{prev}' / '{next}' でタブ切替",
+  'config.unsaved': { other: '未保存の変更 {count} 件 // プレビュー中' },
+  'config.discard': '破棄',
+  'config.save': '変更を保存',
+  'config.sceneParams': 'シーンパラメータ',
+  'config.themeColours': 'テーマカラー',
+  'config.search': '設定を検索',
+  'config.searchPlaceholder': '名前で絞り込み...',
+  'config.noMatches': '「{query}」に一致する設定はありません',
+  'config.requires': '{setting} が必要',
+  'config.dependsOn': '{setting} に依存',
+  'config.resetSection': '初期設定',
+  'config.resetSectionLabel': '{section}を初期設定に戻す',
+  'slider.minimum': '{label}（最小）',
+  'slider.maximum': '{label}（最大）',
+  'slider.edit': '{label}の値を入力',
+  'controls.swatch': '{label}を {colour} に設定',
+  'controls.hexValue': '{label}の16進値',
+  'controls.rebind': '{label}を再割り当て（現在: {key}）',
+
+  // Setting descriptions (config view)
+  'settingHelp.locale': '表示言語と数値・日付の形式 // 自動はブラウザに従う',
+  'settingHelp.masterDb': '音楽と効果音の後にかかる全体の音量',
+  'settingHelp.musicVol': '生成されるサウンドトラックの音量',
+  'settingHelp.sfxVol': 'クリック・警告・バースト音の音量',
+  'settingHelp.droneFreq': '環境ドローンの基本ピッチ',
+  'settingHelp.musicMood': 'サウンドトラックの音階とパターン',
+  'settingHelp.musicTempo': 'サウンドトラックの速さ（BPM）',
+  'settingHelp.soundPack': 'UI効果音のサンプルセット // 下から独自パックを読み込み',
+  'settingHelp.graphicsPreset': 'すべてのグラフィック設定を一括変更 // 個別に変更するとカスタムになる',
+  'settingHelp.motionBlur': 'すりガラス風パネルと文字の発光',
+  'settingHelp.dof': 'パネル背後の画面端をぼかす',
+  'settingHelp.chromatic': '見出しと操作部のRGBずれ',
+  'settingHelp.scanlines': '画面全体にCRT走査線を重ねる',
+  'settingHelp.particleCount': '背景に描くパーティクル数 // モバイルでは削減',
+  'settingHelp.gridSpacing': '背景グリッド線の間隔',
+  'settingHelp.backgroundMode': 'インターフェース背後のアニメーション',
+  'settingHelp.backgroundParams': '現在のシーンの色・密度・速度 // シーンごとに保存',
+  'settingHelp.constellation': '近くのパーティクルを線で結ぶ',
+  'settingHelp.qualityGovernor': 'フレームレート低下時に描画品質を下げる',
+  'settingHelp.targetFps': '適応品質が目指すフレームレート',
+  'settingHelp.qualityRange': '適応品質が選べる最低・最高レベル',
+  'settingHelp.statsInterval': '診断ビューの更新間隔',
+  'settingHelp.theme': 'インターフェースの配色',
+  'settingHelp.customTheme': '色を変更するとパレットがカスタムになる',
+  'settingHelp.reducedMotion': 'アニメーション効果を抑制 // 自動はシステム設定に従う',
+  'settingHelp.muteDrone': '環境ドローンのみ消音し、音楽と効果音は残す',
+  'settingHelp.keybindings': '主な操作のキーボードショートカット',
+
+  // Option labels
+  'moods.nightCity': 'ナイトシティ',
+  'moods.neonRain': 'ネオンの雨',
+  'moods.corpo': 'コーポ',
+  'moods.off': 'ドローンのみ',
+  'soundEvents.click': 'クリック',
+  'soundEvents.hover': 'ホバー',
+  'soundEvents.toggleOn': 'オンに切替',
+  'soundEvents.toggleOff': 'オフに切替',
+  'soundEvents.sliderTick': 'スライダー',
+  'soundEvents.navigate': '画面遷移',
+  'soundEvents.error': 'エラー',
+  'soundEvents.bootComplete': '起動完了',
+  'soundEvents.notifyInfo': '通知: 情報',
+  'soundEvents.notifyWarn': '通知: 警告',
+  'soundEvents.notifySuccess': '通知: 成功',
+  'presets.low': '低',
+  'presets.medium': '中',
+  'presets.high': '高',
+  'presets.ultra': '最高',
+  'scenes.particles': 'パーティクル',
+  'scenes.rain': 'デジタルレイン',
+  'scenes.synthwave': 'シンセウェイブ',
+  'scenes.starfield': 'スターフィールド',
+  'colours.theme': 'テーマ',
+  'colours.red': '赤',
+  'colours.amber': '琥珀',
+  'colours.green': '緑',
+  'colours.cyan': 'シアン',
+  'colours.magenta': 'マゼンタ',
+  'colours.white': '白',
+  'density.sparse': '疎',
+  'density.normal': '標準',
+  'density.dense': '密',
+  'density.max': '最大',
+  'speed.slow': '遅い',
+  'speed.normal': '標準',
+  'speed.fast': '速い',
+  'speed.hyper': '超高速',
+  'themes.arasaka': 'アラサカ・レッド',
+  'themes.netrunner': 'ネットランナー・シアン',
+  'themes.militech': 'ミリテク・アンバー',
+  'themes.monochrome': 'モノクローム',
+  'themeColours.primary': 'メイン',
+  'themeColours.accent': 'アクセント',
+  'themeColours.glow': 'グロー',
+  'themeColours.background': '背景',
+  'themeColours.particle': 'パーティクル',
+  'keyActions.mute': '消音の切替',
+  'keyActions.prevTab': '前のタブ',
+  'keyActions.nextTab': '次のタブ',
+  'keyActions.openConfig': '設定を開く',
+  'keyActions.openDiagnostics': '診断を開く',
+  'keyActions.triggerBurst': 'バースト発動',
+  'keyActions.cyclePreset': 'プリセット切替',
+
+  // Notifications
+  'toast.presetChanged': 'グラフィック: {preset}',
+  'toast.muted': '消音しました',
+  'toast.unmuted': '音声を再開しました',
+  'toast.keyReserved': '{key} はナビゲーション用に予約されています',
+  'toast.keyTaken': '{key} は「{action}」に割り当て済みです',
+  'toast.saved': '設定を保存しました',
+  'toast.saveFailed': '保存失敗: ストレージを利用できません',
+  'toast.sectionReset': '{section}を初期設定に戻しました',
+  'toast.discarded': '変更を破棄しました',
+  'toast.exported': '設定を書き出しました',
+  'toast.imported': '設定を読み込みました // 保存して確定',
+  'toast.importFailed': '読み込み失敗: {reason}',
+  'toast.packLoaded': 'サウンドパックを読み込みました: {name}',
+  'toast.packSessionOnly': 'サウンドパックをこのセッションのみ読み込みました: {name} // ストレージを利用できません',
+  'toast.packRejected': 'パックを拒否しました: {reason}',
+  'toast.wavRendered': 'WAV を書き出しました',
+  'toast.renderFailed': 'レンダリング失敗: {reason}',
+  'toast.themeLinkCopied': 'テーマのリンクをコピーしました',
+  'toast.shareLinkCopied': '共有リンクをコピーしました',
+  'toast.reportCopied': '診断レポートをコピーしました',
+  'toast.reportSaved': '診断レポートを保存しました',
+  'toast.copyFailed': 'コピー失敗: クリップボードがブロックされています',
+  'toast.sharedRejected': '共有設定を拒否しました: {reason}',
+  'toast.sharedThemeLoaded': '共有テーマを読み込みました // 保存して確定',
+  'toast.sharedConfigLoaded': '共有設定を読み込みました // 保存して確定',
+  'toast.injected': {
+    other: '{count} ポイントを注入しました'
+  },
+  'toast.injectFailed': '注入失敗: {reason}',
+  'toast.allocationNoPoints': '属性ポイントが足りません',
+  'toast.allocationCapped': '{attribute}の上限は{max}です',
+  'toast.allocationInvalid': '無効な割り振り: {attribute}',
+  'toast.respec': {
+    other: '能力値をリセット // {count} ポイント返還'
+  },
+  'toast.undone': '割り振りを元に戻しました',
+  'toast.levelUp': 'レベル {level} に到達 // 能力ポイント獲得',
+  'toast.batteryLow': 'バッテリー残量低下: {level}% // 充電してください',
+  'toast.offline': 'ネットワーク切断 // オフライン',
+  'toast.online': 'ネットワーク接続が復旧しました',
+  'toast.audioUnavailable': 'オーディオ停止: {reason}',
+  'toast.unknownRoute': 'ルートが見つかりません: {route} // リダイレクトしました',
+  'notifications.toggle': '通知ログ（未読 {count} 件）',
+  'notifications.history': '通知ログ',
+  'notifications.empty': '通知はありません',
+  'notifications.clear': '消去',
+  'notifications.close': '通知ログを閉じる',
+  'notifications.dismiss': '閉じる: {message}',
+  'notifications.repeat': '×{count}',
+  'notifications.queued': '+{count} 件待機中',
+  'notifications.info': '情報',
+  'notifications.success': '成功',
+  'notifications.warn': '警告',
+  'notifications.error': 'エラー',
+
+  // Validation (imports and shared links)
+  'validation.invalidJson': '無効なJSONファイル',
+  'validation.corruptLink': '共有リンクが壊れています',
+  'validation.corruptTheme': '共有テーマが壊れています',
+  'validation.configNotObject': '設定はJSONオブジェクトである必要があります',
+  'validation.configVersion': '未対応の設定バージョン v{version}',
+  'validation.packNotObject': 'サウンドパックはJSONオブジェクトである必要があります',
+  'validation.unknownKey': '不明なキー: {keys}',
+  'validation.unknownField': '不明なフィールド: {field}',
+  'validation.notObject': '{field} はオブジェクトである必要があります',
+  'validation.wrongType': '{field} は {type} 型である必要があります',
+  'validation.required': '{field} は必須です',
+  'validation.outOfRange': '{field} が範囲外です ({min}-{max})',
+  'validation.numberRange': '{field} は {min}-{max} の数値である必要があります',
+  'validation.notOneOf': '{field} は {options} のいずれかである必要があります',
+  'validation.exceeds': '{field} は {limit} を超えてはいけません',
+  'validation.hexColour': '{field} は #RRGGBB である必要があります',
+  'validation.sceneColour': '{field} は #RRGGBB または {theme} である必要があります',
+  'validation.keyTwice': '{key} が二重に割り当てられています',
+  'validation.oscOrNoise': '{field} には osc または noise が必要です',
+  'validation.noLayers': '{field} にレイヤーがありません'
+};
@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { captureErrors } from './errorLog.js'
+
+// Start before the first render so errors during boot reach diagnostics reports
+captureErrors()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
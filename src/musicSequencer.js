@@ -0,0 +1,230 @@
+// --- GENERATIVE MUSIC SEQUENCER ---
+
+/**
+ * Moods define the harmonic material and timbre; everything else (density,
+ * percussion, filter brightness) is driven by the current intensity.
+ * `root` is a MIDI note, `scale` semitone offsets, `progression` scale degrees per bar.
+ * Mood names are catalog keys (`moods.<id>`).
+ */
+export const MUSIC_MOODS = {
+  nightCity: {
+    root: 45,
+    scale: [0, 2, 3, 5, 7, 8, 10],
+    progression: [0, 5, 3, 6],
+    bassWave: 'sawtooth',
+    padWave: 'sawtooth',
+    cutoff: 1400
+  },
+  neonRain: {
+    root: 50,
+    scale: [0, 2, 3, 5, 7, 9, 10],
+    progression: [0, 3, 4, 0],
+    bassWave: 'sine',
+    padWave: 'triangle',
+    cutoff: 900
+  },
+  corpo: {
+    root: 40,
+    scale: [0, 1, 3, 5, 7, 8, 10],
+    progression: [0, 1, 0, 6],
+    bassWave: 'sawtooth',
+    padWave: 'square',
+    cutoff: 1800
+  }
+};
+
+export const MUSIC_OFF = 'off';
+export const MUSIC_MOOD_IDS = [MUSIC_OFF, ...Object.keys(MUSIC_MOODS)];
+export const DEFAULT_MUSIC_MOOD = 'nightCity';
+export const DEFAULT_MUSIC_TEMPO = 90;
+
+const SEQ_CONFIG = {
+  LOOKAHEAD_MS: 25,
+  SCHEDULE_AHEAD: 0.12,
+  STEPS_PER_BAR: 16,
+  INTENSITY_SMOOTHING: 0.05,
+  ENVELOPE_FLOOR: 0.0001
+};
+
+const midiToFreq = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+/**
+ * Lookahead scheduler that plays bass, arpeggio, pad and noise percussion voices
+ * on the AudioContext clock, 16 steps per bar, into the given output node.
+ */
+export class MusicSequencer {
+  constructor(ctx, output) {
+    this.ctx = ctx;
+    this.output = output;
+    this.mood = MUSIC_MOODS[DEFAULT_MUSIC_MOOD];
+    this.tempo = DEFAULT_MUSIC_TEMPO;
+    this.intensity = 0.5;
+    this.targetIntensity = 0.5;
+    this.timer = null;
+    this.nextStepTime = 0;
+    this.step = 0;
+    this.bar = 0;
+    this.noiseBuffer = null;
+  }
+
+  get isPlaying() {
+    return this.timer !== null;
+  }
+
+  setMood(id) {
+    if (MUSIC_MOODS[id]) this.mood = MUSIC_MOODS[id];
+  }
+
+  setTempo(bpm) {
+    this.tempo = bpm;
+  }
+
+  /** 0 (sparse, dark) to 1 (dense, bright, percussive); approached gradually */
+  setIntensity(value) {
+    this.targetIntensity = Math.max(0, Math.min(1, value));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.step = 0;
+    this.bar = 0;
+    this.nextStepTime = this.ctx.currentTime + 0.05;
+    this.timer = setInterval(() => this.schedule(), SEQ_CONFIG.LOOKAHEAD_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get stepDuration() {
+    return 60 / this.tempo / 4;
+  }
+
+  /** Queue every step that falls inside the schedule-ahead window */
+  schedule() {
+    // Background tabs throttle the timer but not the audio clock; skip the missed steps
+    // (keeping the bar position) instead of firing them all at once in the past
+    const behind = this.ctx.currentTime - this.nextStepTime;
+    if (behind > 0) {
+      const missed = Math.ceil(behind / this.stepDuration);
+      this.nextStepTime += missed * this.stepDuration;
+      this.bar += Math.floor((this.step + missed) / SEQ_CONFIG.STEPS_PER_BAR);
+      this.step = (this.step + missed) % SEQ_CONFIG.STEPS_PER_BAR;
+    }
+    while (this.nextStepTime < this.ctx.currentTime + SEQ_CONFIG.SCHEDULE_AHEAD) {
+      this.playStep(this.step, this.nextStepTime);
+      this.nextStepTime += this.stepDuration;
+      this.step = (this.step + 1) % SEQ_CONFIG.STEPS_PER_BAR;
+      if (this.step === 0) this.bar++;
+    }
+  }
+
+  /** MIDI note for a scale degree (may exceed one octave) shifted by whole octaves */
+  noteFor(degree, octave = 0) {
+    const { root, scale } = this.mood;
+    const idx = ((degree % scale.length) + scale.length) % scale.length;
+    const oct = Math.floor(degree / scale.length) + octave;
+    return root + scale[idx] + 12 * oct;
+  }
+
+  playStep(step, time) {
+    this.intensity += (this.targetIntensity - this.intensity) * SEQ_CONFIG.INTENSITY_SMOOTHING;
+    const i = this.intensity;
+    const { mood } = this;
+    const stepDur = this.stepDuration;
+    const chord = mood.progression[this.bar % mood.progression.length];
+    const chordTones = [chord, chord + 2, chord + 4];
+
+    // Pad: the full chord swelling in at the top of each bar
+    if (step === 0) {
+      chordTones.forEach(degree => this.voice({
+        wave: mood.padWave, freq: midiToFreq(this.noteFor(degree, 1)), time,
+        attack: stepDur * 4, decay: stepDur * 12, gain: 0.025, cutoff: mood.cutoff * (0.4 + i * 0.4), q: 1
+      }));
+    }
+
+    // Bass pulse: half notes when calm, quarters and syncopation as intensity rises
+    const bassHit = step % 8 === 0 || (i > 0.6 && step % 4 === 0) || (i > 0.85 && step % 4 === 3 && Math.random() < 0.5);
+    if (bassHit) {
+      this.voice({
+        wave: mood.bassWave, freq: midiToFreq(this.noteFor(step === 8 && i > 0.5 ? chord + 4 : chord, -1)), time,
+        attack: 0.01, decay: stepDur * (i > 0.6 ? 3 : 7), gain: 0.18, cutoff: 300 + i * 500, q: 4
+      });
+    }
+
+    // Arpeggio: density and probability follow intensity
+    const arpEvery = i > 0.75 ? 1 : i > 0.4 ? 2 : 4;
+    if (step % arpEvery === 0 && Math.random() < 0.35 + i * 0.6) {
+      const degree = chordTones[Math.floor(Math.random() * chordTones.length)];
+      this.voice({
+        wave: mood.padWave, freq: midiToFreq(this.noteFor(degree, Math.random() < 0.3 ? 2 : 1)), time,
+        attack: 0.005, decay: stepDur * arpEvery * 1.5, gain: 0.04 + i * 0.03, cutoff: mood.cutoff * (0.6 + i), q: 6
+      });
+    }
+
+    // Percussion: kick, snare-ish noise and hats only once things get tense
+    if (step === 0 && i > 0.45) {
+      this.voice({ wave: 'sine', freq: 110, freqEnd: 40, time, attack: 0, decay: 0.25, gain: 0.25 * i });
+    }
+    if ((step === 4 || step === 12) && Math.random() < i) {
+      this.noiseHit({ time, type: 'bandpass', freq: 1800, decay: 0.12, gain: 0.1 * i });
+    }
+    if (step % 2 === 1 && Math.random() < (i - 0.5) * 1.6) {
+      this.noiseHit({ time, type: 'highpass', freq: 7000, decay: 0.03, gain: 0.04 });
+    }
+  }
+
+  voice({ wave, freq, freqEnd, time, attack, decay, gain, cutoff, q = 1 }) {
+    const osc = this.ctx.createOscillator();
+    const env = this.ctx.createGain();
+    const end = time + attack + decay;
+    osc.type = wave;
+    osc.frequency.setValueAtTime(freq, time);
+    if (freqEnd) osc.frequency.exponentialRampToValueAtTime(freqEnd, end);
+
+    if (attack > 0) {
+      env.gain.setValueAtTime(SEQ_CONFIG.ENVELOPE_FLOOR, time);
+      env.gain.linearRampToValueAtTime(gain, time + attack);
+    } else {
+      env.gain.setValueAtTime(gain, time);
+    }
+    env.gain.exponentialRampToValueAtTime(SEQ_CONFIG.ENVELOPE_FLOOR, end);
+
+    if (cutoff) {
+      const filter = this.ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = cutoff;
+      filter.Q.value = q;
+      osc.connect(filter);
+      filter.connect(env);
+    } else {
+      osc.connect(env);
+    }
+    env.connect(this.output);
+    osc.start(time);
+    osc.stop(end + 0.05);
+  }
+
+  noiseHit({ time, type, freq, decay, gain }) {
+    if (!this.noiseBuffer) {
+      const length = this.ctx.sampleRate * 0.5;
+      this.noiseBuffer = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+      const data = this.noiseBuffer.getChannelData(0);
+      for (let n = 0; n < length; n++) data[n] = Math.random() * 2 - 1;
+    }
+    const src = this.ctx.createBufferSource();
+    const filter = this.ctx.createBiquadFilter();
+    const env = this.ctx.createGain();
+    src.buffer = this.noiseBuffer;
+    filter.type = type;
+    filter.frequency.value = freq;
+    env.gain.setValueAtTime(gain, time);
+    env.gain.exponentialRampToValueAtTime(SEQ_CONFIG.ENVELOPE_FLOOR, time + decay);
+    src.connect(filter);
+    filter.connect(env);
+    env.connect(this.output);
+    src.start(time);
+    src.stop(time + decay + 0.05);
+  }
+}
@@ -0,0 +1,131 @@
+import { useSyncExternalStore } from 'react';
+
+// --- NOTIFICATIONS ---
+
+/**
+ * App-wide toast service. Anything can post, including modules outside React
+ * (AudioEngine, useSystemMonitor); App renders the stack and the history panel.
+ *
+ * A message is either a ready string or a catalog descriptor `{ key, params }`,
+ * translated when rendered so modules without the i18n context can still post.
+ */
+
+/** Per-type defaults: display time in ms (0 keeps the toast until dismissed) and the SOUND_EVENTS cue */
+export const NOTIFICATION_TYPES = {
+  info: { duration: 2500, sound: 'notifyInfo' },
+  success: { duration: 2500, sound: 'notifySuccess' },
+  warn: { duration: 4000, sound: 'notifyWarn' },
+  error: { duration: 5000, sound: 'error' }
+};
+
+export const MAX_VISIBLE_TOASTS = 3;
+const HISTORY_LIMIT = 50;
+
+const messageId = (message) => (typeof message === 'string' ? message : JSON.stringify(message));
+
+/**
+ * Queue + stack + history. Up to MAX_VISIBLE_TOASTS are shown at once and the rest wait
+ * in order. Posting a message that is already showing or queued (same `key` option, or
+ * same type and text) refreshes that toast in place instead of stacking a copy.
+ */
+export const createNotificationCentre = ({ now = Date.now } = {}) => {
+  let state = { toasts: [], queued: 0, history: [], unread: 0 };
+  let queue = [];
+  let nextId = 1;
+  let nextEntryId = 1;
+  const timers = new Map();
+  const subscribers = new Set();
+  const notifyListeners = new Set();
+
+  const emit = (patch) => {
+    state = { ...state, ...patch, queued: queue.length };
+    subscribers.forEach(subscriber => subscriber());
+  };
+
+  const schedule = (toast) => {
+    clearTimeout(timers.get(toast.id));
+    timers.delete(toast.id);
+    if (toast.duration > 0) timers.set(toast.id, setTimeout(() => dismiss(toast.id), toast.duration));
+  };
+
+  const promote = (toasts) => {
+    const next = [...toasts];
+    while (next.length < MAX_VISIBLE_TOASTS && queue.length) {
+      const toast = queue.shift();
+      next.push(toast);
+      schedule(toast);
+    }
+    return next;
+  };
+
+  const dismiss = (id) => {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    queue = queue.filter(toast => toast.id !== id);
+    emit({ toasts: promote(state.toasts.filter(toast => toast.id !== id)) });
+  };
+
+  /**
+   * Post a notification. Options: `type` (NOTIFICATION_TYPES id), `duration` (ms, 0 = sticky)
+   * and `key` to make later posts with the same key replace this one. Returns the toast id.
+   */
+  const notify = (message, { type = 'info', duration, key } = {}) => {
+    const kind = NOTIFICATION_TYPES[type] ? type : 'info';
+    const dedupeKey = key ?? `${kind}:${messageId(message)}`;
+    const fields = { message, type: kind, duration: duration ?? NOTIFICATION_TYPES[kind].duration, time: now() };
+    notifyListeners.forEach(listener => listener(fields));
+
+    const last = state.history[0];
+    const history = last && last.dedupeKey === dedupeKey && messageId(last.message) === messageId(message)
+      ? [{ ...last, ...fields, count: last.count + 1 }, ...state.history.slice(1)]
+      : [{ id: nextEntryId++, dedupeKey, ...fields, count: 1 }, ...state.history].slice(0, HISTORY_LIMIT);
+    const unread = state.unread + 1;
+
+    // A repeat bumps the count; a different message under the same key starts over
+    const recount = (toast) => (messageId(toast.message) === messageId(message) ? toast.count + 1 : 1);
+    const visible = state.toasts.find(toast => toast.dedupeKey === dedupeKey);
+    if (visible) {
+      const updated = { ...visible, ...fields, count: recount(visible) };
+      schedule(updated);
+      emit({ toasts: state.toasts.map(toast => (toast.id === visible.id ? updated : toast)), history, unread });
+      return visible.id;
+    }
+    const waiting = queue.find(toast => toast.dedupeKey === dedupeKey);
+    if (waiting) {
+      Object.assign(waiting, fields, { count: recount(waiting) });
+      emit({ history, unread });
+      return waiting.id;
+    }
+
+    const toast = { id: nextId++, dedupeKey, ...fields, count: 1 };
+    queue.push(toast);
+    emit({ toasts: promote(state.toasts), history, unread });
+    return toast.id;
+  };
+
+  const clearHistory = () => emit({ history: [], unread: 0 });
+  const markRead = () => {
+    if (state.unread) emit({ unread: 0 });
+  };
+
+  const subscribe = (subscriber) => {
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  };
+
+  /** Called with `{ message, type, duration, time }` for every post, e.g. to play its sound. Returns an unsubscribe function. */
+  const onNotify = (listener) => {
+    notifyListeners.add(listener);
+    return () => notifyListeners.delete(listener);
+  };
+
+  const getSnapshot = () => state;
+
+  return { notify, dismiss, clearHistory, markRead, subscribe, onNotify, getSnapshot };
+};
+
+/** The shared centre every module posts to */
+export const notifications = createNotificationCentre();
+
+/** `{ toasts, queued, history, unread }` from the shared centre */
+export const useNotifications = () => useSyncExternalStore(notifications.subscribe, notifications.getSnapshot);
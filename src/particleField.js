@@ -0,0 +1,212 @@
+import { createSpatialHash } from './spatialHash.js';
+import { toRgba } from './colour.js';
+
+// --- PARTICLE SCENE ---
+
+/**
+ * The original red particle field with its background grid, as a background scene
+ * (see backgroundScenes.js). Positions are in CSS pixels.
+ */
+
+const BURST_PARTICLES = 50;
+const BURST_DURATION_MS = 2000;
+
+// Constellation mode: link lines plus light flocking between particles closer than LINK_DISTANCE
+const CONSTELLATION = {
+  LINK_DISTANCE: 110,
+  LINK_ALPHA: 0.25,
+  ALPHA_STEPS: 4,
+  SEPARATION_DISTANCE: 24,
+  SEPARATION_FORCE: 0.06,
+  COHESION_FORCE: 0.0006,
+  ALIGNMENT: 0.01
+};
+
+// Factory function to create a particle class with closure over field/style/ctx.
+// `field` holds the viewport size and pointer; `style` the scene colour, speed and repulsion radius.
+export const createParticleClass = (field, style, ctx) => {
+  return class Particle {
+    constructor(isBurst = false) {
+      this.x = 0;
+      this.y = 0;
+      this.vx = 0;
+      this.vy = 0;
+      this.size = 0;
+      this.alpha = 0;
+      this.reset(isBurst);
+    }
+
+    reset(isBurst = false) {
+      if (isBurst) {
+        this.x = field.width / 2;
+        this.y = field.height / 2;
+        const angle = Math.random() * Math.PI * 2;
+        const speed = Math.random() * 15 + 5;
+        this.vx = Math.cos(angle) * speed;
+        this.vy = Math.sin(angle) * speed;
+      } else {
+        this.x = Math.random() * field.width;
+        this.y = Math.random() * field.height;
+        this.vx = (Math.random() - 0.5) * 0.5;
+        this.vy = (Math.random() - 0.5) * 0.5;
+      }
+      this.size = Math.random() * 2 + 0.5;
+      this.alpha = Math.random() * 0.5 + 0.1;
+    }
+
+    update() {
+      this.x += this.vx * style.speed;
+      this.y += this.vy * style.speed;
+
+      if (field.pointer.active) {
+        const dx = this.x - field.pointer.x;
+        const dy = this.y - field.pointer.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const maxDist = style.repulsionRadius;
+        if (dist < maxDist && dist > 0) {
+          const force = (maxDist - dist) / maxDist;
+          this.vx += (dx / dist) * force * 0.4;
+          this.vy += (dy / dist) * force * 0.4;
+        }
+      }
+
+      this.vx *= 0.96;
+      this.vy *= 0.96;
+
+      if (this.x < 0) this.x = field.width;
+      if (this.x > field.width) this.x = 0;
+      if (this.y < 0) this.y = field.height;
+      if (this.y > field.height) this.y = 0;
+    }
+
+    draw() {
+      ctx.fillStyle = toRgba(style.colour, this.alpha);
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  };
+};
+
+const drawGrid = (ctx, width, height, spacing, colour) => {
+  ctx.strokeStyle = toRgba(colour, 0.03);
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for(let x = 0; x < width; x += spacing) { ctx.moveTo(x, 0); ctx.lineTo(x, height); }
+  for(let y = 0; y < height; y += spacing) { ctx.moveTo(0, y); ctx.lineTo(width, y); }
+  ctx.stroke();
+};
+
+/** Symmetric separation/cohesion/alignment for one nearby pair; `dx`/`dy` point from a to b */
+const applyFlocking = (a, b, dx, dy, dist) => {
+  const push = dist < CONSTELLATION.SEPARATION_DISTANCE
+    ? -((CONSTELLATION.SEPARATION_DISTANCE - dist) / CONSTELLATION.SEPARATION_DISTANCE) * CONSTELLATION.SEPARATION_FORCE
+    : CONSTELLATION.COHESION_FORCE;
+  const fx = (dx / dist) * push + (b.vx - a.vx) * CONSTELLATION.ALIGNMENT;
+  const fy = (dy / dist) * push + (b.vy - a.vy) * CONSTELLATION.ALIGNMENT;
+  a.vx += fx;
+  a.vy += fy;
+  b.vx -= fx;
+  b.vy -= fy;
+};
+
+/**
+ * Particle scene. `createLayer(width, height)` returns a canvas for the pre-rendered
+ * grid (OffscreenCanvas in the worker, a detached <canvas> on the main thread).
+ */
+export const createParticleScene = (ctx, field, createLayer) => {
+  const style = { colour: '#dc2626', speed: 1, repulsionRadius: 0 };
+  const Particle = createParticleClass(field, style, ctx);
+  const particles = [];
+  let config = null;
+  let count = 0;
+  let gridLayer = null;
+  let burstUntil = 0;
+  const hash = createSpatialHash(CONSTELLATION.LINK_DISTANCE);
+  // Link segments bucketed by alpha so each bucket is stroked in one path
+  const linkBuckets = Array.from({ length: CONSTELLATION.ALPHA_STEPS }, () => []);
+
+  const drawConstellation = () => {
+    hash.rebuild(particles, field.width, field.height);
+    linkBuckets.forEach(bucket => { bucket.length = 0; });
+    hash.forEachNearbyPair((a, b) => {
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist >= CONSTELLATION.LINK_DISTANCE || dist === 0) return;
+      applyFlocking(a, b, dx, dy, dist);
+      const strength = 1 - dist / CONSTELLATION.LINK_DISTANCE;
+      linkBuckets[Math.min(CONSTELLATION.ALPHA_STEPS - 1, Math.floor(strength * CONSTELLATION.ALPHA_STEPS))].push(a, b);
+    });
+
+    ctx.lineWidth = 1;
+    linkBuckets.forEach((bucket, step) => {
+      if (bucket.length === 0) return;
+      ctx.strokeStyle = toRgba(style.colour, ((step + 1) / CONSTELLATION.ALPHA_STEPS) * CONSTELLATION.LINK_ALPHA);
+      ctx.beginPath();
+      for (let i = 0; i < bucket.length; i += 2) {
+        ctx.moveTo(bucket[i].x, bucket[i].y);
+        ctx.lineTo(bucket[i + 1].x, bucket[i + 1].y);
+      }
+      ctx.stroke();
+    });
+  };
+
+  // 'cached' grids are drawn once per layout into an offscreen layer and blitted each frame
+  const buildGridLayer = () => {
+    gridLayer = null;
+    const scale = config.quality.resolutionScale;
+    const width = Math.round(field.width * scale);
+    const height = Math.round(field.height * scale);
+    if (config.quality.grid !== 'cached' || width === 0 || height === 0) return;
+    gridLayer = createLayer(width, height);
+    const gridCtx = gridLayer.getContext('2d');
+    gridCtx.setTransform(scale, 0, 0, scale, 0, 0);
+    drawGrid(gridCtx, field.width, field.height, config.gridSpacing, style.colour);
+  };
+
+  return {
+    /** `count` is the preset budget before density; `quality` is a QUALITY_LEVELS entry */
+    configure(next) {
+      config = next;
+      style.colour = next.params.colour;
+      style.speed = next.params.speed;
+      style.repulsionRadius = next.quality.repulsionRadius;
+      count = Math.round(next.count * next.params.density);
+      buildGridLayer();
+      if (particles.length > count) particles.splice(count);
+      while (particles.length < count) particles.push(new Particle());
+    },
+
+    layout() {
+      buildGridLayer();
+    },
+
+    burst() {
+      for (let i = 0; i < BURST_PARTICLES; i++) particles.push(new Particle(true));
+      burstUntil = performance.now() + BURST_DURATION_MS;
+    },
+
+    frame() {
+      if (burstUntil && performance.now() >= burstUntil) {
+        burstUntil = 0;
+        particles.splice(count);
+      }
+
+      ctx.clearRect(0, 0, field.width, field.height);
+      if (config.constellation) {
+        particles.forEach(p => p.update());
+        drawConstellation();
+        particles.forEach(p => p.draw());
+      } else {
+        particles.forEach(p => { p.update(); p.draw(); });
+      }
+
+      if (config.quality.grid === 'live') {
+        drawGrid(ctx, field.width, field.height, config.gridSpacing, style.colour);
+      } else if (gridLayer) {
+        ctx.drawImage(gridLayer, 0, 0, field.width, field.height);
+      }
+    }
+  };
+};
@@ -0,0 +1,106 @@
+import { createBackgroundField, handleFieldMessage, runAnimationLoop } from './backgroundField.js';
+
+// --- PARTICLE RENDERER ---
+
+/** Worker rendering needs both Web Workers and canvas.transferControlToOffscreen */
+export const supportsOffscreenRendering = () =>
+  typeof Worker !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+
+const createCanvas = (host) => {
+  const canvas = document.createElement('canvas');
+  canvas.className = 'block w-full h-full';
+  host.appendChild(canvas);
+  return canvas;
+};
+
+const startWorkerBackend = (canvas, onError, onFrameTime) => {
+  const offscreen = canvas.transferControlToOffscreen();
+  const worker = new Worker(new URL('./particleWorker.js', import.meta.url), { type: 'module' });
+  worker.addEventListener('error', onError);
+  worker.addEventListener('message', ({ data }) => {
+    if (data.type === 'frameTime') onFrameTime(data.dt);
+  });
+  worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+  return {
+    post: (message) => worker.postMessage(message),
+    dispose: () => worker.terminate()
+  };
+};
+
+const startMainThreadBackend = (canvas, onFrameTime) => {
+  const field = createBackgroundField(canvas, (width, height) => {
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    return layer;
+  });
+  const stop = runAnimationLoop(() => field.frame(), onFrameTime);
+  return {
+    post: (message) => handleFieldMessage(field, message),
+    dispose: stop
+  };
+};
+
+/**
+ * Mount a background canvas into `host`. The scene is simulated and drawn in a worker
+ * when OffscreenCanvas is available, otherwise on the main thread; callers post the
+ * same messages either way (see handleFieldMessage).
+ *
+ * A transferred canvas can't be reclaimed, so if the worker fails a fresh canvas is
+ * mounted on the main thread and the last resize/config messages are replayed into it.
+ *
+ * `onFrameTime` listeners get the frame deltas of whichever loop draws the scene, so a worker
+ * that falls behind is seen even while the main thread runs at full rate.
+ */
+export const createParticleRenderer = (host) => {
+  const latest = {};
+  let canvas = null;
+  let backend = null;
+  let mode = null;
+  const frameListeners = new Set();
+  const emitFrameTime = (dt) => frameListeners.forEach(listener => listener(dt));
+
+  const startMainThread = () => {
+    backend?.dispose();
+    canvas?.remove();
+    canvas = createCanvas(host);
+    backend = startMainThreadBackend(canvas, emitFrameTime);
+    mode = 'main';
+    Object.values(latest).forEach(message => backend.post(message));
+  };
+
+  if (supportsOffscreenRendering()) {
+    try {
+      canvas = createCanvas(host);
+      backend = startWorkerBackend(canvas, startMainThread, emitFrameTime);
+      mode = 'worker';
+    } catch {
+      backend = null;
+      startMainThread();
+    }
+  } else {
+    startMainThread();
+  }
+
+  return {
+    /** 'worker' or 'main' */
+    get mode() {
+      return mode;
+    },
+    /** Subscribe to frame deltas (ms) of the drawing loop. Returns an unsubscribe function. */
+    onFrameTime(listener) {
+      frameListeners.add(listener);
+      return () => frameListeners.delete(listener);
+    },
+    post(message) {
+      if (message.type === 'resize' || message.type === 'config') latest[message.type] = message;
+      backend.post(message);
+    },
+    dispose() {
+      backend.dispose();
+      canvas.remove();
+    }
+  };
+};
@@ -0,0 +1,16 @@
+import { createBackgroundField, handleFieldMessage, runAnimationLoop } from './backgroundField.js';
+
+// --- PARTICLE WORKER ---
+// Owns the transferred OffscreenCanvas; the main thread only posts input and config messages,
+// and gets `{ type: 'frameTime', dt }` back for every frame drawn here.
+
+let field = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') {
+    field = createBackgroundField(data.canvas, (width, height) => new OffscreenCanvas(width, height));
+    runAnimationLoop(() => field.frame(), dt => self.postMessage({ type: 'frameTime', dt }));
+    return;
+  }
+  if (field) handleFieldMessage(field, data);
+};
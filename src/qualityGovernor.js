@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react';
+import { runtimeMetrics, percentile } from './runtimeMetrics.js';
+
+// --- ADAPTIVE QUALITY GOVERNOR ---
+
+/**
+ * Render quality steps for ParticleBackground, lowest first.
+ *   particleScale    - multiplier on the preset's particle count
+ *   grid             - 'live' strokes every frame, 'cached' blits a pre-rendered layer, 'off' skips it
+ *   repulsionRadius  - pointer repulsion distance (px); fewer particles get touched when smaller
+ *   resolutionScale  - canvas backing-store scale relative to CSS pixels
+ */
+export const QUALITY_LEVELS = [
+  { label: 'MIN', particleScale: 0.25, grid: 'off', repulsionRadius: 120, resolutionScale: 0.5 },
+  { label: 'LOW', particleScale: 0.5, grid: 'cached', repulsionRadius: 160, resolutionScale: 0.75 },
+  { label: 'MED', particleScale: 0.75, grid: 'cached', repulsionRadius: 200, resolutionScale: 1 },
+  { label: 'HIGH', particleScale: 1, grid: 'live', repulsionRadius: 250, resolutionScale: 1 }
+];
+
+export const MAX_QUALITY_LEVEL = QUALITY_LEVELS.length - 1;
+export const TARGET_FPS_OPTIONS = [30, 60, 120];
+
+const GOVERNOR_CONFIG = {
+  WINDOW_FRAMES: 60,
+  DOWNGRADE_RATIO: 1.15,
+  UPGRADE_RATIO: 0.8,
+  DOWNGRADE_WINDOWS: 2,
+  UPGRADE_WINDOWS: 4,
+  COOLDOWN_WINDOWS: 2,
+  VSYNC_PERCENTILE: 5,
+  VSYNC_TOLERANCE: 1.05,
+  // Displays below 60 Hz are rare, so frames never faster than this mean a slow device, not a slow display
+  SLOWEST_VSYNC_MS: 1000 / 60
+};
+
+/**
+ * Pure step-by-step governor. Feed it frame deltas (ms); it evaluates one window
+ * at a time and returns the new level index when it decides to move.
+ *
+ * Hysteresis: dropping needs DOWNGRADE_WINDOWS consecutive slow windows, rising needs
+ * UPGRADE_WINDOWS consecutive fast ones, and every change is followed by a cooldown.
+ * The frame budget is capped at the observed vsync interval (fastest frames seen, never
+ * assumed slower than 60 Hz) so a 120 FPS target on a 60 Hz display doesn't drive quality to the floor.
+ */
+export const createQualityGovernor = ({ targetFps, level = MAX_QUALITY_LEVEL, minLevel = 0, maxLevel = MAX_QUALITY_LEVEL }) => {
+  let current = Math.min(maxLevel, Math.max(minLevel, level));
+  let samples = [];
+  let slow = 0;
+  let fast = 0;
+  let cooldown = 0;
+  let vsync = GOVERNOR_CONFIG.SLOWEST_VSYNC_MS;
+
+  const evaluate = () => {
+    const sorted = [...samples].sort((a, b) => a - b);
+    samples = [];
+    vsync = Math.min(vsync, percentile(sorted, GOVERNOR_CONFIG.VSYNC_PERCENTILE));
+    const budget = Math.max(1000 / targetFps, vsync);
+    const typical = percentile(sorted, 50);
+
+    if (cooldown > 0) {
+      cooldown--;
+      return null;
+    }
+
+    slow = typical > budget * GOVERNOR_CONFIG.DOWNGRADE_RATIO ? slow + 1 : 0;
+    // Frames pinned to vsync leave no measurable headroom, so count them as fast too
+    const pinned = typical <= vsync * GOVERNOR_CONFIG.VSYNC_TOLERANCE;
+    fast = typical < budget * GOVERNOR_CONFIG.UPGRADE_RATIO || pinned ? fast + 1 : 0;
+
+    if (slow >= GOVERNOR_CONFIG.DOWNGRADE_WINDOWS && current > minLevel) {
+      current--;
+    } else if (fast >= GOVERNOR_CONFIG.UPGRADE_WINDOWS && current < maxLevel) {
+      current++;
+    } else {
+      return null;
+    }
+    slow = 0;
+    fast = 0;
+    cooldown = GOVERNOR_CONFIG.COOLDOWN_WINDOWS;
+    return current;
+  };
+
+  return {
+    get level() {
+      return current;
+    },
+    /** Record one frame delta; returns the new level index on change, otherwise null */
+    feed(dt) {
+      samples.push(dt);
+      return samples.length >= GOVERNOR_CONFIG.WINDOW_FRAMES ? evaluate() : null;
+    }
+  };
+};
+
+/**
+ * Run the governor while `enabled`, moving only between `minLevel` and `maxLevel`. Returns the
+ * active level index; pinned to `maxLevel` when disabled. Frames come from `frameSource` (anything
+ * with `onFrameTime`, such as a worker particle renderer) or, when none is given, the shared
+ * main-thread sampler.
+ */
+export const useQualityGovernor = (enabled, targetFps, { minLevel = 0, maxLevel = MAX_QUALITY_LEVEL, frameSource = null } = {}) => {
+  const [level, setLevel] = useState(MAX_QUALITY_LEVEL);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const governor = createQualityGovernor({ targetFps, minLevel, maxLevel });
+    const source = frameSource ?? runtimeMetrics;
+    if (source === runtimeMetrics) runtimeMetrics.start();
+    const unsubscribe = source.onFrameTime(dt => {
+      const next = governor.feed(dt);
+      if (next !== null) setLevel(next);
+    });
+    return () => {
+      unsubscribe();
+      if (source === runtimeMetrics) runtimeMetrics.stop();
+      setLevel(MAX_QUALITY_LEVEL);
+    };
+  }, [enabled, targetFps, minLevel, maxLevel, frameSource]);
+
+  return enabled ? Math.min(maxLevel, Math.max(minLevel, level)) : maxLevel;
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_QUALITY_LEVEL, createQualityGovernor } from './qualityGovernor.js';
+
+const WINDOW = 60;
+const VSYNC_60 = 1000 / 60;
+
+/** Feed `windows` windows of `dt` frames; returns the level reported after each window (null = no change) */
+const feedWindows = (governor, windows, dt) =>
+  Array.from({ length: windows }, () => {
+    let result = null;
+    for (let i = 0; i < WINDOW; i++) result = governor.feed(dt);
+    return result;
+  });
+
+describe('createQualityGovernor', () => {
+  it('drops one level after two consecutive slow windows', () => {
+    const governor = createQualityGovernor({ targetFps: 60 });
+    expect(feedWindows(governor, 2, 25)).toEqual([null, MAX_QUALITY_LEVEL - 1]);
+    expect(governor.level).toBe(MAX_QUALITY_LEVEL - 1);
+  });
+
+  it('ignores a single slow window', () => {
+    const governor = createQualityGovernor({ targetFps: 60 });
+    feedWindows(governor, 1, 25);
+    expect(feedWindows(governor, 1, VSYNC_60)).toEqual([null]);
+    expect(feedWindows(governor, 1, 25)).toEqual([null]);
+    expect(governor.level).toBe(MAX_QUALITY_LEVEL);
+  });
+
+  it('waits out the cooldown before changing again', () => {
+    const governor = createQualityGovernor({ targetFps: 60 });
+    feedWindows(governor, 2, 25);
+    // Two cooldown windows, then two more slow ones to count
+    expect(feedWindows(governor, 4, 25)).toEqual([null, null, null, MAX_QUALITY_LEVEL - 2]);
+  });
+
+  it('rises one level after four fast windows', () => {
+    const governor = createQualityGovernor({ targetFps: 60, level: 0 });
+    expect(feedWindows(governor, 4, VSYNC_60)).toEqual([null, null, null, 1]);
+  });
+
+  it('stays within the allowed levels', () => {
+    const floored = createQualityGovernor({ targetFps: 60, level: 1, minLevel: 1 });
+    expect(feedWindows(floored, 8, 40).every(result => result === null)).toBe(true);
+    expect(floored.level).toBe(1);
+
+    const capped = createQualityGovernor({ targetFps: 60, level: 2, maxLevel: 2 });
+    expect(feedWindows(capped, 8, VSYNC_60).every(result => result === null)).toBe(true);
+    expect(capped.level).toBe(2);
+  });
+
+  it('holds quality at a 120 FPS target on a 60 Hz display', () => {
+    const governor = createQualityGovernor({ targetFps: 120 });
+    expect(feedWindows(governor, 10, VSYNC_60).every(result => result === null)).toBe(true);
+    expect(governor.level).toBe(MAX_QUALITY_LEVEL);
+  });
+
+  it('still drops at a 120 FPS target when frames miss the 60 Hz vsync', () => {
+    const governor = createQualityGovernor({ targetFps: 120 });
+    feedWindows(governor, 1, VSYNC_60);
+    expect(feedWindows(governor, 2, 25)).toEqual([null, MAX_QUALITY_LEVEL - 1]);
+  });
+});
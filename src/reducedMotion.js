@@ -0,0 +1,29 @@
+import { useSyncExternalStore } from 'react';
+
+// --- REDUCED MOTION ---
+
+/** `auto` follows the OS `prefers-reduced-motion` setting; `on`/`off` override it */
+export const REDUCED_MOTION_MODES = ['auto', 'on', 'off'];
+export const DEFAULT_REDUCED_MOTION = 'auto';
+
+/** Background scene speed multiplier while reduced motion is active */
+export const REDUCED_MOTION_SPEED = 0.1;
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+const getMediaQuery = () => (typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(QUERY) : null);
+
+const subscribe = (onChange) => {
+  const media = getMediaQuery();
+  media?.addEventListener('change', onChange);
+  return () => media?.removeEventListener('change', onChange);
+};
+
+const getSnapshot = () => Boolean(getMediaQuery()?.matches);
+
+/** Live value of the OS reduced-motion preference */
+export const usePrefersReducedMotion = () => useSyncExternalStore(subscribe, getSnapshot, () => false);
+
+/** Whether reduced motion is in effect for a settings mode and the OS preference */
+export const resolveReducedMotion = (mode, prefersReduced) =>
+  mode === 'on' || (mode === 'auto' && prefersReduced);
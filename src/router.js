@@ -0,0 +1,70 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { ATTRIBUTE_IDS } from './character.js';
+
+// --- ROUTING ---
+
+/**
+ * Hash routes for the views, so Back/Forward, refresh and deep links work on static hosting
+ * (GitHub Pages only ever serves index.html): `#/stats[/<attribute>]`, `#/device`, `#/config`.
+ * Fragments that are not routes (empty, or `#config=` / `#theme=` share links) resolve to the
+ * default view; App swaps share links for a real route once they are applied.
+ */
+
+/** Route segment per view id */
+export const VIEW_ROUTES = { home: 'stats', device: 'device', settings: 'config' };
+export const DEFAULT_VIEW = 'home';
+const ROUTE_PREFIX = '#/';
+
+/** `{ view, attr, unknown }` for a location hash; `unknown` marks a `#/...` path that matched nothing */
+export const parseRoute = (hash = '') => {
+  if (!hash.startsWith(ROUTE_PREFIX)) return { view: DEFAULT_VIEW, attr: null, unknown: false };
+  let segments;
+  try {
+    segments = hash.slice(ROUTE_PREFIX.length).split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return { view: DEFAULT_VIEW, attr: null, unknown: true };
+  }
+  const [path = VIEW_ROUTES[DEFAULT_VIEW], attr = null, ...rest] = segments;
+  const view = Object.keys(VIEW_ROUTES).find(id => VIEW_ROUTES[id] === path.toLowerCase());
+  if (!view) return { view: DEFAULT_VIEW, attr: null, unknown: true };
+  if (rest.length || (attr !== null && (view !== 'home' || !ATTRIBUTE_IDS.includes(attr)))) {
+    return { view, attr: null, unknown: true };
+  }
+  return { view, attr, unknown: false };
+};
+
+/** Hash for a route; the attribute only applies to the stats view */
+export const formatRoute = ({ view, attr = null }) =>
+  `${ROUTE_PREFIX}${VIEW_ROUTES[view]}${view === 'home' && attr ? `/${attr}` : ''}`;
+
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  window.addEventListener('hashchange', listener);
+  window.addEventListener('popstate', listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('hashchange', listener);
+    window.removeEventListener('popstate', listener);
+  };
+};
+
+/** Move to `route`, pushing a history entry unless `replace` */
+export const navigateRoute = (route, { replace = false } = {}) => {
+  const hash = formatRoute(route);
+  if (hash === window.location.hash) return;
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (replace) window.history.replaceState(null, '', url);
+  else window.history.pushState(null, '', url);
+  // pushState/replaceState fire no events, so subscribers are told directly
+  listeners.forEach(listener => listener());
+};
+
+const getHash = () => window.location.hash;
+
+/** The current route, updated on navigation, Back/Forward and manual hash edits */
+export const useHashRoute = () => {
+  const hash = useSyncExternalStore(subscribe, getHash);
+  return useMemo(() => parseRoute(hash), [hash]);
+};
@@ -0,0 +1,134 @@
+// --- RUNTIME METRICS ---
+
+/**
+ * Real measurements the browser exposes. Anything the current browser cannot
+ * measure is reported as `null` so the UI can say "N/A" instead of inventing a value.
+ */
+
+const FRAME_SAMPLE_SIZE = 120;
+const MIN_PERCENTILE_SAMPLES = 10;
+// The fastest frames land on vsync, so their rate approximates the display refresh rate
+const VSYNC_PERCENTILE = 5;
+const LONG_TASK_WINDOW_MS = 5000;
+const LAG_PROBE_INTERVAL_MS = 500;
+const BYTES_PER_MB = 1024 * 1024;
+
+/** How often the diagnostics view refreshes its snapshot (ms), and the range offered in settings */
+export const DEFAULT_STATS_INTERVAL_MS = 2000;
+export const STATS_INTERVAL_RANGE = [500, 5000];
+
+/** Value at percentile `p` (0-100) of an ascending array */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+};
+
+const supportsLongTasks = () =>
+  typeof PerformanceObserver !== 'undefined' &&
+  (PerformanceObserver.supportedEntryTypes || []).includes('longtask');
+
+/**
+ * Shared sampler for frame timing (rAF), main-thread load (Long Tasks API),
+ * JS heap (`performance.memory`) and event-loop lag (timer drift).
+ * Reference-counted: sampling runs while at least one consumer has called start().
+ */
+export const createRuntimeMetrics = () => {
+  const frames = [];
+  const longTasks = [];
+  const frameListeners = new Set();
+  let lastFrame = null;
+  let frameId = null;
+  let lagTimer = null;
+  let lag = null;
+  let observer = null;
+  let consumers = 0;
+
+  const onFrame = (now) => {
+    if (lastFrame !== null) {
+      const dt = now - lastFrame;
+      frames.push(dt);
+      if (frames.length > FRAME_SAMPLE_SIZE) frames.shift();
+      frameListeners.forEach(listener => listener(dt));
+    }
+    lastFrame = now;
+    frameId = requestAnimationFrame(onFrame);
+  };
+
+  const probeLag = () => {
+    const expected = performance.now() + LAG_PROBE_INTERVAL_MS;
+    lagTimer = setTimeout(() => {
+      lag = Math.max(0, performance.now() - expected);
+      probeLag();
+    }, LAG_PROBE_INTERVAL_MS);
+  };
+
+  const start = () => {
+    consumers++;
+    if (consumers > 1) return;
+    frameId = requestAnimationFrame(onFrame);
+    probeLag();
+    if (supportsLongTasks()) {
+      observer = new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => longTasks.push({ start: entry.startTime, duration: entry.duration }));
+      });
+      observer.observe({ type: 'longtask', buffered: true });
+    }
+  };
+
+  const stop = () => {
+    consumers = Math.max(0, consumers - 1);
+    if (consumers > 0) return;
+    cancelAnimationFrame(frameId);
+    clearTimeout(lagTimer);
+    observer?.disconnect();
+    observer = null;
+    lastFrame = null;
+    frames.length = 0;
+    longTasks.length = 0;
+    lag = null;
+  };
+
+  /** Subscribe to every measured frame delta (ms). Returns an unsubscribe function. */
+  const onFrameTime = (listener) => {
+    frameListeners.add(listener);
+    return () => frameListeners.delete(listener);
+  };
+
+  /** Percentage of the last window spent in long tasks, or null without the Long Tasks API */
+  const mainThreadLoad = () => {
+    if (!observer) return null;
+    const now = performance.now();
+    const windowStart = now - LONG_TASK_WINDOW_MS;
+    while (longTasks.length && longTasks[0].start + longTasks[0].duration < windowStart) longTasks.shift();
+    const busy = longTasks.reduce((sum, task) => {
+      const start = Math.max(task.start, windowStart);
+      const end = Math.min(task.start + task.duration, now);
+      return sum + Math.max(0, end - start);
+    }, 0);
+    return Math.min(100, (busy / LONG_TASK_WINDOW_MS) * 100);
+  };
+
+  const snapshot = () => {
+    const sorted = [...frames].sort((a, b) => a - b);
+    const enough = sorted.length >= MIN_PERCENTILE_SAMPLES;
+    const mean = sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : null;
+    const heap = performance.memory;
+    return {
+      fps: mean ? 1000 / mean : null,
+      frameTimeP50: enough ? percentile(sorted, 50) : null,
+      frameTimeP95: enough ? percentile(sorted, 95) : null,
+      frameTimeP99: enough ? percentile(sorted, 99) : null,
+      vsyncFps: enough ? 1000 / percentile(sorted, VSYNC_PERCENTILE) : null,
+      mainThreadLoad: mainThreadLoad(),
+      heapUsed: heap ? heap.usedJSHeapSize / BYTES_PER_MB : null,
+      heapLimit: heap ? heap.jsHeapSizeLimit / BYTES_PER_MB : null,
+      eventLoopLag: lag
+    };
+  };
+
+  return { start, stop, onFrameTime, snapshot };
+};
+
+/** App-wide sampler shared by useSystemMonitor and the particle quality governor */
+export const runtimeMetrics = createRuntimeMetrics();
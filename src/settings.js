@@ -0,0 +1,262 @@
+import { CUSTOM_PRESET, matchGraphicsPreset } from './graphicsPresets.js';
+import { DEFAULT_KEYBINDINGS } from './keybindings.js';
+import { DEFAULT_SOUND_PACK } from './soundPacks.js';
+import { DEFAULT_MUSIC_MOOD, DEFAULT_MUSIC_TEMPO } from './musicSequencer.js';
+import { MAX_QUALITY_LEVEL } from './qualityGovernor.js';
+import { AUDIO_CONFIG } from './audioEngine.js';
+import { DEFAULT_STATS_INTERVAL_MS } from './runtimeMetrics.js';
+import { DEFAULT_BACKGROUND_MODE, DEFAULT_BACKGROUND_PARAMS } from './backgroundScenes.js';
+import { DEFAULT_REDUCED_MOTION } from './reducedMotion.js';
+import { DEFAULT_THEME, BUILTIN_THEMES, THEME_COLOUR } from './themes.js';
+import { LOCALE_AUTO } from './i18n.js';
+import { SETTINGS_SCHEMA } from './settingsSchema.js';
+import { downloadBlob } from './download.js';
+import { ValidationError } from './validationError.js';
+
+// --- SETTINGS PERSISTENCE ---
+
+export const SETTINGS_STORAGE_KEY = 'cyberpunk-settings';
+export const SETTINGS_VERSION = 12;
+
+/** Defaults for every setting, from the schema */
+export const DEFAULT_SETTINGS = Object.fromEntries(SETTINGS_SCHEMA.map(field => [field.key, field.default]));
+
+/** Inclusive numeric bounds for settings that accept a range */
+export const SETTINGS_RANGES = Object.fromEntries(
+  SETTINGS_SCHEMA.filter(field => field.range).map(field => [field.key, field.range])
+);
+
+/** Allowed values for enumerated settings */
+export const SETTINGS_OPTIONS = Object.fromEntries(
+  SETTINGS_SCHEMA.filter(field => field.options).map(field => [field.key, field.options.map(option => option.id)])
+);
+
+export const SHARE_HASH_PREFIX = '#config=';
+
+// Scene colours that shipped as defaults before themes; saves still holding them switch to following the theme
+const PRE_THEME_SCENE_COLOURS = { particles: '#dc2626', rain: '#22c55e', synthwave: '#d946ef', starfield: '#22d3ee' };
+
+/**
+ * Migration steps keyed by the version they upgrade FROM.
+ * Each step receives the stored settings object and returns the next version's shape.
+ */
+const MIGRATIONS = {
+  // v0: pre-versioning builds stored the raw settings object with no envelope
+  0: (data) => ({ ...data }),
+  // v1 -> v2: graphics presets plus particle/grid budgets
+  1: (data) => {
+    const next = { particleCount: 150, gridSpacing: 40, ...data };
+    return { ...next, graphicsPreset: matchGraphicsPreset(next) || CUSTOM_PRESET };
+  },
+  // v2 -> v3: rebindable shortcuts (the old hardcoded 'M' mute is the default)
+  2: (data) => ({ keybindings: { ...DEFAULT_KEYBINDINGS }, ...data }),
+  // v3 -> v4: selectable sound packs
+  3: (data) => ({ soundPack: DEFAULT_SOUND_PACK, ...data }),
+  // v4 -> v5: generative music
+  4: (data) => ({ musicMood: DEFAULT_MUSIC_MOOD, musicTempo: DEFAULT_MUSIC_TEMPO, ...data }),
+  // v5 -> v6: adaptive particle quality
+  5: (data) => ({ qualityGovernor: true, targetFps: 60, ...data }),
+  // v6 -> v7: constellation particle mode
+  6: (data) => ({ constellation: false, ...data }),
+  // v7 -> v8: selectable background scenes with per-scene params
+  7: (data) => ({ backgroundMode: DEFAULT_BACKGROUND_MODE, backgroundParams: DEFAULT_BACKGROUND_PARAMS, ...data }),
+  // v8 -> v9: reduced-motion mode and drone suppression
+  8: (data) => ({ reducedMotion: DEFAULT_REDUCED_MOTION, muteDrone: false, ...data }),
+  // v9 -> v10: colour themes; scene colours left at their old defaults now follow the theme
+  9: (data) => {
+    const backgroundParams = { ...data.backgroundParams };
+    Object.entries(PRE_THEME_SCENE_COLOURS).forEach(([modeId, colour]) => {
+      if (backgroundParams[modeId]?.colour === colour) backgroundParams[modeId] = { ...backgroundParams[modeId], colour: THEME_COLOUR };
+    });
+    return {
+      theme: DEFAULT_THEME,
+      customTheme: { ...BUILTIN_THEMES[DEFAULT_THEME].colours },
+      ...data,
+      ...(data.backgroundParams ? { backgroundParams } : {})
+    };
+  },
+  // v10 -> v11: interface language, detected from the browser until picked
+  10: (data) => ({ locale: LOCALE_AUTO, ...data }),
+  // v11 -> v12: master level, drone pitch, governor quality bounds and diagnostics refresh rate
+  11: (data) => ({
+    masterDb: 0,
+    droneFreq: AUDIO_CONFIG.DRONE_FREQUENCY,
+    qualityMin: 0,
+    qualityMax: MAX_QUALITY_LEVEL,
+    statsInterval: DEFAULT_STATS_INTERVAL_MS,
+    ...data
+  })
+};
+
+/** Run stored data through every migration between its version and the current one */
+const migrate = (data, fromVersion) => {
+  let migrated = data;
+  for (let v = fromVersion; v < SETTINGS_VERSION; v++) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`No settings migration from v${v}`);
+    migrated = step(migrated);
+  }
+  return migrated;
+};
+
+/**
+ * Keep only known keys whose value fits the schema (type, options, range), falling back to
+ * defaults; object settings go through their `merge`. An inverted range resets both ends.
+ */
+const sanitize = (data) => {
+  const clean = { ...DEFAULT_SETTINGS };
+  const source = data && typeof data === 'object' ? data : {};
+  SETTINGS_SCHEMA.forEach(field => {
+    const value = source[field.key];
+    if (field.type === 'object') {
+      clean[field.key] = field.merge(value);
+      return;
+    }
+    if (field.options && !field.options.some(option => option.id === value)) return;
+    if (field.range && !(value >= field.range[0] && value <= field.range[1])) return;
+    if (typeof value === field.type) clean[field.key] = value;
+  });
+  SETTINGS_SCHEMA.filter(field => field.upper).forEach(field => {
+    if (clean[field.key] <= clean[field.upper]) return;
+    clean[field.key] = field.default;
+    clean[field.upper] = DEFAULT_SETTINGS[field.upper];
+  });
+  return clean;
+};
+
+/** Unwrap a `{ version, settings }` envelope (or a bare legacy object) and migrate it */
+const unwrap = (parsed) => {
+  const isEnvelope = parsed && typeof parsed.version === 'number' && parsed.settings;
+  const version = isEnvelope ? parsed.version : 0;
+  const data = isEnvelope ? parsed.settings : parsed;
+  if (version > SETTINGS_VERSION) throw new ValidationError('validation.configVersion', { version });
+  return migrate(data, version);
+};
+
+/**
+ * Strictly validate user-supplied settings (imports, shared links).
+ * Missing keys fall back to defaults; anything else wrong throws a ValidationError.
+ */
+export const validateSettings = (parsed) => {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ValidationError('validation.configNotObject');
+  }
+  const data = unwrap(parsed);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError('validation.configNotObject');
+  }
+  const unknown = Object.keys(data).filter(key => !(key in DEFAULT_SETTINGS));
+  if (unknown.length) throw new ValidationError('validation.unknownKey', { keys: unknown.join(', ') });
+
+  const result = { ...DEFAULT_SETTINGS, ...data };
+  SETTINGS_SCHEMA.filter(field => field.key in data).forEach(({ key, type, range, options, validate, merge }) => {
+    if (typeof data[key] !== type) throw new ValidationError('validation.wrongType', { field: key, type: type.toUpperCase() });
+    if (range && (!Number.isFinite(data[key]) || data[key] < range[0] || data[key] > range[1])) {
+      throw new ValidationError('validation.outOfRange', { field: key, min: range[0], max: range[1] });
+    }
+    const ids = options?.map(option => option.id);
+    if (ids && !ids.includes(data[key])) {
+      throw new ValidationError('validation.notOneOf', { field: key, options: ids.join('/') });
+    }
+    if (type === 'object') {
+      const problem = validate(data[key]);
+      if (problem) throw new ValidationError(problem.key, problem.params);
+      result[key] = merge(data[key]);
+    }
+  });
+  SETTINGS_SCHEMA.filter(field => field.upper).forEach(({ key, upper }) => {
+    if (result[key] > result[upper]) throw new ValidationError('validation.exceeds', { field: key, limit: upper });
+  });
+  return result;
+};
+
+/** Whether anything has ever been committed (false on first launch) */
+export const hasSavedSettings = () => {
+  try {
+    return window.localStorage.getItem(SETTINGS_STORAGE_KEY) !== null;
+  } catch {
+    return false;
+  }
+};
+
+/** Load committed settings from localStorage, migrating older schemas */
+export const loadSettings = () => {
+  try {
+    const raw = window.localStorage.getItem(SETTINGS_STORAGE_KEY);
+    if (!raw) return { ...DEFAULT_SETTINGS };
+    return sanitize(unwrap(JSON.parse(raw)));
+  } catch (e) {
+    console.warn('Settings Load Failed', e);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/** Commit settings to localStorage under the current schema version. Returns success. */
+export const saveSettings = (settings) => {
+  try {
+    const payload = { version: SETTINGS_VERSION, settings: sanitize(settings) };
+    window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(payload));
+    return true;
+  } catch (e) {
+    console.warn('Settings Save Failed', e);
+    return false;
+  }
+};
+
+/** Keys whose values differ; nested values (keybindings, backgroundParams, customTheme) are compared by content */
+export const changedSettingKeys = (a, b) =>
+  Object.keys(DEFAULT_SETTINGS).filter(key => (
+    typeof DEFAULT_SETTINGS[key] === 'object'
+      ? JSON.stringify(a[key]) !== JSON.stringify(b[key])
+      : a[key] !== b[key]
+  ));
+
+/** Compare two settings objects by content */
+export const settingsEqual = (a, b) => changedSettingKeys(a, b).length === 0;
+
+// --- IMPORT / EXPORT ---
+
+/** Serialize settings in the same versioned envelope used for storage */
+export const serializeSettings = (settings) =>
+  JSON.stringify({ version: SETTINGS_VERSION, settings: sanitize(settings) }, null, 2);
+
+/** Parse and validate JSON text from an imported file. Throws a ValidationError. */
+export const parseSettingsJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new ValidationError('validation.invalidJson');
+  }
+  return validateSettings(parsed);
+};
+
+/** Trigger a browser download of the current settings as a JSON file */
+export const downloadSettings = (settings) => {
+  downloadBlob(new Blob([serializeSettings(settings)], { type: 'application/json' }), 'cyberpunk-settings.json');
+};
+
+/** Encode settings as a URL-safe base64 fragment, e.g. `#config=eyJ2...` */
+export const encodeSettingsHash = (settings) => {
+  const json = JSON.stringify({ version: SETTINGS_VERSION, settings: sanitize(settings) });
+  const b64 = btoa(String.fromCharCode(...new TextEncoder().encode(json)));
+  return SHARE_HASH_PREFIX + b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/** Decode a `#config=` fragment. Returns null when absent; throws a ValidationError when malformed. */
+export const decodeSettingsHash = (hash) => {
+  if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) return null;
+  let parsed;
+  try {
+    const b64 = hash.slice(SHARE_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+    parsed = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new ValidationError('validation.corruptLink');
+  }
+  return validateSettings(parsed);
+};
+
+/** Full shareable URL for the current page with the settings fragment attached */
+export const buildShareUrl = (settings) =>
+  `${window.location.origin}${window.location.pathname}${window.location.search}${encodeSettingsHash(settings)}`;
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_SETTINGS, SETTINGS_VERSION, parseSettingsJson, decodeSettingsHash, validateSettings } from './settings.js';
+import { ValidationError } from './validationError.js';
+
+const rejection = (run) => {
+  try {
+    run();
+  } catch (err) {
+    expect(err).toBeInstanceOf(ValidationError);
+    return err.reason;
+  }
+  throw new Error('expected a ValidationError');
+};
+
+const envelope = (settings) => ({ version: SETTINGS_VERSION, settings });
+
+describe('settings validation', () => {
+  it('accepts a partial config and fills the rest from defaults', () => {
+    expect(validateSettings(envelope({ musicVol: DEFAULT_SETTINGS.musicVol }))).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('rejects with catalog descriptors the UI can translate', () => {
+    expect(rejection(() => parseSettingsJson('{'))).toEqual({ key: 'validation.invalidJson', params: {} });
+    expect(rejection(() => decodeSettingsHash('#config=%%%'))).toEqual({ key: 'validation.corruptLink', params: {} });
+    expect(rejection(() => validateSettings([]))).toEqual({ key: 'validation.configNotObject', params: {} });
+    expect(rejection(() => validateSettings(envelope({ nope: 1 })))).toEqual({ key: 'validation.unknownKey', params: { keys: 'nope' } });
+    expect(rejection(() => validateSettings({ version: SETTINGS_VERSION + 1, settings: {} })))
+      .toEqual({ key: 'validation.configVersion', params: { version: SETTINGS_VERSION + 1 } });
+  });
+
+  it('passes schema validator problems through', () => {
+    expect(rejection(() => validateSettings(envelope({ customTheme: { primary: 'red' } }))))
+      .toEqual({ key: 'validation.hexColour', params: { field: 'customTheme.primary' } });
+  });
+});
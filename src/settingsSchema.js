@@ -0,0 +1,404 @@
+import { GRAPHICS_PRESETS, CUSTOM_PRESET, PRESET_KEYS, applyGraphicsPreset } from './graphicsPresets.js';
+import { DEFAULT_KEYBINDINGS, KEY_ACTIONS, mergeKeybindings, validateKeybindings } from './keybindings.js';
+import { DEFAULT_SOUND_PACK } from './soundPacks.js';
+import { MUSIC_MOODS, MUSIC_OFF, DEFAULT_MUSIC_MOOD, DEFAULT_MUSIC_TEMPO } from './musicSequencer.js';
+import { TARGET_FPS_OPTIONS, MAX_QUALITY_LEVEL, QUALITY_LEVELS } from './qualityGovernor.js';
+import { AUDIO_CONFIG } from './audioEngine.js';
+import { DEFAULT_STATS_INTERVAL_MS, STATS_INTERVAL_RANGE } from './runtimeMetrics.js';
+import {
+  BACKGROUND_SCENES, DEFAULT_BACKGROUND_MODE, DEFAULT_BACKGROUND_PARAMS, validateBackgroundParams, mergeBackgroundParams
+} from './backgroundScenes.js';
+import { REDUCED_MOTION_MODES, DEFAULT_REDUCED_MOTION } from './reducedMotion.js';
+import {
+  BUILTIN_THEMES, CUSTOM_THEME, DEFAULT_THEME, THEME_KEYS, validateThemeColours, mergeThemeColours
+} from './themes.js';
+import { LOCALE_AUTO, LOCALE_OPTIONS } from './i18n.js';
+
+// --- SETTINGS SCHEMA ---
+
+/**
+ * Every persisted setting, declared once. settings.js derives defaults, validation and
+ * sanitising from this list, and the SYSTEM_CONFIG page is generated from it in order.
+ *
+ *   key          - property in the settings object
+ *   type         - 'boolean' | 'number' | 'string' | 'object'
+ *   default      - value for new installs, missing keys and section resets
+ *   group        - SETTINGS_GROUPS id the control is shown under
+ *   label        - catalog key of the control label (also what search matches)
+ *   description  - catalog key of the help line under the control
+ *   control      - 'toggle' | 'slider' | 'range' | 'options' | 'segmented' | 'select' | 'custom',
+ *                  or null when another entry's control edits it (the upper end of a range)
+ *   range        - inclusive [min, max] for numbers; `step`, `unit`, `log` and `ticks` go to CyberSlider
+ *   upper        - for 'range' controls, the key holding the upper end; it may never be below this one
+ *   options      - allowed values as `{ id, labelKey }`; ids without a labelKey are shown as-is
+ *   requires     - `[{ key, equals }]` or `[{ key, not }]`: the control is disabled, and the setting
+ *                  has no effect, until every condition holds
+ *   validate     - objects: (value) => problem descriptor (see validationError.js) or null, for imports (partial objects allowed)
+ *   merge        - objects: (value) => complete value, keeping only valid stored parts
+ *   searchLabels - custom controls with several rows: catalog keys of those rows for search
+ */
+export const SETTINGS_SCHEMA = [
+  // Language
+  {
+    key: 'locale',
+    type: 'string',
+    default: LOCALE_AUTO,
+    group: 'language',
+    label: 'config.languageSelect',
+    description: 'settingHelp.locale',
+    control: 'select',
+    options: LOCALE_OPTIONS.map(id => ({ id }))
+  },
+
+  // Audio
+  {
+    key: 'masterDb',
+    type: 'number',
+    default: 0,
+    group: 'audio',
+    label: 'config.masterLevel',
+    description: 'settingHelp.masterDb',
+    control: 'slider',
+    range: AUDIO_CONFIG.MASTER_DB_RANGE,
+    step: 0.5,
+    unit: 'dB',
+    ticks: [-48, -36, -24, -12, 0]
+  },
+  {
+    key: 'musicVol',
+    type: 'number',
+    default: 40,
+    group: 'audio',
+    label: 'config.musicVolume',
+    description: 'settingHelp.musicVol',
+    control: 'slider',
+    range: [0, 100]
+  },
+  {
+    key: 'sfxVol',
+    type: 'number',
+    default: 80,
+    group: 'audio',
+    label: 'config.effectsVolume',
+    description: 'settingHelp.sfxVol',
+    control: 'slider',
+    range: [0, 100]
+  },
+  {
+    key: 'droneFreq',
+    type: 'number',
+    default: AUDIO_CONFIG.DRONE_FREQUENCY,
+    group: 'audio',
+    label: 'config.dronePitch',
+    description: 'settingHelp.droneFreq',
+    control: 'slider',
+    range: AUDIO_CONFIG.DRONE_FREQUENCY_RANGE,
+    unit: 'Hz',
+    log: true,
+    ticks: [30, 50, 100, 200],
+    requires: [{ key: 'muteDrone', equals: false }]
+  },
+  {
+    key: 'musicMood',
+    type: 'string',
+    default: DEFAULT_MUSIC_MOOD,
+    group: 'audio',
+    label: 'config.musicMood',
+    description: 'settingHelp.musicMood',
+    control: 'options',
+    options: [
+      ...Object.keys(MUSIC_MOODS).map(id => ({ id, labelKey: `moods.${id}` })),
+      { id: MUSIC_OFF, labelKey: 'moods.off' }
+    ]
+  },
+  {
+    key: 'musicTempo',
+    type: 'number',
+    default: DEFAULT_MUSIC_TEMPO,
+    group: 'audio',
+    label: 'config.musicTempo',
+    description: 'settingHelp.musicTempo',
+    control: 'slider',
+    range: [60, 160],
+    unit: 'BPM',
+    ticks: [60, 80, 100, 120, 140, 160],
+    requires: [{ key: 'musicMood', not: MUSIC_OFF }]
+  },
+  {
+    // Imported packs get generated ids, so any string is accepted and unknown ids fall back to the default pack
+    key: 'soundPack',
+    type: 'string',
+    default: DEFAULT_SOUND_PACK,
+    group: 'audio',
+    label: 'config.soundPack',
+    description: 'settingHelp.soundPack',
+    control: 'select'
+  },
+
+  // Graphics
+  {
+    // Custom is listed but only reachable by editing a preset-controlled setting
+    key: 'graphicsPreset',
+    type: 'string',
+    default: 'high',
+    group: 'graphics',
+    label: 'config.qualityPreset',
+    description: 'settingHelp.graphicsPreset',
+    control: 'options',
+    options: [
+      ...Object.keys(GRAPHICS_PRESETS).map(id => ({ id, labelKey: `presets.${id}` })),
+      { id: CUSTOM_PRESET, labelKey: 'common.custom', disabled: true }
+    ]
+  },
+  {
+    key: 'motionBlur',
+    type: 'boolean',
+    default: false,
+    group: 'graphics',
+    label: 'config.motionBlur',
+    description: 'settingHelp.motionBlur',
+    control: 'toggle'
+  },
+  {
+    key: 'dof',
+    type: 'boolean',
+    default: false,
+    group: 'graphics',
+    label: 'config.dof',
+    description: 'settingHelp.dof',
+    control: 'toggle',
+    requires: [{ key: 'motionBlur', equals: true }]
+  },
+  {
+    key: 'chromatic',
+    type: 'boolean',
+    default: true,
+    group: 'graphics',
+    label: 'config.chromatic',
+    description: 'settingHelp.chromatic',
+    control: 'toggle'
+  },
+  {
+    key: 'scanlines',
+    type: 'boolean',
+    default: true,
+    group: 'graphics',
+    label: 'config.scanlines',
+    description: 'settingHelp.scanlines',
+    control: 'toggle'
+  },
+  {
+    key: 'particleCount',
+    type: 'number',
+    default: 150,
+    group: 'graphics',
+    label: 'config.particleCount',
+    description: 'settingHelp.particleCount',
+    control: 'slider',
+    range: [0, 400],
+    step: 10,
+    unit: ''
+  },
+  {
+    key: 'gridSpacing',
+    type: 'number',
+    default: 40,
+    group: 'graphics',
+    label: 'config.gridSpacing',
+    description: 'settingHelp.gridSpacing',
+    control: 'slider',
+    range: [20, 200],
+    step: 5,
+    unit: 'px'
+  },
+  {
+    key: 'backgroundMode',
+    type: 'string',
+    default: DEFAULT_BACKGROUND_MODE,
+    group: 'graphics',
+    label: 'config.backgroundMode',
+    description: 'settingHelp.backgroundMode',
+    control: 'options',
+    options: Object.keys(BACKGROUND_SCENES).map(id => ({ id, labelKey: `scenes.${id}` }))
+  },
+  {
+    key: 'backgroundParams',
+    type: 'object',
+    default: DEFAULT_BACKGROUND_PARAMS,
+    group: 'graphics',
+    label: 'config.sceneParams',
+    description: 'settingHelp.backgroundParams',
+    control: 'custom',
+    validate: validateBackgroundParams,
+    merge: mergeBackgroundParams,
+    searchLabels: ['config.sceneColour', 'config.sceneDensity', 'config.sceneSpeed']
+  },
+  {
+    key: 'constellation',
+    type: 'boolean',
+    default: false,
+    group: 'graphics',
+    label: 'config.constellation',
+    description: 'settingHelp.constellation',
+    control: 'toggle'
+  },
+  {
+    key: 'qualityGovernor',
+    type: 'boolean',
+    default: true,
+    group: 'graphics',
+    label: 'config.adaptiveQuality',
+    description: 'settingHelp.qualityGovernor',
+    control: 'toggle'
+  },
+  {
+    key: 'targetFps',
+    type: 'number',
+    default: 60,
+    group: 'graphics',
+    label: 'config.targetFps',
+    description: 'settingHelp.targetFps',
+    control: 'segmented',
+    options: TARGET_FPS_OPTIONS.map(id => ({ id })),
+    requires: [{ key: 'qualityGovernor', equals: true }]
+  },
+  {
+    key: 'qualityMin',
+    type: 'number',
+    default: 0,
+    group: 'graphics',
+    label: 'config.qualityRange',
+    description: 'settingHelp.qualityRange',
+    control: 'range',
+    range: [0, MAX_QUALITY_LEVEL],
+    upper: 'qualityMax',
+    unit: '',
+    ticks: QUALITY_LEVELS.map(({ label }, index) => ({ value: index, label })),
+    requires: [{ key: 'qualityGovernor', equals: true }]
+  },
+  {
+    key: 'qualityMax',
+    type: 'number',
+    default: MAX_QUALITY_LEVEL,
+    group: 'graphics',
+    label: 'config.qualityRange',
+    description: 'settingHelp.qualityRange',
+    control: null,
+    range: [0, MAX_QUALITY_LEVEL]
+  },
+  {
+    key: 'statsInterval',
+    type: 'number',
+    default: DEFAULT_STATS_INTERVAL_MS,
+    group: 'graphics',
+    label: 'config.statsInterval',
+    description: 'settingHelp.statsInterval',
+    control: 'slider',
+    range: STATS_INTERVAL_RANGE,
+    step: 250,
+    unit: 'ms'
+  },
+
+  // Theme
+  {
+    key: 'theme',
+    type: 'string',
+    default: DEFAULT_THEME,
+    group: 'theme',
+    label: 'config.palette',
+    description: 'settingHelp.theme',
+    control: 'options',
+    options: [
+      ...Object.keys(BUILTIN_THEMES).map(id => ({ id, labelKey: `themes.${id}` })),
+      { id: CUSTOM_THEME, labelKey: 'common.custom' }
+    ]
+  },
+  {
+    key: 'customTheme',
+    type: 'object',
+    default: { ...BUILTIN_THEMES[DEFAULT_THEME].colours },
+    group: 'theme',
+    label: 'config.themeColours',
+    description: 'settingHelp.customTheme',
+    control: 'custom',
+    validate: validateThemeColours,
+    merge: mergeThemeColours,
+    searchLabels: THEME_KEYS.map(key => `themeColours.${key}`)
+  },
+
+  // Accessibility
+  {
+    key: 'reducedMotion',
+    type: 'string',
+    default: DEFAULT_REDUCED_MOTION,
+    group: 'accessibility',
+    label: 'config.reducedMotion',
+    description: 'settingHelp.reducedMotion',
+    control: 'segmented',
+    options: REDUCED_MOTION_MODES.map(id => ({ id }))
+  },
+  {
+    key: 'muteDrone',
+    type: 'boolean',
+    default: false,
+    group: 'accessibility',
+    label: 'config.muteDrone',
+    description: 'settingHelp.muteDrone',
+    control: 'toggle'
+  },
+
+  // Controls
+  {
+    key: 'keybindings',
+    type: 'object',
+    default: { ...DEFAULT_KEYBINDINGS },
+    group: 'controls',
+    label: 'config.controls',
+    description: 'settingHelp.keybindings',
+    control: 'custom',
+    validate: (bindings) => validateKeybindings(bindings) || validateKeybindings(mergeKeybindings(bindings)),
+    // A stored map that would leave a shortcut clashing falls back to the defaults as a whole
+    merge: (bindings) => {
+      const merged = mergeKeybindings(bindings);
+      return validateKeybindings(merged) ? { ...DEFAULT_KEYBINDINGS } : merged;
+    },
+    searchLabels: KEY_ACTIONS.map(action => `keyActions.${action.id}`)
+  }
+];
+
+/** Sections of the SYSTEM_CONFIG page, in display order */
+export const SETTINGS_GROUPS = [
+  { id: 'language', label: 'config.language' },
+  { id: 'audio', label: 'config.audio' },
+  { id: 'graphics', label: 'config.graphics' },
+  { id: 'theme', label: 'config.theme' },
+  { id: 'accessibility', label: 'config.accessibility' },
+  { id: 'controls', label: 'config.controls' }
+];
+
+/** Schema entry per key */
+export const SETTINGS_FIELDS = Object.fromEntries(SETTINGS_SCHEMA.map(field => [field.key, field]));
+
+/** Whether one `requires` condition holds in `settings` */
+export const conditionMet = (settings, condition) =>
+  'not' in condition ? settings[condition.key] !== condition.not : settings[condition.key] === condition.equals;
+
+/** Whether every `requires` condition of `key` holds in `settings` */
+export const requirementsMet = (settings, key) =>
+  (SETTINGS_FIELDS[key].requires || []).every(condition => conditionMet(settings, condition));
+
+/** Return settings with one value changed; hand-editing a preset-controlled value drops the preset to Custom */
+export const applySetting = (settings, key, value) => {
+  if (key === 'graphicsPreset') return applyGraphicsPreset(settings, value);
+  const next = { ...settings, [key]: value };
+  return PRESET_KEYS.includes(key) ? { ...next, graphicsPreset: CUSTOM_PRESET } : next;
+};
+
+/** Return settings with every value in `groupId` back at its default */
+export const resetSettingsGroup = (settings, groupId) => {
+  const next = { ...settings };
+  SETTINGS_SCHEMA.filter(field => field.group === groupId).forEach(field => {
+    next[field.key] = field.type === 'object' ? field.merge(field.default) : field.default;
+  });
+  return next;
+};
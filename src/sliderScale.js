@@ -0,0 +1,49 @@
+// --- SLIDER SCALES ---
+
+/**
+ * Value <-> track position maths for CyberSlider. A scale is `{ min, max, step, log }`;
+ * positions run 0-1 along the track. Logarithmic scales (audio frequencies) need `min > 0`
+ * and spread each octave evenly, so the low end isn't squeezed into a few pixels.
+ */
+
+// Keyboard step on logarithmic scales, as a fraction of the track
+const LOG_KEY_STEP = 0.01;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const stepDecimals = (step) => (String(step).split('.')[1] || '').length;
+
+/** Decimal places needed to show values on the step grid */
+export const scaleDigits = ({ step }) => stepDecimals(step);
+
+export const valueToPosition = (value, { min, max, log = false }) => {
+  if (max === min) return 0;
+  const position = log ? Math.log(value / min) / Math.log(max / min) : (value - min) / (max - min);
+  return clamp(position, 0, 1);
+};
+
+export const positionToValue = (position, { min, max, log = false }) => {
+  const p = clamp(position, 0, 1);
+  return log ? min * (max / min) ** p : min + p * (max - min);
+};
+
+/** Clamp to the range and round to the nearest step (counted from `min`), without float noise */
+export const snapValue = (value, { min, max, step }) => {
+  const snapped = min + Math.round((clamp(value, min, max) - min) / step) * step;
+  return Number(clamp(snapped, min, max).toFixed(stepDecimals(step)));
+};
+
+/** Move `steps` keyboard steps from `value`: whole steps on linear scales, track fractions on log ones */
+export const stepValue = (value, steps, scale) => {
+  if (!scale.log) return snapValue(value + steps * scale.step, scale);
+  const next = snapValue(positionToValue(valueToPosition(value, scale) + steps * LOG_KEY_STEP, scale), scale);
+  // Near the bottom of a log scale a fraction of the track can round back to the same step
+  return next === value ? snapValue(value + Math.sign(steps) * scale.step, scale) : next;
+};
+
+/** Parse typed text ("1,5", " 440 ") to a snapped value, or null when it isn't a number */
+export const parseSliderInput = (text, scale) => {
+  const trimmed = String(text).trim();
+  const value = Number(trimmed.replace(',', '.'));
+  return trimmed !== '' && Number.isFinite(value) ? snapValue(value, scale) : null;
+};
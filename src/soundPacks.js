@@ -0,0 +1,296 @@
+import { ValidationError } from './validationError.js';
+
+// --- SOUND PACKS ---
+
+/**
+ * UI events the AudioEngine can voice. Every pack maps each event to a sound,
+ * where a sound is one patch or an array of layered patches:
+ *
+ *   {
+ *     osc: 'sawtooth',          // oscillator waveform; omit for a noise-only layer
+ *     freq: 1200, freqEnd: 100, // start pitch and optional exponential sweep target (Hz)
+ *     jitter: 0,                // random Hz added to `freq` on each play
+ *     gain: 0.5,                // envelope peak
+ *     attack: 0, decay: 0.1,    // envelope times (s); the sweep runs over attack + decay
+ *     filter: { type: 'lowpass', freq: 2000, q: 1 },
+ *     noise: 0,                 // white-noise level mixed into the layer
+ *     delay: 0                  // start offset (s) for layered/arpeggiated sounds
+ *   }
+ */
+export const SOUND_EVENTS = [
+  'click', 'hover', 'toggleOn', 'toggleOff', 'sliderTick', 'navigate', 'error', 'bootComplete',
+  'notifyInfo', 'notifyWarn', 'notifySuccess'
+];
+
+const OSC_TYPES = ['sine', 'square', 'sawtooth', 'triangle'];
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+
+/** Numeric patch fields and their inclusive bounds */
+const PATCH_RANGES = {
+  freq: [20, 20000],
+  freqEnd: [20, 20000],
+  jitter: [0, 5000],
+  gain: [0, 1],
+  attack: [0, 2],
+  decay: [0.005, 4],
+  noise: [0, 1],
+  delay: [0, 4]
+};
+
+const FILTER_RANGES = {
+  freq: [20, 20000],
+  q: [0.0001, 40]
+};
+
+export const DEFAULT_SOUND_PACK = 'default';
+export const CUSTOM_SOUND_PACKS_STORAGE_KEY = 'cyberpunk-sound-packs';
+
+export const BUILTIN_SOUND_PACKS = {
+  default: {
+    name: 'Default',
+    sounds: {
+      click: { osc: 'sawtooth', freq: 1200, freqEnd: 100, gain: 0.5, decay: 0.1 },
+      hover: { osc: 'square', freq: 800, jitter: 200, gain: 0.05, decay: 0.05 },
+      toggleOn: { osc: 'sawtooth', freq: 600, freqEnd: 1400, gain: 0.35, decay: 0.08 },
+      toggleOff: { osc: 'sawtooth', freq: 1400, freqEnd: 400, gain: 0.35, decay: 0.08 },
+      sliderTick: { osc: 'square', freq: 2400, gain: 0.04, decay: 0.02 },
+      navigate: [
+        { osc: 'sawtooth', freq: 300, freqEnd: 900, gain: 0.3, decay: 0.12, filter: { type: 'lowpass', freq: 3000, q: 4 } },
+        { noise: 0.6, gain: 0.15, decay: 0.08, filter: { type: 'highpass', freq: 4000, q: 1 } }
+      ],
+      error: [
+        { osc: 'square', freq: 180, gain: 0.3, decay: 0.15 },
+        { osc: 'square', freq: 140, gain: 0.3, decay: 0.2, delay: 0.16 }
+      ],
+      bootComplete: [
+        { osc: 'sawtooth', freq: 220, freqEnd: 880, gain: 0.3, attack: 0.02, decay: 0.5, filter: { type: 'lowpass', freq: 1800, q: 6 } },
+        { osc: 'sine', freq: 1760, gain: 0.15, attack: 0.01, decay: 0.6, delay: 0.25 }
+      ],
+      notifyInfo: { osc: 'triangle', freq: 1400, freqEnd: 1800, gain: 0.2, decay: 0.1 },
+      notifyWarn: [
+        { osc: 'sawtooth', freq: 520, gain: 0.25, decay: 0.1, filter: { type: 'lowpass', freq: 2000, q: 3 } },
+        { osc: 'sawtooth', freq: 520, gain: 0.25, decay: 0.14, delay: 0.14, filter: { type: 'lowpass', freq: 2000, q: 3 } }
+      ],
+      notifySuccess: [
+        { osc: 'sawtooth', freq: 660, gain: 0.2, decay: 0.08, filter: { type: 'lowpass', freq: 3000, q: 2 } },
+        { osc: 'sawtooth', freq: 990, gain: 0.2, decay: 0.14, delay: 0.08, filter: { type: 'lowpass', freq: 3000, q: 2 } }
+      ]
+    }
+  },
+  militech: {
+    name: 'Militech',
+    sounds: {
+      click: [
+        { osc: 'square', freq: 220, freqEnd: 60, gain: 0.45, decay: 0.09, filter: { type: 'lowpass', freq: 900, q: 3 } },
+        { noise: 0.8, gain: 0.25, decay: 0.04, filter: { type: 'bandpass', freq: 2500, q: 2 } }
+      ],
+      hover: { osc: 'triangle', freq: 320, jitter: 40, gain: 0.08, decay: 0.04, filter: { type: 'lowpass', freq: 1200, q: 1 } },
+      toggleOn: [
+        { noise: 0.9, gain: 0.3, decay: 0.03, filter: { type: 'highpass', freq: 3000, q: 1 } },
+        { osc: 'square', freq: 160, gain: 0.35, decay: 0.1, delay: 0.03, filter: { type: 'lowpass', freq: 700, q: 2 } }
+      ],
+      toggleOff: [
+        { osc: 'square', freq: 160, freqEnd: 70, gain: 0.35, decay: 0.12, filter: { type: 'lowpass', freq: 600, q: 2 } },
+        { noise: 0.9, gain: 0.2, decay: 0.03, delay: 0.08, filter: { type: 'highpass', freq: 3000, q: 1 } }
+      ],
+      sliderTick: { noise: 1, gain: 0.06, decay: 0.015, filter: { type: 'bandpass', freq: 1800, q: 8 } },
+      navigate: [
+        { osc: 'sawtooth', freq: 90, freqEnd: 45, gain: 0.4, decay: 0.25, filter: { type: 'lowpass', freq: 500, q: 6 } },
+        { noise: 1, gain: 0.2, decay: 0.18, filter: { type: 'lowpass', freq: 1500, q: 1 } }
+      ],
+      error: [
+        { osc: 'sawtooth', freq: 110, gain: 0.4, decay: 0.12, filter: { type: 'lowpass', freq: 800, q: 4 } },
+        { osc: 'sawtooth', freq: 110, gain: 0.4, decay: 0.12, delay: 0.14, filter: { type: 'lowpass', freq: 800, q: 4 } },
+        { osc: 'sawtooth', freq: 110, gain: 0.4, decay: 0.2, delay: 0.28, filter: { type: 'lowpass', freq: 800, q: 4 } }
+      ],
+      bootComplete: [
+        { osc: 'square', freq: 55, freqEnd: 110, gain: 0.4, attack: 0.05, decay: 0.7, filter: { type: 'lowpass', freq: 600, q: 8 } },
+        { noise: 1, gain: 0.2, attack: 0.3, decay: 0.4, filter: { type: 'bandpass', freq: 800, q: 1 } }
+      ],
+      notifyInfo: [
+        { noise: 0.8, gain: 0.2, decay: 0.03, filter: { type: 'bandpass', freq: 2000, q: 3 } },
+        { osc: 'square', freq: 330, gain: 0.25, decay: 0.08, delay: 0.03, filter: { type: 'lowpass', freq: 1000, q: 2 } }
+      ],
+      notifyWarn: [
+        { osc: 'square', freq: 240, gain: 0.35, decay: 0.12, filter: { type: 'lowpass', freq: 900, q: 4 } },
+        { osc: 'square', freq: 180, gain: 0.35, decay: 0.16, delay: 0.15, filter: { type: 'lowpass', freq: 900, q: 4 } }
+      ],
+      notifySuccess: [
+        { osc: 'square', freq: 165, gain: 0.3, decay: 0.08, filter: { type: 'lowpass', freq: 800, q: 2 } },
+        { osc: 'square', freq: 220, gain: 0.3, decay: 0.15, delay: 0.09, filter: { type: 'lowpass', freq: 800, q: 2 } }
+      ]
+    }
+  },
+  arasaka: {
+    name: 'Arasaka',
+    sounds: {
+      click: { osc: 'sine', freq: 2400, freqEnd: 1800, gain: 0.3, decay: 0.06, filter: { type: 'highpass', freq: 1000, q: 1 } },
+      hover: { osc: 'sine', freq: 3200, jitter: 300, gain: 0.04, attack: 0.005, decay: 0.04 },
+      toggleOn: [
+        { osc: 'triangle', freq: 1320, gain: 0.2, decay: 0.08 },
+        { osc: 'triangle', freq: 1980, gain: 0.18, decay: 0.12, delay: 0.05 }
+      ],
+      toggleOff: [
+        { osc: 'triangle', freq: 1980, gain: 0.18, decay: 0.08 },
+        { osc: 'triangle', freq: 1320, gain: 0.2, decay: 0.12, delay: 0.05 }
+      ],
+      sliderTick: { osc: 'sine', freq: 4200, gain: 0.03, decay: 0.015 },
+      navigate: [
+        { osc: 'sine', freq: 880, freqEnd: 1760, gain: 0.2, attack: 0.01, decay: 0.15, filter: { type: 'bandpass', freq: 1400, q: 3 } },
+        { noise: 0.3, gain: 0.08, attack: 0.02, decay: 0.15, filter: { type: 'highpass', freq: 6000, q: 1 } }
+      ],
+      error: { osc: 'triangle', freq: 660, freqEnd: 330, gain: 0.3, decay: 0.35, filter: { type: 'bandpass', freq: 600, q: 5 } },
+      bootComplete: [
+        { osc: 'sine', freq: 523.25, gain: 0.2, attack: 0.02, decay: 0.8 },
+        { osc: 'sine', freq: 783.99, gain: 0.18, attack: 0.02, decay: 0.8, delay: 0.12 },
+        { osc: 'sine', freq: 1046.5, gain: 0.16, attack: 0.02, decay: 1.0, delay: 0.24 }
+      ],
+      notifyInfo: { osc: 'sine', freq: 1760, gain: 0.15, attack: 0.005, decay: 0.25 },
+      notifyWarn: [
+        { osc: 'triangle', freq: 880, gain: 0.2, decay: 0.15 },
+        { osc: 'triangle', freq: 698.46, gain: 0.2, decay: 0.25, delay: 0.15 }
+      ],
+      notifySuccess: [
+        { osc: 'sine', freq: 1046.5, gain: 0.16, attack: 0.01, decay: 0.2 },
+        { osc: 'sine', freq: 1567.98, gain: 0.14, attack: 0.01, decay: 0.35, delay: 0.1 }
+      ]
+    }
+  },
+  retro: {
+    name: 'Retro 8-bit',
+    sounds: {
+      click: { osc: 'square', freq: 880, freqEnd: 440, gain: 0.2, decay: 0.06 },
+      hover: { osc: 'square', freq: 1320, gain: 0.04, decay: 0.03 },
+      toggleOn: [
+        { osc: 'square', freq: 660, gain: 0.18, decay: 0.05 },
+        { osc: 'square', freq: 990, gain: 0.18, decay: 0.06, delay: 0.06 }
+      ],
+      toggleOff: [
+        { osc: 'square', freq: 990, gain: 0.18, decay: 0.05 },
+        { osc: 'square', freq: 660, gain: 0.18, decay: 0.06, delay: 0.06 }
+      ],
+      sliderTick: { osc: 'square', freq: 1760, gain: 0.05, decay: 0.02 },
+      navigate: { osc: 'square', freq: 440, freqEnd: 1320, gain: 0.18, decay: 0.1 },
+      error: [
+        { osc: 'square', freq: 220, gain: 0.2, decay: 0.1 },
+        { osc: 'square', freq: 165, gain: 0.2, decay: 0.2, delay: 0.11 }
+      ],
+      bootComplete: [
+        { osc: 'square', freq: 523.25, gain: 0.15, decay: 0.09 },
+        { osc: 'square', freq: 659.25, gain: 0.15, decay: 0.09, delay: 0.1 },
+        { osc: 'square', freq: 783.99, gain: 0.15, decay: 0.09, delay: 0.2 },
+        { osc: 'square', freq: 1046.5, gain: 0.15, decay: 0.3, delay: 0.3 }
+      ],
+      notifyInfo: { osc: 'square', freq: 1320, gain: 0.12, decay: 0.08 },
+      notifyWarn: [
+        { osc: 'square', freq: 440, gain: 0.18, decay: 0.08 },
+        { osc: 'square', freq: 440, gain: 0.18, decay: 0.08, delay: 0.12 }
+      ],
+      notifySuccess: [
+        { osc: 'square', freq: 783.99, gain: 0.15, decay: 0.07 },
+        { osc: 'square', freq: 1046.5, gain: 0.15, decay: 0.15, delay: 0.08 }
+      ]
+    }
+  }
+};
+
+const checkRange = (value, [min, max], name) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new ValidationError('validation.numberRange', { field: name, min, max });
+  }
+};
+
+/** Validate one patch layer; throws a ValidationError */
+const validatePatch = (patch, path) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new ValidationError('validation.notObject', { field: path });
+  Object.keys(patch).forEach(key => {
+    if (!(key in PATCH_RANGES) && key !== 'osc' && key !== 'filter') throw new ValidationError('validation.unknownField', { field: `${path}.${key}` });
+  });
+  if (patch.osc !== undefined && !OSC_TYPES.includes(patch.osc)) {
+    throw new ValidationError('validation.notOneOf', { field: `${path}.osc`, options: OSC_TYPES.join('/') });
+  }
+  if (patch.osc === undefined && !patch.noise) throw new ValidationError('validation.oscOrNoise', { field: path });
+  if (patch.osc !== undefined && patch.freq === undefined) throw new ValidationError('validation.required', { field: `${path}.freq` });
+  if (patch.decay === undefined) throw new ValidationError('validation.required', { field: `${path}.decay` });
+  Object.entries(PATCH_RANGES).forEach(([key, range]) => {
+    if (patch[key] !== undefined) checkRange(patch[key], range, `${path}.${key}`);
+  });
+  if (patch.filter !== undefined) {
+    const { filter } = patch;
+    if (!filter || typeof filter !== 'object') throw new ValidationError('validation.notObject', { field: `${path}.filter` });
+    if (!FILTER_TYPES.includes(filter.type)) {
+      throw new ValidationError('validation.notOneOf', { field: `${path}.filter.type`, options: FILTER_TYPES.join('/') });
+    }
+    checkRange(filter.freq, FILTER_RANGES.freq, `${path}.filter.freq`);
+    if (filter.q !== undefined) checkRange(filter.q, FILTER_RANGES.q, `${path}.filter.q`);
+  }
+};
+
+/**
+ * Validate a user-supplied pack `{ name, sounds: { [event]: patch | patch[] } }`.
+ * Events the pack leaves out fall back to the Default pack at play time.
+ */
+export const validateSoundPack = (pack) => {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) throw new ValidationError('validation.packNotObject');
+  if (typeof pack.name !== 'string' || !pack.name.trim()) throw new ValidationError('validation.required', { field: 'name' });
+  if (!pack.sounds || typeof pack.sounds !== 'object') throw new ValidationError('validation.notObject', { field: 'sounds' });
+  Object.entries(pack.sounds).forEach(([event, sound]) => {
+    if (!SOUND_EVENTS.includes(event)) throw new ValidationError('validation.unknownField', { field: `sounds.${event}` });
+    const layers = Array.isArray(sound) ? sound : [sound];
+    if (layers.length === 0) throw new ValidationError('validation.noLayers', { field: event });
+    layers.forEach((layer, i) => validatePatch(layer, layers.length > 1 ? `${event}[${i}]` : event));
+  });
+  return { name: pack.name.trim().slice(0, 32), sounds: pack.sounds };
+};
+
+/** Parse JSON text for a custom pack and assign it a stable `custom-` id */
+export const parseSoundPackJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new ValidationError('validation.invalidJson');
+  }
+  const pack = validateSoundPack(parsed);
+  const slug = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pack';
+  return { id: `custom-${slug}`, ...pack };
+};
+
+/** Load previously imported custom packs as `{ [id]: pack }`, dropping any that no longer validate */
+export const loadCustomSoundPacks = () => {
+  try {
+    const raw = window.localStorage.getItem(CUSTOM_SOUND_PACKS_STORAGE_KEY);
+    if (!raw) return {};
+    const packs = {};
+    Object.entries(JSON.parse(raw)).forEach(([id, pack]) => {
+      try {
+        packs[id] = validateSoundPack(pack);
+      } catch (e) {
+        console.warn('Dropping Invalid Sound Pack', id, e);
+      }
+    });
+    return packs;
+  } catch (e) {
+    console.warn('Sound Pack Load Failed', e);
+    return {};
+  }
+};
+
+export const saveCustomSoundPacks = (packs) => {
+  try {
+    window.localStorage.setItem(CUSTOM_SOUND_PACKS_STORAGE_KEY, JSON.stringify(packs));
+    return true;
+  } catch (e) {
+    console.warn('Sound Pack Save Failed', e);
+    return false;
+  }
+};
+
+/** Look up a pack by id and fill any missing events from the Default pack */
+export const resolveSoundPack = (id, customPacks = {}) => {
+  const pack = BUILTIN_SOUND_PACKS[id] || customPacks[id] || BUILTIN_SOUND_PACKS[DEFAULT_SOUND_PACK];
+  return {
+    name: pack.name,
+    sounds: { ...BUILTIN_SOUND_PACKS[DEFAULT_SOUND_PACK].sounds, ...pack.sounds }
+  };
+};
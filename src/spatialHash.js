@@ -0,0 +1,55 @@
+// --- SPATIAL HASH ---
+
+/**
+ * Uniform-grid spatial hash over items with `x`/`y`. Cells are `cellSize` wide, so
+ * every pair closer than `cellSize` shares a cell or sits in adjacent cells.
+ * Buckets are reused between rebuilds to avoid per-frame allocation.
+ */
+export const createSpatialHash = (cellSize) => {
+  const cells = [];
+  let cols = 1;
+  let rows = 1;
+
+  const cellIndex = (x, y) => {
+    const col = Math.min(cols - 1, Math.max(0, Math.floor(x / cellSize)));
+    const row = Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize)));
+    return row * cols + col;
+  };
+
+  // Forward neighbours only (right, and the three cells below) so each cell pair is visited once
+  const FORWARD = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+  return {
+    /** Re-bucket every item for a `width` x `height` area */
+    rebuild(items, width, height) {
+      cols = Math.max(1, Math.ceil(width / cellSize));
+      rows = Math.max(1, Math.ceil(height / cellSize));
+      const total = cols * rows;
+      while (cells.length < total) cells.push([]);
+      for (let i = 0; i < total; i++) cells[i].length = 0;
+      items.forEach(item => cells[cellIndex(item.x, item.y)].push(item));
+    },
+
+    /** Call `callback(a, b)` once for every pair of items in the same or adjacent cells */
+    forEachNearbyPair(callback) {
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const cell = cells[row * cols + col];
+          if (cell.length === 0) continue;
+          for (let i = 0; i < cell.length; i++) {
+            for (let j = i + 1; j < cell.length; j++) callback(cell[i], cell[j]);
+          }
+          FORWARD.forEach(([dc, dr]) => {
+            const c = col + dc;
+            const r = row + dr;
+            if (c < 0 || c >= cols || r >= rows) return;
+            const other = cells[r * cols + c];
+            for (let i = 0; i < cell.length; i++) {
+              for (let j = 0; j < other.length; j++) callback(cell[i], other[j]);
+            }
+          });
+        }
+      }
+    }
+  };
+};
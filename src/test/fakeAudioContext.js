@@ -0,0 +1,135 @@
+// --- FAKE WEB AUDIO GRAPH (tests) ---
+
+/**
+ * Just enough of the Web Audio API for AudioEngine to run headless under Node. AudioParams
+ * record their automation and can be evaluated with `valueAt(time)`; every source emits a
+ * constant 1 while playing, so an offline render is the product of the gain envelopes along
+ * its path. Filters and oscillator frequencies are accepted but do not shape the signal.
+ */
+
+class FakeParam {
+  constructor(value) {
+    this.value = value;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) { this.events.push({ type: 'set', value, time }); return this; }
+  linearRampToValueAtTime(value, time) { this.events.push({ type: 'linear', value, time }); return this; }
+  exponentialRampToValueAtTime(value, time) { this.events.push({ type: 'exponential', value, time }); return this; }
+  setTargetAtTime(value, time, constant) { this.events.push({ type: 'target', value, time, constant }); return this; }
+
+  /** Automated value at `time` (events are assumed to be scheduled in time order) */
+  valueAt(time) {
+    let value = this.value;
+    let from = 0;
+    for (let i = 0; i < this.events.length; i++) {
+      const event = this.events[i];
+      if (time < event.time) {
+        const progress = (time - from) / (event.time - from);
+        if (event.type === 'linear') return value + (event.value - value) * progress;
+        if (event.type === 'exponential') return value * (event.value / value) ** progress;
+        return value;
+      }
+      if (event.type === 'target') {
+        // Approaches the target until the next event takes over
+        const until = Math.min(time, this.events[i + 1]?.time ?? Infinity);
+        value = event.value + (value - event.value) * Math.exp(-(until - event.time) / event.constant);
+        from = until;
+        if (until === time) return value;
+      } else {
+        value = event.value;
+        from = event.time;
+      }
+    }
+    return value;
+  }
+}
+
+class FakeNode {
+  constructor(context) {
+    this.context = context;
+    this.inputs = [];
+  }
+
+  // Connections into AudioParams (LFO modulation) are accepted and ignored
+  connect(target) {
+    if (target instanceof FakeNode) target.inputs.push(this);
+    return target;
+  }
+
+  disconnect() {
+    this.inputs = [];
+  }
+
+  output(time) {
+    return this.inputs.reduce((sum, node) => sum + node.output(time), 0);
+  }
+}
+
+class FakeGain extends FakeNode {
+  gain = new FakeParam(1);
+
+  output(time) {
+    return this.gain.valueAt(time) * super.output(time);
+  }
+}
+
+class FakeFilter extends FakeNode {
+  type = 'lowpass';
+  frequency = new FakeParam(350);
+  Q = new FakeParam(1);
+}
+
+class FakeSource extends FakeNode {
+  type = 'sine';
+  frequency = new FakeParam(440);
+  buffer = null;
+  loop = false;
+  startTime = null;
+  stopTime = Infinity;
+
+  start(time = 0) { this.startTime = time; }
+  stop(time = 0) { this.stopTime = time; }
+
+  output(time) {
+    return this.startTime !== null && time >= this.startTime && time < this.stopTime ? 1 : 0;
+  }
+}
+
+const createBuffer = (numberOfChannels, length, sampleRate) => {
+  const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  return { numberOfChannels, length, sampleRate, getChannelData: (channel) => channels[channel] };
+};
+
+export class FakeAudioContext {
+  constructor({ sampleRate = 44100 } = {}) {
+    this.sampleRate = sampleRate;
+    this.currentTime = 0;
+    this.destination = new FakeNode(this);
+    this.destination.maxChannelCount = 2;
+  }
+
+  createGain() { return new FakeGain(this); }
+  createBiquadFilter() { return new FakeFilter(this); }
+  createOscillator() { return new FakeSource(this); }
+  createBufferSource() { return new FakeSource(this); }
+  createBuffer(numberOfChannels, length, sampleRate) { return createBuffer(numberOfChannels, length, sampleRate); }
+}
+
+/** Drop-in for OfflineAudioContext: `startRendering()` samples the destination into a buffer */
+export class FakeOfflineAudioContext extends FakeAudioContext {
+  constructor(numberOfChannels, length, sampleRate) {
+    super({ sampleRate });
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+  }
+
+  async startRendering() {
+    const buffer = createBuffer(this.numberOfChannels, this.length, this.sampleRate);
+    for (let c = 0; c < this.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < this.length; i++) data[i] = this.destination.output(i / this.sampleRate);
+    }
+    return buffer;
+  }
+}
@@ -0,0 +1,83 @@
+import { HEX_COLOUR_PATTERN } from './colour.js';
+import { ValidationError, problem } from './validationError.js';
+
+// --- THEMES ---
+
+/**
+ * Palette slots, each a `#rrggbb` colour exposed as a `--theme-<key>` CSS variable:
+ *   primary    - text, borders and controls (Tailwind `primary-*` shades derive from it)
+ *   accent     - highlighted values and focus (`accent-*`)
+ *   glow       - shadows and glows
+ *   background - page and panel backgrounds (`surface`)
+ *   particle   - canvas scenes whose colour is set to follow the theme
+ */
+export const THEME_KEYS = ['primary', 'accent', 'glow', 'background', 'particle'];
+
+/** Built-in palettes; their names are catalog keys (`themes.<id>`) */
+export const BUILTIN_THEMES = {
+  arasaka: {
+    colours: { primary: '#ef4444', accent: '#22d3ee', glow: '#dc2626', background: '#000000', particle: '#dc2626' }
+  },
+  netrunner: {
+    colours: { primary: '#22d3ee', accent: '#f0abfc', glow: '#06b6d4', background: '#020617', particle: '#22d3ee' }
+  },
+  militech: {
+    colours: { primary: '#f59e0b', accent: '#a3e635', glow: '#d97706', background: '#0c0a09', particle: '#f59e0b' }
+  },
+  monochrome: {
+    colours: { primary: '#d4d4d4', accent: '#ffffff', glow: '#a3a3a3', background: '#000000', particle: '#e5e5e5' }
+  }
+};
+
+export const CUSTOM_THEME = 'custom';
+export const THEME_IDS = [...Object.keys(BUILTIN_THEMES), CUSTOM_THEME];
+export const DEFAULT_THEME = 'arasaka';
+export const THEME_HASH_PREFIX = '#theme=';
+
+/** Background scene colour value meaning "use the active theme's particle colour" */
+export const THEME_COLOUR = 'theme';
+
+/** Colours for a theme id; `custom` uses the user's own palette */
+export const resolveThemeColours = (themeId, customTheme) =>
+  themeId === CUSTOM_THEME ? customTheme : (BUILTIN_THEMES[themeId] || BUILTIN_THEMES[DEFAULT_THEME]).colours;
+
+/** Return a problem descriptor for a (possibly partial) palette, or null */
+export const validateThemeColours = (colours) => {
+  if (!colours || typeof colours !== 'object' || Array.isArray(colours)) return problem('validation.notObject', { field: 'customTheme' });
+  for (const [key, value] of Object.entries(colours)) {
+    if (!THEME_KEYS.includes(key)) return problem('validation.unknownField', { field: `customTheme.${key}` });
+    if (!HEX_COLOUR_PATTERN.test(value)) return problem('validation.hexColour', { field: `customTheme.${key}` });
+  }
+  return null;
+};
+
+/** Fill missing or invalid palette slots from the default theme */
+export const mergeThemeColours = (colours) => {
+  const merged = { ...BUILTIN_THEMES[DEFAULT_THEME].colours };
+  THEME_KEYS.forEach(key => {
+    if (colours && HEX_COLOUR_PATTERN.test(colours[key])) merged[key] = colours[key].toLowerCase();
+  });
+  return merged;
+};
+
+/** Publish a palette as `--theme-*` variables; index.css derives every shade from these */
+export const applyTheme = (colours, root = document.documentElement) => {
+  THEME_KEYS.forEach(key => root.style.setProperty(`--theme-${key}`, colours[key]));
+};
+
+/** Compact, readable share fragment: `#theme=ef4444-22d3ee-dc2626-000000-dc2626` in THEME_KEYS order */
+export const encodeThemeHash = (colours) =>
+  THEME_HASH_PREFIX + THEME_KEYS.map(key => colours[key].slice(1)).join('-');
+
+/** Decode a `#theme=` fragment. Returns null when absent; throws a ValidationError when malformed. */
+export const decodeThemeHash = (hash) => {
+  if (!hash || !hash.startsWith(THEME_HASH_PREFIX)) return null;
+  const parts = hash.slice(THEME_HASH_PREFIX.length).split('-');
+  if (parts.length !== THEME_KEYS.length || parts.some(part => !HEX_COLOUR_PATTERN.test(`#${part}`))) {
+    throw new ValidationError('validation.corruptTheme');
+  }
+  return Object.fromEntries(THEME_KEYS.map((key, i) => [key, `#${parts[i].toLowerCase()}`]));
+};
+
+export const buildThemeShareUrl = (colours) =>
+  `${window.location.origin}${window.location.pathname}${window.location.search}${encodeThemeHash(colours)}`;
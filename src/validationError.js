@@ -0,0 +1,20 @@
+// --- VALIDATION ERRORS ---
+
+/**
+ * Rejections of user-supplied data (imported settings and sound packs, shared links). Problems
+ * are catalog descriptors `{ key, params }` (see i18n.js), so the UI phrases them in the active
+ * locale; field names, JSON types and option ids go into the params as written in the data.
+ * No imports: the particle worker loads the scene validators.
+ */
+
+/** Problem descriptor for validators that report rather than throw (keybindings, scene params, custom themes) */
+export const problem = (key, params = {}) => ({ key, params });
+
+/** Thrown by the import and share-link parsers; `reason` is the descriptor, `message` its key for logs */
+export class ValidationError extends Error {
+  constructor(key, params = {}) {
+    super(key);
+    this.name = 'ValidationError';
+    this.reason = problem(key, params);
+  }
+}
@@ -1,9 +1,14 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { version } from './package.json'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
   base: '/3-CyperpunkSettings/',
+  // Stamped into diagnostics reports
+  define: {
+    __APP_VERSION__: JSON.stringify(version),
+  },
 })